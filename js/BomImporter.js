@@ -0,0 +1,264 @@
+import { GEAR_PARAM_LIMITS } from "./GearGeometry.js";
+
+/**
+ * Gear lists (bills of materials) from CSV or JSON parameter tables.
+ *
+ * Each row is one external spur gear: id, teeth, module, pressure angle,
+ * thickness, bore, color, x, y, z, driver and the ids it meshes with.
+ * Headers are matched loosely ("Pressure Angle", "pressure_angle" and
+ * "pressureAngle" are the same column). Rows are validated here; placing
+ * and meshing the gears is left to the simulator, so nothing in this
+ * module touches meshes or the DOM.
+ */
+
+/**
+ * Thrown when a gear table cannot be read or a row is malformed.
+ */
+export class BomFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BomFormatError";
+  }
+}
+
+// Normalized header -> row field
+const COLUMNS = {
+  id: "id",
+  teeth: "teeth",
+  module: "module",
+  pressureangle: "pressureAngle",
+  thickness: "thickness",
+  bore: "boreDiameter",
+  borediameter: "boreDiameter",
+  color: "color",
+  colour: "color",
+  x: "x",
+  y: "y",
+  z: "z",
+  driver: "driver",
+  isdriver: "driver",
+  mesheswith: "meshesWith",
+  meshes: "meshesWith",
+};
+
+// Gear parameters read from each row
+const PARAMS = [
+  "teeth",
+  "module",
+  "pressureAngle",
+  "thickness",
+  "boreDiameter",
+];
+
+// Values for columns left blank
+const DEFAULTS = { pressureAngle: 20, thickness: 5, boreDiameter: 5 };
+
+const TRUE_VALUES = ["true", "yes", "y", "1", "x"];
+const FALSE_VALUES = ["false", "no", "n", "0"];
+
+/**
+ * Parse and validate a gear table.
+ * @param {string|Object[]} input - CSV or JSON text, or parsed JSON rows
+ *   (an array, or an object with a `gears` array)
+ * @returns {Array<{id: number, params: Object, color: string|null,
+ *   position: {x: number, y: number}|null, z: number|null,
+ *   driver: boolean|null, meshesWith: number[]}>}
+ *   position is null where x or y is blank; z and driver are null where
+ *   blank, except that the first gear drives when no row sets a driver
+ * @throws {BomFormatError} If the table is malformed
+ */
+export function parseBom(input) {
+  let records = input;
+  if (typeof input === "string") {
+    const text = input.replace(/^\uFEFF/, "").trim();
+    if (text.startsWith("[") || text.startsWith("{")) {
+      try {
+        records = JSON.parse(text);
+      } catch (err) {
+        throw new BomFormatError(`File is not valid JSON: ${err.message}`);
+      }
+    } else {
+      records = parseCsv(text);
+    }
+  }
+
+  if (records && !Array.isArray(records)) records = records.gears;
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new BomFormatError("Gear table has no rows");
+  }
+
+  const rows = records.map((record, i) => parseRow(record, i + 1));
+
+  const ids = new Set();
+  for (const row of rows) {
+    if (ids.has(row.id)) {
+      throw new BomFormatError(`Gear id ${row.id} is duplicated`);
+    }
+    ids.add(row.id);
+  }
+  for (const row of rows) {
+    for (const partner of row.meshesWith) {
+      if (partner === row.id) {
+        throw new BomFormatError(`Gear ${row.id} cannot mesh with itself`);
+      }
+      if (!ids.has(partner)) {
+        throw new BomFormatError(
+          `Gear ${row.id} meshes with unknown gear ${partner}`,
+        );
+      }
+    }
+  }
+
+  // Without a driver nothing would turn; the first gear drives, as the
+  // first gear added to an empty scene does
+  if (!rows.some((row) => row.driver)) rows[0].driver = true;
+  return rows;
+}
+
+/**
+ * Rows of a CSV table as objects keyed by header. Fields may be quoted
+ * ("" escapes a quote); a header with semicolons and no commas is read as
+ * semicolon-separated.
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const separator =
+    firstLine.includes(";") && !firstLine.includes(",") ? ";" : ",";
+
+  const lines = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      fields.push(field);
+      lines.push(fields);
+      fields = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new BomFormatError("CSV has an unterminated quote");
+  fields.push(field);
+  lines.push(fields);
+
+  const [header, ...body] = lines.filter((line) =>
+    line.some((value) => value.trim() !== ""),
+  );
+  return body.map((line) =>
+    Object.fromEntries(
+      header.map((name, i) => [name.trim(), (line[i] ?? "").trim()]),
+    ),
+  );
+}
+
+function parseRow(record, index) {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    throw new BomFormatError(`Row ${index} must be an object`);
+  }
+
+  // Map loosely written headers onto row fields
+  const values = {};
+  for (const [name, value] of Object.entries(record)) {
+    const field = COLUMNS[name.toLowerCase().replace(/[^a-z]/g, "")];
+    if (field) values[field] = value;
+  }
+  const blank = (field) =>
+    values[field] === undefined ||
+    values[field] === null ||
+    String(values[field]).trim() === "";
+
+  const path = `Row ${index}`;
+  const number = (field) => {
+    const value = Number(values[field]);
+    if (blank(field) || !Number.isFinite(value)) {
+      throw new BomFormatError(`${path}: ${field} must be a number`);
+    }
+    return value;
+  };
+
+  if (blank("id")) throw new BomFormatError(`${path}: id is missing`);
+  const id = number("id");
+  if (!Number.isInteger(id) || id < 1) {
+    throw new BomFormatError(`${path}: id must be a positive integer`);
+  }
+
+  const params = { type: "external" };
+  for (const name of PARAMS) {
+    const value =
+      blank(name) && name in DEFAULTS ? DEFAULTS[name] : number(name);
+    const limits = GEAR_PARAM_LIMITS[name];
+    if (value < limits.min || value > limits.max) {
+      throw new BomFormatError(
+        `${path} (gear ${id}): ${name} = ${value} is outside ${limits.min}-${limits.max}`,
+      );
+    }
+    params[name] = value;
+  }
+  if (!Number.isInteger(params.teeth)) {
+    throw new BomFormatError(`${path} (gear ${id}): teeth must be an integer`);
+  }
+
+  let color = null;
+  if (!blank("color")) {
+    color = String(values.color).trim();
+    if (!color.startsWith("#")) color = `#${color}`;
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+      throw new BomFormatError(
+        `${path} (gear ${id}): color must be a #rrggbb string`,
+      );
+    }
+  }
+
+  const position =
+    blank("x") || blank("y") ? null : { x: number("x"), y: number("y") };
+  const z = blank("z") ? null : number("z");
+
+  let driver = null;
+  if (!blank("driver")) {
+    const value = String(values.driver).trim().toLowerCase();
+    if (TRUE_VALUES.includes(value)) driver = true;
+    else if (FALSE_VALUES.includes(value)) driver = false;
+    else {
+      throw new BomFormatError(
+        `${path} (gear ${id}): driver must be true or false`,
+      );
+    }
+  }
+
+  let meshesWith = [];
+  if (!blank("meshesWith")) {
+    const list = Array.isArray(values.meshesWith)
+      ? values.meshesWith
+      : String(values.meshesWith).split(/[\s;|/,]+/);
+    meshesWith = list
+      .filter((value) => String(value).trim() !== "")
+      .map(Number);
+    if (meshesWith.some((value) => !Number.isInteger(value))) {
+      throw new BomFormatError(
+        `${path} (gear ${id}): meshes-with must list gear ids`,
+      );
+    }
+  }
+
+  return { id, params, color, position, z, driver, meshesWith };
+}
@@ -0,0 +1,148 @@
+/**
+ * Undo/redo history for scene edits.
+ *
+ * Edits are recorded after they have been applied, as commands that know
+ * how to undo and redo themselves. Consecutive commands sharing a mergeKey
+ * (e.g. every frame of one drag) collapse into a single entry until the
+ * history is sealed.
+ */
+export class CommandHistory {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit=100] - Maximum undo entries kept
+   * @param {Function} [options.onChange] - Called after any history change
+   */
+  constructor({ limit = 100, onChange = null } = {}) {
+    this.limit = limit;
+    this.onChange = onChange;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.sealed = true;
+    this.isApplying = false;
+  }
+
+  /**
+   * Record a command whose effect has already been applied.
+   * @param {Object} command - { label, undo(), redo(), mergeKey?, merge?(next) }
+   */
+  record(command) {
+    // Ignore edits made while undoing/redoing
+    if (this.isApplying) return;
+
+    const top = this.undoStack[this.undoStack.length - 1];
+    if (
+      !this.sealed &&
+      top &&
+      command.mergeKey &&
+      top.mergeKey === command.mergeKey
+    ) {
+      top.merge(command);
+    } else {
+      this.undoStack.push(command);
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.sealed = !command.mergeKey;
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Stop merging into the current entry (end of a drag)
+   */
+  seal() {
+    this.sealed = true;
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    this.apply(() => command.undo());
+    this.redoStack.push(command);
+    this.sealed = true;
+    this.notify();
+    return command;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    this.apply(() => command.redo());
+    this.undoStack.push(command);
+    this.sealed = true;
+    this.notify();
+    return command;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.sealed = true;
+    this.notify();
+  }
+
+  apply(fn) {
+    this.isApplying = true;
+    try {
+      fn();
+    } finally {
+      this.isApplying = false;
+    }
+  }
+
+  notify() {
+    if (this.onChange) this.onChange(this);
+  }
+}
+
+/**
+ * Scene edit stored as before/after snapshots of the gears it touched.
+ * A null snapshot means the gear did not exist, so the same command type
+ * covers adding, deleting, moving, editing and resetting.
+ */
+export class GearEditCommand {
+  /**
+   * @param {Object} target - Object implementing applyGearStates(Map)
+   * @param {string} label - Description shown in logs
+   * @param {Map<number, Object|null>} before - Gear ID -> state before edit
+   * @param {Map<number, Object|null>} after - Gear ID -> state after edit
+   * @param {string} [mergeKey] - Merge consecutive commands with this key
+   */
+  constructor(target, label, before, after, mergeKey = null) {
+    this.target = target;
+    this.label = label;
+    this.before = before;
+    this.after = after;
+    this.mergeKey = mergeKey;
+  }
+
+  undo() {
+    this.target.applyGearStates(this.before);
+  }
+
+  redo() {
+    this.target.applyGearStates(this.after);
+  }
+
+  merge(next) {
+    // Keep the earliest "before" for each gear, take the latest "after"
+    for (const [id, state] of next.before) {
+      if (!this.before.has(id)) this.before.set(id, state);
+    }
+    for (const [id, state] of next.after) {
+      this.after.set(id, state);
+    }
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Typed events with the DOM / three.js listener API, for models that run
+ * without either (see GearTrain).
+ *
+ * Listeners are called in the order they were added, with the event
+ * object; dispatchEvent() sets its `target` to the dispatcher.
+ */
+export class EventDispatcher {
+  constructor() {
+    this.listeners = new Map(); // type -> Set of listeners
+  }
+
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  hasEventListener(type, listener) {
+    return this.listeners.get(type)?.has(listener) ?? false;
+  }
+
+  /**
+   * @param {{type: string}} event - Passed to every listener of its type
+   */
+  dispatchEvent(event) {
+    const listeners = this.listeners.get(event.type);
+    if (!listeners) return;
+
+    event.target = this;
+    // Listeners may remove themselves while being called
+    for (const listener of [...listeners]) listener.call(this, event);
+  }
+}
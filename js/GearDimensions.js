@@ -0,0 +1,334 @@
+/**
+ * Allowed ranges for user-editable gear parameters
+ */
+export const GEAR_PARAM_LIMITS = {
+    teeth: { min: 8, max: 100 },
+    module: { min: 0.5, max: 10 },
+    pressureAngle: { min: 14.5, max: 25 },
+    thickness: { min: 1, max: 20 },
+    boreDiameter: { min: 1, max: 20 },
+    profileShift: { min: -0.5, max: 1 },
+    helixAngle: { min: 0, max: 45 },
+    coneAngle: { min: 5, max: 85 },
+    starts: { min: 1, max: 4 },
+    diameterQuotient: { min: 6, max: 20 }
+};
+
+// Root fillet radius as a fraction of module (standard basic rack tip radius)
+const ROOT_FILLET_FACTOR = 0.38;
+
+// Smallest top land kept before a pointed tooth tip is truncated, in modules
+export const MIN_TOP_LAND = 0.1;
+
+// Radial rim outside the root circle of an internal (ring) gear, in modules
+export const RING_RIM_FACTOR = 2.5;
+
+// Solid backing below the root line of a rack, in modules
+export const RACK_BACKING_FACTOR = 2.5;
+
+/**
+ * Gear types: teeth on the outside of a disc, on the inside of a ring,
+ * along a straight rack, on a cone (straight bevel), a screw thread
+ * (worm) or the helical gear it drives (worm wheel)
+ */
+export const GEAR_TYPES = ['external', 'internal', 'rack', 'bevel', 'worm', 'wheel'];
+
+// Types whose axis may turn off world Z: bevel gears onto their mates'
+// apexes, worms across their wheels
+export const TILTING_TYPES = ['bevel', 'worm'];
+
+/**
+ * Helix hands. A right-hand helix advances counter-clockwise toward +Z,
+ * like a right-hand screw thread.
+ */
+export const HELIX_HANDS = ['right', 'left'];
+
+// Longest bevel face along the axis, as a fraction of the apex height
+// (face width of a third of the cone distance)
+const MAX_BEVEL_FACE = 1 / 3;
+
+/**
+ * Gear dimensions from the gear parameters: pitch, base, root and tip
+ * circles, tooth thickness and profile details. Pure math, so the gear-train
+ * engine can size gears without three.js; GearGeometry builds the meshes.
+ */
+export class GearDimensions {
+    /**
+     * @param {Object} params - Gear parameters
+     * @param {number} params.teeth - Number of teeth (8-100)
+     * @param {number} params.module - Module in mm (0.5-10)
+     * @param {number} params.pressureAngle - Pressure angle in degrees (14.5-25)
+     * @param {number} params.thickness - Gear thickness in mm
+     * @param {number} params.boreDiameter - Center hole diameter in mm
+     * @param {string} [params.type='external'] - 'external', 'internal', 'rack',
+     *     'bevel', 'worm' or 'wheel'
+     * @param {number} [params.profileShift=0] - Profile shift coefficient x
+     *     (external gears only; internal gears and racks stay unshifted)
+     * @param {number} [params.helixAngle=0] - Helix angle β in degrees (0 = spur)
+     * @param {string} [params.hand='right'] - Helix hand, 'right' or 'left'
+     *     (bevel gears are straight)
+     * @param {number} [params.coneAngle=45] - Pitch cone angle δ of a bevel
+     *     gear in degrees; a pair meshes at a shaft angle of δ1 + δ2
+     * @param {number} [params.starts=1] - Thread starts of a worm and its wheel
+     * @param {number} [params.diameterQuotient=10] - Worm pitch diameter in
+     *     modules (q); the module of a worm pair is the worm's axial module
+     * @param {number} [params.clearance=0] - Printing clearance in mm: every
+     *     tooth flank and tip moves this far into the tooth (exports only;
+     *     the pitch, root and bore are unchanged)
+     */
+    constructor(params) {
+        this.type = GEAR_TYPES.includes(params.type) ? params.type : 'external';
+        this.teeth = params.teeth || 20;
+        this.normalModule = params.module || 2;
+        this.normalPressureAngle = (params.pressureAngle || 20) * Math.PI / 180;
+        this.thickness = params.thickness || 5;
+        this.boreDiameter = params.boreDiameter || 5;
+        this.profileShift = this.type === 'external' ? params.profileShift || 0 : 0;
+        this.hand = HELIX_HANDS.includes(params.hand) ? params.hand : 'right';
+        this.clearance = params.clearance || 0;
+
+        // A worm and its wheel share the lead angle γ = atan(starts / q);
+        // the wheel is a helical gear with β = γ whose transverse module
+        // is the worm's axial module
+        this.starts = params.starts || 1;
+        this.diameterQuotient = params.diameterQuotient || 10;
+        this.leadAngle = Math.atan(this.starts / this.diameterQuotient);
+        if (this.type === 'wheel') {
+            this.helixAngle = this.leadAngle;
+            this.normalModule *= Math.cos(this.leadAngle);
+        } else if (this.type === 'bevel' || this.type === 'worm') {
+            this.helixAngle = 0;
+        } else {
+            this.helixAngle = (params.helixAngle || 0) * Math.PI / 180;
+        }
+
+        // Transverse module and pressure angle (equal to the normal ones
+        // for spur gears)
+        this.module = this.normalModule / Math.cos(this.helixAngle);
+        this.pressureAngle = Math.atan(
+            Math.tan(this.normalPressureAngle) / Math.cos(this.helixAngle)
+        );
+
+        // Calculated dimensions; a positive shift moves the cutting rack
+        // outward, lengthening the addendum by x * module. Tooth heights
+        // follow the normal module.
+        this.pitchDiameter = this.teeth * this.module;
+        this.pitchRadius = this.pitchDiameter / 2;
+        this.baseRadius = this.pitchRadius * Math.cos(this.pressureAngle);
+        this.addendum = (1 + this.profileShift) * this.normalModule;
+        this.dedendum = (1.25 - this.profileShift) * this.normalModule;
+        this.outerRadius = this.pitchRadius + this.addendum;
+        this.rootRadius = this.pitchRadius - this.dedendum;
+        this.boreRadius = this.boreDiameter / 2;
+
+        // Ensure bore doesn't exceed root
+        if (this.boreRadius >= this.rootRadius) {
+            this.boreRadius = this.rootRadius * 0.5;
+        }
+
+        if (this.type === 'rack') {
+            // Straight teeth along local X, pitch line on y = 0, teeth toward +Y.
+            // A rack is a gear of infinite radius: its length takes the place
+            // of the pitch circumference.
+            this.circularPitch = Math.PI * this.module;
+            this.length = this.teeth * this.circularPitch;
+            this.rootRadius = 0;
+            this.outerRadius = this.length / 2;
+            this.boreRadius = 0;
+            return;
+        }
+
+        if (this.type === 'internal') {
+            // Teeth point inward: tips inside, roots outside the pitch circle
+            this.tipRadius = this.pitchRadius - this.addendum;
+            this.rootRadius = this.pitchRadius + this.dedendum;
+            this.outerRadius = this.rootRadius + RING_RIM_FACTOR * this.normalModule;
+            this.boreRadius = 0;
+            this.spaceCutter = this.createSpaceCutter();
+            return;
+        }
+
+        if (this.type === 'worm') {
+            // Thread along local Z over the thickness; a turn advances it by
+            // the lead, one axial pitch per start
+            this.pitchDiameter = this.diameterQuotient * this.module;
+            this.pitchRadius = this.pitchDiameter / 2;
+            this.axialPitch = Math.PI * this.module;
+            this.lead = this.starts * this.axialPitch;
+            this.outerRadius = this.pitchRadius + this.module;
+            this.rootRadius = this.pitchRadius - 1.25 * this.module;
+            this.boreRadius = Math.min(this.boreDiameter / 2, this.rootRadius * 0.5);
+            return;
+        }
+
+        if (this.type === 'bevel') {
+            // Pitch cone from the heel circle up to the apex
+            this.coneAngle = (params.coneAngle || 45) * Math.PI / 180;
+            this.apexHeight = this.pitchRadius / Math.tan(this.coneAngle);
+            this.coneDistance = this.pitchRadius / Math.sin(this.coneAngle);
+            this.faceDepth = Math.min(this.thickness, this.apexHeight * MAX_BEVEL_FACE);
+        }
+
+        // Profile details shared by every tooth
+        this.tipRadius = this.computeTipRadius();
+        this.rootFillet = this.computeRootFillet();
+    }
+
+    /**
+     * External profile whose teeth are the tooth spaces of this ring gear:
+     * it reaches out to the ring's root circle and down to its tip circle.
+     */
+    createSpaceCutter() {
+        const cutter = new this.constructor({
+            teeth: this.teeth,
+            module: this.module,
+            pressureAngle: this.pressureAngle * 180 / Math.PI,
+            thickness: this.thickness,
+            boreDiameter: 1
+        });
+        cutter.addendum = this.dedendum;
+        cutter.dedendum = this.addendum;
+        // Clearance thins the ring's teeth by widening the cutter's; the
+        // cutter's tips (the ring's roots) stay put
+        cutter.clearance = -this.clearance;
+        cutter.outerRadius = this.rootRadius - this.clearance;
+        cutter.rootRadius = this.tipRadius + this.clearance;
+        cutter.tipRadius = cutter.computeTipRadius();
+        cutter.rootFillet = cutter.computeRootFillet();
+        return cutter;
+    }
+
+    /**
+     * Involute function inv(a) = tan(a) - a
+     */
+    static involute(angle) {
+        return Math.tan(angle) - angle;
+    }
+
+    /**
+     * Sine of the transverse pressure angle and cosine of the helix angle
+     * for normal-plane angles in degrees
+     */
+    static transverseAngles(pressureAngle, helixAngle) {
+        const cos = Math.cos(helixAngle * Math.PI / 180);
+        const alpha = Math.atan(Math.tan(pressureAngle * Math.PI / 180) / cos);
+        return { sin: Math.sin(alpha), cos };
+    }
+
+    /**
+     * Smallest tooth count cut without undercut: z = 2 (1 - x) cos β / sin²α_t
+     * @param {number} pressureAngle - Normal pressure angle, degrees
+     * @param {number} [profileShift=0]
+     * @param {number} [helixAngle=0] - Degrees
+     * @returns {number}
+     */
+    static minTeethWithoutUndercut(pressureAngle, profileShift = 0, helixAngle = 0) {
+        const { sin, cos } = GearDimensions.transverseAngles(pressureAngle, helixAngle);
+        return 2 * (1 - profileShift) * cos / (sin * sin);
+    }
+
+    /**
+     * Smallest profile shift that avoids undercut: x = 1 - z sin²α_t / (2 cos β)
+     * @param {number} teeth
+     * @param {number} pressureAngle - Normal pressure angle, degrees
+     * @param {number} [helixAngle=0] - Degrees
+     * @returns {number}
+     */
+    static minProfileShift(teeth, pressureAngle, helixAngle = 0) {
+        const { sin, cos } = GearDimensions.transverseAngles(pressureAngle, helixAngle);
+        return 1 - teeth * sin * sin / (2 * cos);
+    }
+
+    /**
+     * Whether the cutting rack undercuts this gear's tooth roots
+     */
+    isUndercut() {
+        if (this.type !== 'external') return false;
+        const limit = GearDimensions.minTeethWithoutUndercut(
+            this.normalPressureAngle * 180 / Math.PI,
+            this.profileShift,
+            this.helixAngle * 180 / Math.PI
+        );
+        // Tolerance keeps the exact limit (e.g. x = minProfileShift) clean
+        return this.teeth < limit - 1e-9;
+    }
+
+    /**
+     * Angular half-thickness of a tooth at radius r (radians from tooth center).
+     * Tooth thickness at the pitch circle is half the circular pitch, plus
+     * 2 x m tan α_n (transverse module) for a shifted profile. Clearance
+     * turns each involute flank about the axis by c / r_b, which moves it
+     * c along its normal.
+     */
+    toothHalfAngleAt(r) {
+        const pitchHalfAngle =
+            (Math.PI / 2 + 2 * this.profileShift * Math.tan(this.normalPressureAngle)) /
+            this.teeth;
+        const radius = Math.max(r, this.baseRadius);
+        const pressureAngleAtR = Math.acos(this.baseRadius / radius);
+        return pitchHalfAngle +
+            GearDimensions.involute(this.pressureAngle) -
+            GearDimensions.involute(pressureAngleAtR) -
+            this.clearance / this.baseRadius;
+    }
+
+    /**
+     * Radius at which the tooth tip ends. Low tooth counts can make the
+     * flanks cross below the addendum circle, so the tip is truncated where
+     * the top land would shrink below MIN_TOP_LAND * module.
+     */
+    computeTipRadius() {
+        const minHalfLand = (r) => (MIN_TOP_LAND * this.module) / (2 * r);
+        const outerRadius = this.outerRadius - this.clearance;
+        if (this.toothHalfAngleAt(outerRadius) >= minHalfLand(outerRadius)) {
+            return outerRadius;
+        }
+
+        let low = Math.max(this.baseRadius, this.rootRadius);
+        let high = outerRadius;
+        for (let i = 0; i < 40; i++) {
+            const mid = (low + high) / 2;
+            if (this.toothHalfAngleAt(mid) >= minHalfLand(mid)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Root fillet tangent to the flank line and the root circle.
+     * The radius is clamped so fillets of neighboring teeth never cross.
+     * @returns {{radius: number, offsetAngle: number, flankRadius: number, flankAngle: number}}
+     */
+    computeRootFillet() {
+        const toothAngle = (2 * Math.PI) / this.teeth;
+        let radius = ROOT_FILLET_FACTOR * this.module;
+        let flankRadius = Math.max(this.baseRadius, this.rootRadius);
+
+        // Two passes: the flank angle depends on where the fillet meets it
+        for (let pass = 0; pass < 2; pass++) {
+            const flankAngle = this.toothHalfAngleAt(flankRadius);
+            const gapHalfAngle = toothAngle / 2 - flankAngle;
+            const sinGap = Math.sin(Math.max(gapHalfAngle, 0) * 0.95);
+            const maxRadius = (this.rootRadius * sinGap) / (1 - sinGap);
+            radius = Math.min(radius, maxRadius);
+
+            const offsetAngle = Math.asin(radius / (this.rootRadius + radius));
+            const tangentRadius = (this.rootRadius + radius) * Math.cos(offsetAngle);
+            flankRadius = Math.min(
+                Math.max(tangentRadius, this.rootRadius),
+                this.tipRadius
+            );
+        }
+
+        const offsetAngle = Math.asin(radius / (this.rootRadius + radius));
+        return {
+            radius,
+            offsetAngle,
+            flankRadius,
+            flankAngle: this.toothHalfAngleAt(flankRadius)
+        };
+    }
+}
@@ -1,287 +1,486 @@
 import * as THREE from 'three';
+import {
+    GearDimensions,
+    MIN_TOP_LAND,
+    RACK_BACKING_FACTOR
+} from './GearDimensions.js';
+
+export {
+    GEAR_PARAM_LIMITS,
+    GEAR_TYPES,
+    HELIX_HANDS,
+    RACK_BACKING_FACTOR,
+    RING_RIM_FACTOR,
+    TILTING_TYPES
+} from './GearDimensions.js';
+
+// Most extrusion slices along a helical face
+const MAX_HELIX_STEPS = 32;
+
+// Worm surface samples: around the axis, and along it per axial pitch
+const WORM_SEGMENTS = { detailed: [64, 16], simplified: [24, 6] };
 
 /**
- * Generates spur gear geometry with involute tooth profile
+ * Generates spur, helical and straight bevel gear geometry with involute
+ * tooth profile.
+ * Helical teeth are sized in the normal plane (the module and pressure
+ * angle parameters); the outline is drawn in the transverse plane with
+ * m_t = m_n / cos β and tan α_t = tan α_n / cos β, then twisted along the
+ * face width. Bevel teeth are the external profile at the heel (z = 0),
+ * tapered toward the pitch cone's apex on +Z. A worm is a straight-sided
+ * thread along local Z; its wheel is a helical gear at the worm's lead
+ * angle. Internal (ring) gears carry
+ * their teeth on the inside of a rim; their tooth spaces have the shape of
+ * an external gear's teeth, so the inner outline is traced by an external
+ * "space cutter" with swapped addendum and dedendum.
  */
-export class GearGeometry {
+export class GearGeometry extends GearDimensions {
     /**
-     * @param {Object} params - Gear parameters
-     * @param {number} params.teeth - Number of teeth (8-100)
-     * @param {number} params.module - Module in mm (0.5-10)
-     * @param {number} params.pressureAngle - Pressure angle in degrees (14.5-25)
-     * @param {number} params.thickness - Gear thickness in mm
-     * @param {number} params.boreDiameter - Center hole diameter in mm
+     * Generate the outline of a single tooth, counter-clockwise.
+     * Tooth i is centered on angle i * (2π / teeth). The outline runs from the
+     * root tangent point of the leading fillet, up the leading involute flank,
+     * across the tip, down the trailing flank and ends on the root circle.
+     * @returns {THREE.Vector2[]}
      */
-    constructor(params) {
-        this.teeth = params.teeth || 20;
-        this.module = params.module || 2;
-        this.pressureAngle = (params.pressureAngle || 20) * Math.PI / 180;
-        this.thickness = params.thickness || 5;
-        this.boreDiameter = params.boreDiameter || 5;
-
-        // Calculated dimensions
-        this.pitchDiameter = this.teeth * this.module;
-        this.pitchRadius = this.pitchDiameter / 2;
-        this.baseRadius = this.pitchRadius * Math.cos(this.pressureAngle);
-        this.addendum = this.module;
-        this.dedendum = 1.25 * this.module;
-        this.outerRadius = this.pitchRadius + this.addendum;
-        this.rootRadius = this.pitchRadius - this.dedendum;
-        this.boreRadius = this.boreDiameter / 2;
-
-        // Ensure bore doesn't exceed root
-        if (this.boreRadius >= this.rootRadius) {
-            this.boreRadius = this.rootRadius * 0.5;
+    generateToothProfile(toothIndex) {
+        const toothAngle = (2 * Math.PI) / this.teeth;
+        const center = toothIndex * toothAngle;
+        const fillet = this.rootFillet;
+        const polar = (r, angle) => new THREE.Vector2(r * Math.cos(angle), r * Math.sin(angle));
+
+        // Leading flank (lower angle) from the fillet up to the tip
+        const flankStart = Math.max(fillet.flankRadius, this.baseRadius);
+        const flank = [];
+        if (fillet.flankRadius < flankStart) {
+            // Radial segment between the fillet and the base circle
+            flank.push({ r: fillet.flankRadius, angle: this.toothHalfAngleAt(flankStart) });
+        }
+        const involuteSteps = 12;
+        for (let i = 0; i <= involuteSteps; i++) {
+            const r = flankStart + (this.tipRadius - flankStart) * (i / involuteSteps);
+            flank.push({ r, angle: this.toothHalfAngleAt(r) });
         }
-    }
 
-    /**
-     * Generate involute curve point at given parameter t
-     */
-    involutePoint(baseRadius, t) {
-        const x = baseRadius * (Math.cos(t) + t * Math.sin(t));
-        const y = baseRadius * (Math.sin(t) - t * Math.cos(t));
-        return new THREE.Vector2(x, y);
-    }
+        const filletArc = (side) => {
+            // side = -1 for the leading fillet, +1 for the trailing one
+            const centerAngle = center + side * (fillet.flankAngle + fillet.offsetAngle);
+            const c = polar(this.rootRadius + fillet.radius, centerAngle);
+            const onFlank = polar(fillet.flankRadius, center + side * fillet.flankAngle);
+            const onRoot = polar(this.rootRadius, centerAngle);
+            const a0 = Math.atan2(onRoot.y - c.y, onRoot.x - c.x);
+            let a1 = Math.atan2(onFlank.y - c.y, onFlank.x - c.x);
+            if (a1 - a0 > Math.PI) a1 -= 2 * Math.PI;
+            if (a1 - a0 < -Math.PI) a1 += 2 * Math.PI;
+
+            const points = [];
+            const filletSteps = 4;
+            for (let i = 0; i <= filletSteps; i++) {
+                const a = a0 + (a1 - a0) * (i / filletSteps);
+                points.push(new THREE.Vector2(
+                    c.x + fillet.radius * Math.cos(a),
+                    c.y + fillet.radius * Math.sin(a)
+                ));
+            }
+            return points; // root -> flank
+        };
 
-    /**
-     * Generate a single tooth profile
-     */
-    generateToothProfile(toothIndex) {
         const points = [];
-        const toothAngle = (2 * Math.PI) / this.teeth;
-        const baseAngle = toothIndex * toothAngle;
-
-        // Involute parameter range
-        const tMax = Math.sqrt((this.outerRadius / this.baseRadius) ** 2 - 1);
-        const tPitch = Math.sqrt((this.pitchRadius / this.baseRadius) ** 2 - 1);
 
-        // Tooth thickness at pitch circle (approximately half of circular pitch)
-        const circularPitch = Math.PI * this.module;
-        const toothThicknessAngle = circularPitch / (2 * this.pitchRadius);
+        // Leading fillet: root circle -> flank
+        points.push(...filletArc(-1));
 
-        // Generate right side of tooth (involute curve)
-        const involuteSteps = 12;
-        const rightPoints = [];
-        for (let i = 0; i <= involuteSteps; i++) {
-            const t = (i / involuteSteps) * tMax;
-            const point = this.involutePoint(this.baseRadius, t);
-
-            // Rotate to align with tooth center
-            const involuteAngle = Math.atan2(point.y, point.x);
-            const pitchInvoluteAngle = Math.atan2(
-                this.involutePoint(this.baseRadius, tPitch).y,
-                this.involutePoint(this.baseRadius, tPitch).x
-            );
-            const offsetAngle = baseAngle + toothThicknessAngle / 2 - pitchInvoluteAngle;
+        // Leading flank up to the tip
+        flank.forEach(({ r, angle }) => points.push(polar(r, center - angle)));
 
-            const r = point.length();
-            const angle = involuteAngle + offsetAngle;
+        // Tip land
+        const tipHalfAngle = this.toothHalfAngleAt(this.tipRadius);
+        const tipSteps = 3;
+        for (let i = 1; i < tipSteps; i++) {
+            const angle = center - tipHalfAngle + (2 * tipHalfAngle * i) / tipSteps;
+            points.push(polar(this.tipRadius, angle));
+        }
 
-            if (r >= this.rootRadius && r <= this.outerRadius) {
-                rightPoints.push(new THREE.Vector2(
-                    r * Math.cos(angle),
-                    r * Math.sin(angle)
-                ));
-            }
+        // Trailing flank down from the tip
+        for (let i = flank.length - 1; i >= 0; i--) {
+            points.push(polar(flank[i].r, center + flank[i].angle));
         }
 
-        // Generate left side of tooth (mirrored involute)
-        const leftPoints = [];
-        for (let i = involuteSteps; i >= 0; i--) {
-            const t = (i / involuteSteps) * tMax;
-            const point = this.involutePoint(this.baseRadius, t);
+        // Trailing fillet: flank -> root circle
+        points.push(...filletArc(1).reverse());
 
-            const involuteAngle = Math.atan2(point.y, point.x);
-            const pitchInvoluteAngle = Math.atan2(
-                this.involutePoint(this.baseRadius, tPitch).y,
-                this.involutePoint(this.baseRadius, tPitch).x
-            );
-            const offsetAngle = baseAngle - toothThicknessAngle / 2 + pitchInvoluteAngle;
+        return points;
+    }
 
-            const r = point.length();
-            const angle = -involuteAngle + offsetAngle;
+    /**
+     * Create the gear shape with involute teeth and root fillets
+     */
+    createGearShape() {
+        if (this.type === 'rack') return this.createRackShape();
 
-            if (r >= this.rootRadius && r <= this.outerRadius) {
-                leftPoints.push(new THREE.Vector2(
-                    r * Math.cos(angle),
-                    r * Math.sin(angle)
-                ));
-            }
+        if (this.type === 'internal') {
+            // Ring tooth i sits between cutter teeth, so shift by half a pitch
+            return this.createRingShape(
+                this.spaceCutter.traceToothOutline(new THREE.Path(), Math.PI / this.teeth),
+                64
+            );
         }
 
-        // Combine: root arc start -> left involute -> tip arc -> right involute -> root arc end
-        return { leftPoints, rightPoints };
+        const shape = this.traceToothOutline(new THREE.Shape(), 0);
+        shape.holes.push(this.createBorePath(32));
+
+        return shape;
     }
 
     /**
-     * Create the gear shape
+     * Trace the closed involute outline (teeth joined by root arcs) into a
+     * Shape or Path, rotated by angleOffset.
      */
-    createGearShape() {
-        const shape = new THREE.Shape();
+    traceToothOutline(path, angleOffset) {
         const toothAngle = (2 * Math.PI) / this.teeth;
+        const rootEndAngle = (p) => Math.atan2(p.y, p.x);
+        const cos = Math.cos(angleOffset);
+        const sin = Math.sin(angleOffset);
+        const rotated = (p) => [p.x * cos - p.y * sin, p.x * sin + p.y * cos];
 
-        // Start at root circle
-        shape.moveTo(this.rootRadius, 0);
+        let nextTooth = this.generateToothProfile(0);
+        path.moveTo(...rotated(nextTooth[0]));
 
         for (let i = 0; i < this.teeth; i++) {
-            const tooth = this.generateToothProfile(i);
-            const nextToothStartAngle = (i + 1) * toothAngle - toothAngle / 2;
-
-            // Left side of tooth
-            tooth.leftPoints.forEach(p => shape.lineTo(p.x, p.y));
-
-            // Tip arc
-            if (tooth.leftPoints.length > 0 && tooth.rightPoints.length > 0) {
-                const lastLeft = tooth.leftPoints[tooth.leftPoints.length - 1];
-                const firstRight = tooth.rightPoints[0];
-                const tipAngleStart = Math.atan2(lastLeft.y, lastLeft.x);
-                const tipAngleEnd = Math.atan2(firstRight.y, firstRight.x);
-
-                // Small arc at tooth tip
-                const tipSteps = 3;
-                for (let j = 1; j <= tipSteps; j++) {
-                    const t = j / tipSteps;
-                    const angle = tipAngleStart + (tipAngleEnd - tipAngleStart) * t;
-                    shape.lineTo(
-                        this.outerRadius * Math.cos(angle),
-                        this.outerRadius * Math.sin(angle)
-                    );
-                }
-            }
+            const tooth = nextTooth;
+            (i === 0 ? tooth.slice(1) : tooth).forEach(p => path.lineTo(...rotated(p)));
 
-            // Right side of tooth
-            tooth.rightPoints.forEach(p => shape.lineTo(p.x, p.y));
-
-            // Root arc to next tooth
-            const currentAngle = Math.atan2(
-                tooth.rightPoints[tooth.rightPoints.length - 1]?.y || 0,
-                tooth.rightPoints[tooth.rightPoints.length - 1]?.x || this.rootRadius
-            );
+            // Root arc to the next tooth's leading fillet
+            nextTooth = this.generateToothProfile((i + 1) % this.teeth);
+            const startAngle = rootEndAngle(tooth[tooth.length - 1]);
+            let endAngle = rootEndAngle(nextTooth[0]);
+            while (endAngle <= startAngle) endAngle += 2 * Math.PI;
+            while (endAngle - startAngle > toothAngle) endAngle -= 2 * Math.PI;
 
             const rootSteps = 4;
-            for (let j = 1; j <= rootSteps; j++) {
-                const t = j / rootSteps;
-                const angle = currentAngle + (nextToothStartAngle - currentAngle) * t;
-                shape.lineTo(
+            for (let j = 1; j < rootSteps; j++) {
+                const angle = startAngle + (endAngle - startAngle) * (j / rootSteps) + angleOffset;
+                path.lineTo(
                     this.rootRadius * Math.cos(angle),
                     this.rootRadius * Math.sin(angle)
                 );
             }
         }
 
-        shape.closePath();
+        path.closePath();
+        return path;
+    }
 
-        // Add bore hole
-        const holePath = new THREE.Path();
-        const holeSteps = 32;
-        holePath.moveTo(this.boreRadius, 0);
-        for (let i = 1; i <= holeSteps; i++) {
-            const angle = (i / holeSteps) * Math.PI * 2;
-            holePath.lineTo(
-                this.boreRadius * Math.cos(angle),
-                this.boreRadius * Math.sin(angle)
+    /**
+     * Create simplified gear shape (level of detail for many or distant gears).
+     * Teeth are trapezoids centered on the same angles as the involute teeth.
+     */
+    createSimplifiedGearShape() {
+        // Rack teeth are already straight-sided
+        if (this.type === 'rack') return this.createRackShape();
+
+        if (this.type === 'internal') {
+            return this.createRingShape(
+                this.spaceCutter.traceSimplifiedOutline(new THREE.Path(), Math.PI / this.teeth),
+                32
             );
         }
-        shape.holes.push(holePath);
+
+        const shape = this.traceSimplifiedOutline(new THREE.Shape(), 0);
+        shape.holes.push(this.createBorePath(24));
 
         return shape;
     }
 
     /**
-     * Create simplified gear shape (for performance with many gears)
+     * Trace the trapezoid tooth outline into a Shape or Path, rotated by angleOffset
      */
-    createSimplifiedGearShape() {
-        const shape = new THREE.Shape();
+    traceSimplifiedOutline(path, angleOffset) {
         const toothAngle = (2 * Math.PI) / this.teeth;
+        const point = (r, angle) => [r * Math.cos(angle + angleOffset), r * Math.sin(angle + angleOffset)];
 
-        shape.moveTo(this.rootRadius, 0);
+        path.moveTo(...point(this.rootRadius, -toothAngle * 0.5));
 
         for (let i = 0; i < this.teeth; i++) {
-            const baseAngle = i * toothAngle;
+            const center = i * toothAngle;
 
-            // Simplified trapezoidal tooth
-            const toothWidth = toothAngle * 0.4;
+            // Root to base of tooth
+            path.lineTo(...point(this.rootRadius, center - toothAngle * 0.3));
 
-            // Root to left base of tooth
-            shape.lineTo(
-                this.rootRadius * Math.cos(baseAngle + toothAngle * 0.1),
-                this.rootRadius * Math.sin(baseAngle + toothAngle * 0.1)
-            );
-
-            // Left side of tooth
-            shape.lineTo(
-                this.outerRadius * Math.cos(baseAngle + toothAngle * 0.25),
-                this.outerRadius * Math.sin(baseAngle + toothAngle * 0.25)
-            );
+            // Leading side up to the tip
+            path.lineTo(...point(this.outerRadius, center - toothAngle * 0.125));
 
             // Tooth tip
-            shape.lineTo(
-                this.outerRadius * Math.cos(baseAngle + toothAngle * 0.5),
-                this.outerRadius * Math.sin(baseAngle + toothAngle * 0.5)
-            );
+            path.lineTo(...point(this.outerRadius, center + toothAngle * 0.125));
 
-            // Right side of tooth
-            shape.lineTo(
-                this.rootRadius * Math.cos(baseAngle + toothAngle * 0.75),
-                this.rootRadius * Math.sin(baseAngle + toothAngle * 0.75)
-            );
+            // Trailing side down to the root
+            path.lineTo(...point(this.rootRadius, center + toothAngle * 0.3));
 
             // Root between teeth
+            path.lineTo(...point(this.rootRadius, center + toothAngle * 0.5));
+        }
+
+        path.closePath();
+        return path;
+    }
+
+    /**
+     * Ring gear: circular rim with the toothed opening as its hole
+     */
+    createRingShape(innerOutline, steps) {
+        const shape = new THREE.Shape();
+        shape.moveTo(this.outerRadius, 0);
+        for (let i = 1; i <= steps; i++) {
+            const angle = (i / steps) * Math.PI * 2;
             shape.lineTo(
-                this.rootRadius * Math.cos(baseAngle + toothAngle),
-                this.rootRadius * Math.sin(baseAngle + toothAngle)
+                this.outerRadius * Math.cos(angle),
+                this.outerRadius * Math.sin(angle)
             );
         }
+        shape.holes.push(innerOutline);
+        return shape;
+    }
+
+    /**
+     * Basic rack profile: straight flanks at the pressure angle, tooth
+     * thickness of half the circular pitch on the pitch line.
+     * Tooth k is centered at x = -length / 2 + (k + 1/2) * pitch.
+     */
+    createRackShape() {
+        const shape = new THREE.Shape();
+        const halfLength = this.length / 2;
+        const tipY = this.addendum - this.clearance;
+        const rootY = -this.dedendum;
+        const bottomY = rootY - RACK_BACKING_FACTOR * this.normalModule;
+        const flankSlope = Math.tan(this.pressureAngle);
+        const pitchHalfWidth = this.circularPitch / 4 - this.clearance / Math.cos(this.pressureAngle);
+        const tipHalfWidth = Math.max(
+            pitchHalfWidth - tipY * flankSlope,
+            (MIN_TOP_LAND * this.module) / 2
+        );
+        const rootHalfWidth = pitchHalfWidth - rootY * flankSlope;
+
+        shape.moveTo(-halfLength, bottomY);
+        shape.lineTo(halfLength, bottomY);
+        shape.lineTo(halfLength, rootY);
+
+        // Teeth from right to left keeps the outline counter-clockwise
+        for (let k = this.teeth - 1; k >= 0; k--) {
+            const center = -halfLength + (k + 0.5) * this.circularPitch;
+            shape.lineTo(center + rootHalfWidth, rootY);
+            shape.lineTo(center + tipHalfWidth, tipY);
+            shape.lineTo(center - tipHalfWidth, tipY);
+            shape.lineTo(center - rootHalfWidth, rootY);
+        }
 
+        shape.lineTo(-halfLength, rootY);
         shape.closePath();
 
-        // Add bore hole
+        return shape;
+    }
+
+    /**
+     * Circular bore hole path
+     */
+    createBorePath(steps) {
         const holePath = new THREE.Path();
-        const holeSteps = 24;
         holePath.moveTo(this.boreRadius, 0);
-        for (let i = 1; i <= holeSteps; i++) {
-            const angle = (i / holeSteps) * Math.PI * 2;
+        for (let i = 1; i <= steps; i++) {
+            const angle = (i / steps) * Math.PI * 2;
             holePath.lineTo(
                 this.boreRadius * Math.cos(angle),
                 this.boreRadius * Math.sin(angle)
             );
         }
-        shape.holes.push(holePath);
-
-        return shape;
+        return holePath;
     }
 
     /**
      * Create ExtrudeGeometry for the gear
+     * @param {boolean} simplified - Use trapezoidal teeth (level of detail)
      */
     createGeometry(simplified = false) {
-        const shape = simplified ? this.createSimplifiedGearShape() : this.createSimplifiedGearShape();
+        if (this.type === 'worm') return this.createWormGeometry(simplified);
+
+        const shape = simplified ? this.createSimplifiedGearShape() : this.createGearShape();
 
+        if (this.type === 'bevel') {
+            const geometry = new THREE.ExtrudeGeometry(shape, {
+                depth: this.faceDepth,
+                bevelEnabled: false
+            });
+            this.applyCone(geometry);
+            return geometry;
+        }
+
+        // Helical faces get a slice per quarter pitch of advance so the
+        // twisted flanks stay smooth
+        const advance = this.thickness * Math.tan(this.helixAngle);
         const extrudeSettings = {
             depth: this.thickness,
+            steps: Math.min(
+                MAX_HELIX_STEPS,
+                Math.max(1, Math.ceil(advance / (Math.PI * this.module / 4)))
+            ),
             bevelEnabled: true,
             bevelThickness: 0.5,
             bevelSize: 0.3,
             bevelSegments: 2
         };
 
-        return new THREE.ExtrudeGeometry(shape, extrudeSettings);
+        const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
+        if (this.helixAngle) this.applyHelix(geometry);
+        return geometry;
+    }
+
+    /**
+     * Twist extruded straight teeth into helical ones: the pitch surface
+     * advances z tan β toward +Z, so a gear turns by z tan β / r and a rack
+     * slides along its length. A rack of one hand meshes with a pinion of
+     * the other.
+     */
+    applyHelix(geometry) {
+        const lead = Math.tan(this.helixAngle) * (this.hand === 'left' ? -1 : 1);
+        const position = geometry.attributes.position;
+        const normal = geometry.attributes.normal;
+
+        for (let i = 0; i < position.count; i++) {
+            const advance = position.getZ(i) * lead;
+            if (this.type === 'rack') {
+                position.setX(i, position.getX(i) - advance);
+                continue;
+            }
+
+            const angle = advance / this.pitchRadius;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            for (const attribute of [position, normal]) {
+                const x = attribute.getX(i);
+                const y = attribute.getY(i);
+                attribute.setXY(i, x * cos - y * sin, x * sin + y * cos);
+            }
+        }
+
+        if (this.type === 'rack') geometry.computeVertexNormals();
+    }
+
+    /**
+     * Taper extruded teeth toward the apex: every point outside the bore
+     * moves inward in proportion to its height, so flanks run straight to
+     * the apex and the toe is a scaled copy of the heel.
+     */
+    applyCone(geometry) {
+        const position = geometry.attributes.position;
+
+        for (let i = 0; i < position.count; i++) {
+            const x = position.getX(i);
+            const y = position.getY(i);
+            if (Math.hypot(x, y) <= this.boreRadius + 1e-6) continue;
+
+            const scale = 1 - position.getZ(i) / this.apexHeight;
+            position.setXY(i, x * scale, y * scale);
+        }
+
+        geometry.computeVertexNormals();
+    }
+
+    /**
+     * Radius of the worm surface at angle theta and height z. In the axial
+     * section the thread is a rack: flanks at the pressure angle, thread
+     * centers at z = p / 2 + (lead theta / 2π) (mod p) for a right hand.
+     */
+    wormRadius(theta, z) {
+        const hand = this.hand === 'left' ? -1 : 1;
+        const p = this.axialPitch;
+        const u = z - hand * this.lead * theta / (2 * Math.PI) - p / 2;
+        const offset = Math.abs(u - p * Math.round(u / p));
+        const halfWidth = p / 4 - this.clearance / Math.cos(this.normalPressureAngle);
+        const height = (halfWidth - offset) / Math.tan(this.normalPressureAngle);
+        const tip = this.module - this.clearance;
+        return this.pitchRadius + Math.max(-1.25 * this.module, Math.min(tip, height));
+    }
+
+    /**
+     * Worm as a threaded cylinder along local Z with flat ends and a bore
+     * @param {boolean} simplified - Coarser sampling (level of detail)
+     */
+    createWormGeometry(simplified) {
+        const [segments, perPitch] = simplified
+            ? WORM_SEGMENTS.simplified
+            : WORM_SEGMENTS.detailed;
+        const rows = Math.max(2, Math.ceil(this.thickness / this.axialPitch * perPitch));
+        const positions = [];
+        const indices = [];
+        const ring = (radius, z) => {
+            const start = positions.length / 3;
+            for (let j = 0; j < segments; j++) {
+                const theta = (j / segments) * Math.PI * 2;
+                const r = radius ?? this.wormRadius(theta, z);
+                positions.push(r * Math.cos(theta), r * Math.sin(theta), z);
+            }
+            return start;
+        };
+        // Quads between two rings, facing outward (or inward if flipped)
+        const band = (lower, upper, flip) => {
+            for (let j = 0; j < segments; j++) {
+                const k = (j + 1) % segments;
+                const [a, b, c, d] = [lower + j, lower + k, upper + j, upper + k];
+                indices.push(...(flip ? [a, c, b, b, c, d] : [a, b, c, b, d, c]));
+            }
+        };
+
+        // Threaded surface
+        let lower = ring(null, 0);
+        const first = lower;
+        for (let i = 1; i <= rows; i++) {
+            const upper = ring(null, (i / rows) * this.thickness);
+            band(lower, upper, false);
+            lower = upper;
+        }
+        const last = lower;
+
+        // Bore, then the end faces from the bore out to the thread
+        const boreBottom = ring(this.boreRadius, 0);
+        const boreTop = ring(this.boreRadius, this.thickness);
+        band(boreBottom, boreTop, true);
+        const capVertices = (source) => {
+            const start = positions.length / 3;
+            positions.push(...positions.slice(source * 3, (source + segments) * 3));
+            return start;
+        };
+        band(capVertices(boreBottom), capVertices(first), false);
+        band(capVertices(boreTop), capVertices(last), true);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        return geometry;
     }
 
     /**
      * Create pitch circle geometry for visualization
      */
     createPitchCircleGeometry() {
+        if (this.type === 'rack') {
+            // Pitch line
+            const halfLength = this.length / 2;
+            return new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(-halfLength, 0, this.thickness + 0.1),
+                new THREE.Vector3(halfLength, 0, this.thickness + 0.1)
+            ]);
+        }
+
         const points = [];
         const segments = 64;
+        // A bevel gear's pitch circle is at its heel
+        const z = this.type === 'bevel' ? -0.1 : this.thickness + 0.1;
 
         for (let i = 0; i <= segments; i++) {
             const angle = (i / segments) * Math.PI * 2;
             points.push(new THREE.Vector3(
                 this.pitchRadius * Math.cos(angle),
                 this.pitchRadius * Math.sin(angle),
-                this.thickness + 0.1
+                z
             ));
         }
 
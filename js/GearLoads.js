@@ -0,0 +1,97 @@
+/**
+ * Torque, power and tooth load through a gear train.
+ *
+ * Torque crosses a mesh in proportion to the tooth counts and loses a
+ * fixed fraction per mesh; gears on a shaft share their torque. Racks are
+ * treated as gears whose pitch circumference is the rack length, so the
+ * same formulas give their tooth force. A worm counts its thread starts as
+ * teeth and loses far more to sliding friction on the thread.
+ */
+
+// Typical efficiency of one lubricated spur gear mesh
+export const DEFAULT_MESH_EFFICIENCY = 0.98;
+
+// Torque applied at each train's driver, N·m
+export const DEFAULT_INPUT_TORQUE = 1;
+
+// Sliding friction of a steel worm on a bronze wheel
+export const WORM_FRICTION = 0.12;
+
+// Input RPM is a speed; drivers turn backwards through their own signed RPM
+export const LOAD_LIMITS = {
+  inputRPM: { min: 1, max: 1000 },
+  inputTorque: { min: 0, max: 100000 },
+  meshEfficiency: { min: 0.5, max: 1 },
+};
+
+/**
+ * Torque handed from one gear to the next across a kinematic link.
+ * @param {number} torque - Torque on the source gear, N·m
+ * @param {Object} link
+ * @param {number} link.teethIn - Teeth of the source gear
+ * @param {number} link.teethOut - Teeth of the receiving gear
+ * @param {number} [link.split=1] - Load paths sharing the torque (planets)
+ * @param {number} link.stages - Meshes crossed (0 for a shaft)
+ * @param {number} efficiency - Efficiency of one mesh (0-1)
+ * @returns {number} Torque on the receiving gear, N·m
+ */
+export function transferTorque(
+  torque,
+  { teethIn, teethOut, split = 1, stages },
+  efficiency,
+) {
+  return ((torque * teethOut) / teethIn / split) * Math.pow(efficiency, stages);
+}
+
+/**
+ * Mechanical power of a turning gear.
+ * @param {number} torque - N·m
+ * @param {number} rpm
+ * @returns {number} Watts
+ */
+export function gearPower(torque, rpm) {
+  return (torque * rpm * 2 * Math.PI) / 60;
+}
+
+/**
+ * Tangential force at the pitch circle: Ft = 2T / d
+ * @param {number} torque - N·m
+ * @param {number} pitchDiameter - mm
+ * @returns {number} Newtons
+ */
+export function tangentialForce(torque, pitchDiameter) {
+  return (2000 * torque) / pitchDiameter;
+}
+
+/**
+ * Efficiency of a worm mesh from its lead angle γ and the friction angle
+ * φ = atan μ: tan γ / tan(γ + φ) with the worm driving, tan(γ - φ) / tan γ
+ * with the wheel driving. The wheel cannot drive a self-locking worm
+ * (γ ≤ φ), where the second value drops to zero or below.
+ * @param {number} leadAngle - Degrees
+ * @param {boolean} wormDrives
+ * @param {number} [friction=WORM_FRICTION] - Coefficient μ
+ * @returns {number} 0-1
+ */
+export function wormEfficiency(
+  leadAngle,
+  wormDrives,
+  friction = WORM_FRICTION,
+) {
+  const lead = (leadAngle * Math.PI) / 180;
+  const frictionAngle = Math.atan(friction);
+  const efficiency = wormDrives
+    ? Math.tan(lead) / Math.tan(lead + frictionAngle)
+    : Math.tan(lead - frictionAngle) / Math.tan(lead);
+  return Math.max(0, efficiency);
+}
+
+/**
+ * Whether friction keeps the wheel from turning the worm (tan γ ≤ μ)
+ * @param {number} leadAngle - Degrees
+ * @param {number} [friction=WORM_FRICTION]
+ * @returns {boolean}
+ */
+export function isSelfLocking(leadAngle, friction = WORM_FRICTION) {
+  return Math.tan((leadAngle * Math.PI) / 180) <= friction;
+}
@@ -3,7 +3,65 @@ import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import { XRButton } from "three/addons/webxr/XRButton.js";
 import { XRControllerModelFactory } from "three/addons/webxr/XRControllerModelFactory.js";
 import { OculusHandModel } from "three/addons/webxr/OculusHandModel.js";
-import { GearGeometry } from "./GearGeometry.js";
+import {
+  GearGeometry,
+  GEAR_PARAM_LIMITS,
+  TILTING_TYPES,
+  RING_RIM_FACTOR,
+} from "./GearGeometry.js";
+import { GearTrain, MESH_THRESHOLD, resolveGearParams } from "./GearTrain.js";
+import {
+  serializeProject,
+  parseProject,
+  ProjectFormatError,
+} from "./ProjectSerializer.js";
+import {
+  gearProfile,
+  hasFlatProfile,
+  layoutProfiles,
+  drawingToSVG,
+  drawingToDXF,
+} from "./ProfileExporter.js";
+import {
+  CLEARANCE_LIMITS,
+  gearToSTL,
+  gearToOBJ,
+  assemblyToGLTF,
+} from "./ModelExporter.js";
+import { parseBom, BomFormatError } from "./BomImporter.js";
+import {
+  hasShareFragment,
+  encodeShareFragment,
+  decodeShareFragment,
+} from "./ShareLink.js";
+import { CommandHistory, GearEditCommand } from "./CommandHistory.js";
+import { validatePlanetarySet, PLANETARY_MEMBERS } from "./PlanetaryGearSet.js";
+import { DEFAULT_MESH_EFFICIENCY, LOAD_LIMITS } from "./GearLoads.js";
+import { GEAR_MATERIALS } from "./GearStrength.js";
+import { MIN_CONTACT_RATIO } from "./MeshQuality.js";
+import { GeometryCache } from "./GeometryCache.js";
+import { InstancedGears } from "./InstancedGears.js";
+
+// Simulation speed range (1 = real time)
+const TIME_SCALE_LIMITS = { min: 0.1, max: 10 };
+
+// Time scales the XR Slower / Faster buttons step through
+const XR_TIME_SCALE_PRESETS = [0.1, 0.2, 0.5, 1, 2, 5, 10];
+
+// Longest frame gap simulated at once (hidden tab, frame hitches), seconds
+const MAX_FRAME_DELTA = 0.1;
+
+// Simulated seconds per single step at time scale 1 (one 60 Hz frame)
+const STEP_DURATION = 1 / 60;
+
+// Gear color and glow for each engine error kind
+const ERROR_STYLES = {
+  incompatible: { color: 0xf44336, emissive: 0x330000 }, // Red
+  overlap: { color: 0x9c27b0, emissive: 0x220033 }, // Purple
+  jamming: { color: 0xff9800, emissive: 0x332200 }, // Orange
+  driverConflict: { color: 0xff5722, emissive: 0x331100 }, // Deep orange
+  overstress: { color: 0xe91e63, emissive: 0x330011 }, // Pink
+};
 
 /**
  * Main gear simulator application
@@ -11,18 +69,38 @@ import { GearGeometry } from "./GearGeometry.js";
 export class GearSimulator {
   constructor(canvas) {
     this.canvas = canvas;
-    this.gears = [];
     this.selectedGear = null;
     this.isPlaying = false;
-    this.inputRPM = 30;
     this.isDarkMode = true;
-    this.nextGearId = 1;
+
+    // Gears, meshing, speeds and error states; this class draws them
+    this.engine = new GearTrain();
+    this.shaftMeshes = new Map(); // shaftId -> axle mesh
+    this.carrierMeshes = new Map(); // planetary setId -> carrier group
+
+    // Gears with equal parameters share one geometry
+    this.geometryCache = new GeometryCache();
+
+    // What the renderer keeps per gear; the engine's gears are plain data
+    this.gearViews = new Map(); // gear id -> { mesh, lod, pitchCircle, centerMarker, originalColor }
+
+    // Simulation clock, driven by the frame timestamps of setAnimationLoop
+    this.lastFrameTime = null; // ms, null until the first frame
+    this.timeScale = 1; // < 1 slow motion, > 1 fast forward
+
+    // Undo/redo history of scene edits
+    this.history = new CommandHistory({ limit: 100 });
+    this.editDepth = 0; // Nested recordEdit() calls record once
 
     // Display options
     this.showPitchCircle = false;
     this.showCenter = false;
     this.showLabels = false;
 
+    // Level of detail: simplified teeth when crowded or far away
+    this.lodGearThreshold = 30; // Gear count above which all gears simplify
+    this.lodDistanceFactor = 12; // Camera distance in outer diameters
+
     // XR state
     this.isXRPresenting = false;
     this.xrScale = 0.01; // 1:100 scale for VR (1 unit = 0.01m)
@@ -91,6 +169,7 @@ export class GearSimulator {
     this.dragOffset = new THREE.Vector3();
     this.dragStartY = 0; // For Z-axis drag tracking
     this.dragStartZ = 0;
+    this.dragStartStates = null; // Gear + shaft states when the drag began (for undo)
 
     // Raycaster for selection
     this.raycaster = new THREE.Raycaster();
@@ -153,10 +232,85 @@ export class GearSimulator {
     this.createLights();
     // this.createGrid();
     this.createControls();
+    this.bindEngineEvents();
     this.setupEventListeners();
     this.animate();
   }
 
+  /**
+   * The engine's gears (mutate them through the engine)
+   */
+  get gears() {
+    return this.engine.gears;
+  }
+
+  /**
+   * A gear's mesh, level-of-detail state, display helpers and the color
+   * an error highlight covers (undefined once the gear is removed)
+   */
+  viewOf(gear) {
+    return this.gearViews.get(gear.id);
+  }
+
+  /**
+   * Show a gear at the pose the engine holds
+   */
+  copyGearPose(gear) {
+    const view = this.viewOf(gear);
+    if (!view) return;
+    const { position, rotation } = gear;
+    view.mesh.position.set(position.x, position.y, position.z);
+    view.mesh.rotation.set(rotation.x, rotation.y, rotation.z);
+  }
+
+  /**
+   * Draw what the engine reports: error colors and messages, axles and
+   * carriers, gear info after speed changes
+   */
+  bindEngineEvents() {
+    const on = (type, listener) => this.engine.addEventListener(type, listener);
+
+    on("posechange", ({ gear }) => this.copyGearPose(gear));
+    on("errorstate", ({ gear, kind, other, jam }) =>
+      this.showErrorState(gear, kind, other, jam),
+    );
+    on("errorcleared", ({ gear }) => this.hideErrorState(gear));
+    on("poormesh", ({ gear, other, quality }) =>
+      this.showMeshQualityWarning(gear, other, quality),
+    );
+    on("speedschange", () => {
+      // Rebuilt meshes (parameter edits) come back in their own color
+      for (const gear of this.gears) {
+        if (gear.overstressError) {
+          this.viewOf(gear).mesh.material.color.setHex(
+            ERROR_STYLES.overstress.color,
+          );
+        }
+      }
+      this.updateGearInfo();
+    });
+    on("shaftschange", () => this.rebuildShaftMeshes());
+    on("planetarysetschange", () => this.rebuildCarrierMeshes());
+    on("racklimit", ({ gear }) => {
+      this.pause();
+      this.showTimedMessage(
+        `Rack #${gear.id} reached the end of its travel`,
+        "rgba(255, 152, 0, 0.95)",
+      );
+      this.debugLog(`RACK LIMIT: Gear#${gear.id}`);
+    });
+  }
+
+  /**
+   * Reconnect gears at meshing distance; the selected gear takes any
+   * overlap or jamming error it is part of
+   * @param {Object[]|null} [moved] - Only reconnect these gears (and any
+   *   others that moved), e.g. while dragging
+   */
+  updateConnections(moved = null) {
+    this.engine.updateConnections(this.selectedGear, moved);
+  }
+
   createScene() {
     this.scene = new THREE.Scene();
     // Set default background color (dark mode)
@@ -167,6 +321,9 @@ export class GearSimulator {
     this.worldGroup = new THREE.Group();
     this.worldGroup.name = "worldGroup";
     this.scene.add(this.worldGroup);
+
+    // Repeated gears are drawn in batches
+    this.instancedGears = new InstancedGears(this.worldGroup);
   }
 
   createCamera() {
@@ -303,6 +460,7 @@ export class GearSimulator {
 
   onXRSessionStart() {
     this.isXRPresenting = true;
+    this.lastFrameTime = null; // XR frames may use another time origin
     document.body.classList.add("xr-presenting");
 
     // Play introduction sound when entering WebXR
@@ -351,6 +509,7 @@ export class GearSimulator {
 
   onXRSessionEnd() {
     this.isXRPresenting = false;
+    this.lastFrameTime = null;
     document.body.classList.remove("xr-presenting");
 
     // Restore original background
@@ -401,7 +560,7 @@ export class GearSimulator {
     this.hideXRIncompatibilityMessage();
     for (const gear of this.gears) {
       if (gear && gear.incompatibleWith) {
-        this.clearIncompatibleState(gear);
+        this.engine.clearErrorState(gear);
       }
     }
   }
@@ -429,12 +588,12 @@ export class GearSimulator {
     this.xrRaycaster.set(origin, direction);
 
     // Check for gear intersection
-    const gearMeshes = this.gears.map((g) => g.mesh);
+    const gearMeshes = this.gears.map((g) => this.viewOf(g).mesh);
     const intersects = this.xrRaycaster.intersectObjects(gearMeshes);
 
     if (intersects.length > 0) {
       const clickedMesh = intersects[0].object;
-      const gear = this.gears.find((g) => g.mesh === clickedMesh);
+      const gear = this.gears.find((g) => this.viewOf(g).mesh === clickedMesh);
 
       if (gear) {
         this.beginGrab(gear, handedness, intersects[0].point, controller);
@@ -466,6 +625,7 @@ export class GearSimulator {
 
     state.isGrabbing = true;
     state.grabbedGear = gear;
+    state.startStates = this.captureGroupStates(gear);
 
     // Calculate offset from controller to gear center
     // Need to transform controller world position to worldGroup local space
@@ -478,21 +638,22 @@ export class GearSimulator {
     );
 
     // Offset is in local space (gear position is already in local space)
-    state.grabOffset.copy(gear.mesh.position).sub(localControllerPos);
+    state.grabOffset.copy(gear.position).sub(localControllerPos);
 
     // Mark gear as grabbed
-    gear.mesh.userData.isGrabbed = true;
-    gear.mesh.userData.grabHand = handedness;
+    const { mesh } = this.viewOf(gear);
+    mesh.userData.isGrabbed = true;
+    mesh.userData.grabHand = handedness;
 
     // Visual feedback - scale up slightly and increase emissive
-    gear.mesh.scale.set(1.02, 1.02, 1.02);
-    gear.mesh.material.emissive.setHex(0x555555);
+    mesh.scale.set(1.02, 1.02, 1.02);
+    mesh.material.emissive.setHex(0x555555);
 
     // Select this gear
     this.selectGear(gear);
 
     // Debug logging
-    const pos = gear.mesh.position;
+    const pos = gear.position;
     this.debugLog(
       `GRAB [${handedness}] Gear#${gear.id} T:${gear.params.teeth}`,
     );
@@ -509,8 +670,7 @@ export class GearSimulator {
 
       const gear = state.grabbedGear;
 
-      // Safely get position
-      const pos = gear.mesh ? gear.mesh.position : { x: 0, y: 0, z: 0 };
+      const pos = gear.position;
 
       this.debugLog(`RELEASE [${handedness}] Gear#${gear.id}`);
       this.debugLog(
@@ -531,18 +691,19 @@ export class GearSimulator {
       }
 
       // Reset gear visual state
-      if (gear.mesh) {
-        gear.mesh.scale.set(1, 1, 1);
+      const mesh = this.viewOf(gear)?.mesh;
+      if (mesh) {
+        mesh.scale.set(1, 1, 1);
         // Only reset emissive if NOT in incompatible state
-        if (gear.mesh.material && !gear.incompatibleWith) {
+        if (mesh.material && !gear.incompatibleWith) {
           if (gear === this.selectedGear) {
-            gear.mesh.material.emissive.setHex(0x00aa00);
+            mesh.material.emissive.setHex(0x00aa00);
           } else {
-            gear.mesh.material.emissive.setHex(0x000000);
+            mesh.material.emissive.setHex(0x000000);
           }
         }
-        gear.mesh.userData.isGrabbed = false;
-        gear.mesh.userData.grabHand = null;
+        mesh.userData.isGrabbed = false;
+        mesh.userData.grabHand = null;
       }
 
       // Clear state BEFORE updateConnections
@@ -552,11 +713,16 @@ export class GearSimulator {
 
       // Update connections (with error handling)
       try {
-        this.updateConnections();
+        this.updateConnections([gear]);
       } catch (connErr) {
         this.debugLog(`  conn error: ${connErr.message}`);
       }
 
+      // Whole grab (including snap and two-hand Z) is one history entry
+      this.recordGearsMove(state.startStates);
+      this.history.seal();
+      state.startStates = null;
+
       this.debugLog(`  release complete`);
     } catch (err) {
       console.error("releaseGrab error:", err);
@@ -624,7 +790,11 @@ export class GearSimulator {
     const localPos = this.worldGroup.worldToLocal(worldPos.clone());
 
     // Move gear to follow hand/controller with offset (in local space)
-    state.grabbedGear.mesh.position.copy(localPos).add(state.grabOffset);
+    this.engine.setGearPosition(
+      state.grabbedGear,
+      localPos.add(state.grabOffset),
+    );
+    this.engine.syncGroupedPositions(state.grabbedGear);
   }
 
   updatePinchDetection(hand, handedness) {
@@ -680,9 +850,14 @@ export class GearSimulator {
     let nearestDist = Infinity;
 
     for (const gear of this.gears) {
-      const dist = gear.mesh.position.distanceTo(pinchPosLocal);
+      const dist = pinchPosLocal.distanceTo(gear.position);
       // grabRadius in local space (pitch diameter is in mm)
-      const grabRadius = 5 + gear.params.pitchDiameter / 2;
+      const grabRadius =
+        5 +
+        (gear.params.type === "rack"
+          ? gear.params.outerDiameter
+          : gear.params.pitchDiameter) /
+          2;
 
       if (dist < grabRadius && dist < nearestDist) {
         nearestDist = dist;
@@ -743,7 +918,7 @@ export class GearSimulator {
       this.xrRaycaster.set(origin, direction);
 
       // Check for intersections with gears and UI
-      const gearMeshes = this.gears.map((g) => g.mesh);
+      const gearMeshes = this.gears.map((g) => this.viewOf(g).mesh);
       const allInteractables = [...gearMeshes];
 
       // Add UI buttons if panels exist
@@ -827,7 +1002,7 @@ export class GearSimulator {
 
       this.twoHandGrab.initialHandDistance =
         controller1Pos.distanceTo(controller2Pos);
-      this.twoHandGrab.initialGearZ = otherState.grabbedGear.mesh.position.z;
+      this.twoHandGrab.initialGearZ = otherState.grabbedGear.position.z;
     }
   }
 
@@ -859,8 +1034,9 @@ export class GearSimulator {
     // Divide by xrScale to convert world meters to local mm
     const zSensitivity = 1 / this.xrScale;
 
-    this.twoHandGrab.gear.mesh.position.z =
-      this.twoHandGrab.initialGearZ + distanceDelta * zSensitivity;
+    this.engine.setGearPosition(this.twoHandGrab.gear, {
+      z: this.twoHandGrab.initialGearZ + distanceDelta * zSensitivity,
+    });
   }
 
   // ==================== XR UI BUTTON INTERACTION ====================
@@ -988,7 +1164,7 @@ export class GearSimulator {
       0.05,
       "Add Gear",
       0x4a90d9,
-      () => this.addGear(),
+      () => this.recordEdit("Add gear", () => this.addGear()),
     );
     addGearBtn.position.set(0, yPos, 0.01);
     panel.add(addGearBtn);
@@ -999,7 +1175,7 @@ export class GearSimulator {
       0.05,
       "Delete Selected",
       0xf44336,
-      () => this.deleteSelectedGear(),
+      () => this.recordEdit("Delete gear", () => this.deleteSelectedGear()),
     );
     deleteBtn.position.set(0, yPos, 0.01);
     panel.add(deleteBtn);
@@ -1010,7 +1186,7 @@ export class GearSimulator {
       0.05,
       "Reset Scene",
       0xff9800,
-      () => this.resetScene(),
+      () => this.recordEdit("Reset scene", () => this.resetScene()),
     );
     resetBtn.position.set(0, yPos, 0.01);
     panel.add(resetBtn);
@@ -1084,13 +1260,10 @@ export class GearSimulator {
     yPos -= rowSpacing;
     const rpmControl = this.createValueControl(
       "rpm",
-      () => this.inputRPM,
-      (val) => {
-        this.inputRPM = val;
-        if (this.isPlaying) this.calculateGearSpeeds();
-      },
-      1,
-      1000,
+      () => this.engine.inputRPM,
+      (val) => this.engine.setInputRPM(val),
+      LOAD_LIMITS.inputRPM.min,
+      LOAD_LIMITS.inputRPM.max,
       10,
     );
     rpmControl.position.set(0, yPos, 0.01);
@@ -1171,6 +1344,51 @@ export class GearSimulator {
     boreControl.position.set(0, yPos, 0.01);
     panel.add(boreControl);
 
+    // Driver section
+    yPos -= buttonSpacing + 0.02;
+    const driverLabel = this.createTextCanvas(
+      "Driver",
+      150,
+      24,
+      "14px Arial",
+      "#a0a0a0",
+    );
+    const driverTexture = new THREE.CanvasTexture(driverLabel);
+    const driverMaterial = new THREE.MeshBasicMaterial({
+      map: driverTexture,
+      transparent: true,
+    });
+    const driverMesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(0.3, 0.04),
+      driverMaterial,
+    );
+    driverMesh.position.set(0, yPos, 0.01);
+    panel.add(driverMesh);
+
+    yPos -= rowSpacing;
+    const driverBtn = this.create3DButton(
+      0.45,
+      0.05,
+      "Toggle Driver",
+      0x4caf50,
+      () => this.toggleSelectedDriver(),
+    );
+    driverBtn.position.set(0, yPos, 0.01);
+    panel.add(driverBtn);
+
+    yPos -= rowSpacing;
+    const driverRpmControl = this.createValueControl(
+      "driverRpm",
+      () =>
+        this.selectedGear ? this.engine.getDriverRPM(this.selectedGear) : 0,
+      (val) => this.setSelectedDriverRPM(val),
+      -1000,
+      1000,
+      10,
+    );
+    driverRpmControl.position.set(0, yPos, 0.01);
+    panel.add(driverRpmControl);
+
     // Position panel to the left of user
     panel.position.set(-0.8, 1.2, -0.5);
     panel.rotation.y = Math.PI / 6; // 30 degrees
@@ -1321,7 +1539,7 @@ export class GearSimulator {
     if (input) input.value = newVal;
 
     // Apply the change
-    this.updateSelectedGearParams();
+    this.recordEdit("Edit gear", () => this.updateSelectedGearParams());
 
     // Update display
     this.updateValueDisplay(valueMesh, newVal);
@@ -1358,7 +1576,7 @@ export class GearSimulator {
     panel.name = "infoPanel";
 
     // Panel background
-    const bgGeometry = new THREE.PlaneGeometry(0.4, 0.5);
+    const bgGeometry = new THREE.PlaneGeometry(0.4, 0.76);
     const bgMaterial = new THREE.MeshBasicMaterial({
       color: 0x0f3460,
       transparent: true,
@@ -1386,14 +1604,14 @@ export class GearSimulator {
       new THREE.PlaneGeometry(0.32, 0.06),
       titleMaterial,
     );
-    titleMesh.position.set(0, 0.2, 0.01);
+    titleMesh.position.set(0, 0.33, 0.01);
     panel.add(titleMesh);
 
     // Info content placeholder (will be updated dynamically)
     const infoCanvas = this.createTextCanvas(
       "Select a gear\nto view info",
-      160,
-      150,
+      200,
+      320,
       "14px Arial",
       "#a0a0a0",
       true,
@@ -1404,10 +1622,10 @@ export class GearSimulator {
       transparent: true,
     });
     const infoMesh = new THREE.Mesh(
-      new THREE.PlaneGeometry(0.32, 0.3),
+      new THREE.PlaneGeometry(0.38, 0.608),
       infoMaterial,
     );
-    infoMesh.position.set(0, -0.02, 0.01);
+    infoMesh.position.set(0, -0.03, 0.01);
     infoMesh.name = "infoContent";
     panel.add(infoMesh);
 
@@ -1422,8 +1640,8 @@ export class GearSimulator {
     const panel = new THREE.Group();
     panel.name = "quickActionsPanel";
 
-    // Panel background
-    const bgGeometry = new THREE.PlaneGeometry(0.6, 0.12);
+    // Panel background (two rows: actions, then the simulation clock)
+    const bgGeometry = new THREE.PlaneGeometry(1.0, 0.22);
     const bgMaterial = new THREE.MeshBasicMaterial({
       color: 0x1a1a2e,
       transparent: true,
@@ -1434,24 +1652,79 @@ export class GearSimulator {
     panel.add(background);
 
     // Quick action buttons
+    const undoBtn = this.create3DButton(0.15, 0.08, "Undo", 0x607d8b, () =>
+      this.undo(),
+    );
+    undoBtn.position.set(-0.4, 0.05, 0.01);
+    panel.add(undoBtn);
+
     const playBtn = this.create3DButton(0.15, 0.08, "Play", 0x4caf50, () =>
       this.play(),
     );
-    playBtn.position.set(-0.2, 0, 0.01);
+    playBtn.position.set(-0.2, 0.05, 0.01);
     panel.add(playBtn);
 
     const pauseBtn = this.create3DButton(0.15, 0.08, "Pause", 0xff9800, () =>
       this.pause(),
     );
-    pauseBtn.position.set(0, 0, 0.01);
+    pauseBtn.position.set(0, 0.05, 0.01);
     panel.add(pauseBtn);
 
     const resetBtn = this.create3DButton(0.15, 0.08, "Reset", 0x9e9e9e, () =>
       this.resetAnimation(),
     );
-    resetBtn.position.set(0.2, 0, 0.01);
+    resetBtn.position.set(0.2, 0.05, 0.01);
     panel.add(resetBtn);
 
+    const redoBtn = this.create3DButton(0.15, 0.08, "Redo", 0x607d8b, () =>
+      this.redo(),
+    );
+    redoBtn.position.set(0.4, 0.05, 0.01);
+    panel.add(redoBtn);
+
+    // Simulation clock: step back / slower / time scale / faster / step
+    const stepBackBtn = this.create3DButton(0.15, 0.07, "< Step", 0x3f51b5, () =>
+      this.stepSimulation(-1),
+    );
+    stepBackBtn.position.set(-0.4, -0.05, 0.01);
+    panel.add(stepBackBtn);
+
+    const slowerBtn = this.create3DButton(0.15, 0.07, "Slower", 0x3f51b5, () =>
+      this.shiftTimeScale(-1),
+    );
+    slowerBtn.position.set(-0.2, -0.05, 0.01);
+    panel.add(slowerBtn);
+
+    const scaleCanvas = this.createTextCanvas(
+      this.timeScale.toString(),
+      80,
+      24,
+      "14px Arial",
+      "#ffffff",
+    );
+    const scaleMesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(0.12, 0.04),
+      new THREE.MeshBasicMaterial({
+        map: new THREE.CanvasTexture(scaleCanvas),
+        transparent: true,
+      }),
+    );
+    scaleMesh.position.set(0, -0.05, 0.01);
+    scaleMesh.name = "timeScaleValue";
+    panel.add(scaleMesh);
+
+    const fasterBtn = this.create3DButton(0.15, 0.07, "Faster", 0x3f51b5, () =>
+      this.shiftTimeScale(1),
+    );
+    fasterBtn.position.set(0.2, -0.05, 0.01);
+    panel.add(fasterBtn);
+
+    const stepFwdBtn = this.create3DButton(0.15, 0.07, "Step >", 0x3f51b5, () =>
+      this.stepSimulation(1),
+    );
+    stepFwdBtn.position.set(0.4, -0.05, 0.01);
+    panel.add(stepFwdBtn);
+
     // Position panel above and in front of user
     panel.position.set(0, 1.8, -0.6);
     panel.rotation.x = -Math.PI / 12; // -15 degrees (tilted toward user)
@@ -1663,7 +1936,20 @@ export class GearSimulator {
     if (rpmControl) {
       const rpmValue = rpmControl.getObjectByName("rpmValue");
       if (rpmValue) {
-        this.updateValueDisplay(rpmValue, this.inputRPM);
+        this.updateValueDisplay(rpmValue, this.engine.inputRPM);
+      }
+    }
+
+    // Update driver RPM display
+    const driverRpmControl =
+      this.xrPanels.left.getObjectByName("driverRpmControl");
+    if (driverRpmControl && this.selectedGear) {
+      const driverRpmValue = driverRpmControl.getObjectByName("driverRpmValue");
+      if (driverRpmValue) {
+        this.updateValueDisplay(
+          driverRpmValue,
+          this.engine.getDriverRPM(this.selectedGear),
+        );
       }
     }
 
@@ -1699,7 +1985,7 @@ export class GearSimulator {
 
     let text;
     let textColor = "#e8e8e8";
-    let errorState = null; // null, "incompatible", "jamming", or "overlap"
+    let errorState = null; // null, "incompatible", "jamming", "overlap" or "overstress"
 
     if (this.selectedGear && this.selectedGear.params) {
       const gear = this.selectedGear;
@@ -1720,6 +2006,29 @@ export class GearSimulator {
             `close together.\n` +
             `\n` +
             `Move gear away`;
+        } else if (gear.driverConflictError) {
+          // Two drivers fighting over one train
+          errorState = "jamming";
+          text =
+            `--- Gear #${gear.id} ---\n` +
+            `!! DRIVER CONFLICT !!\n` +
+            `\n` +
+            `Gear #${gear.incompatibleWith.id} also drives\n` +
+            `this train at a\n` +
+            `different speed.\n` +
+            `Change RPM or driver`;
+        } else if (gear.overstressError) {
+          // Teeth over their allowable stress
+          errorState = "overstress";
+          text =
+            `--- Gear #${gear.id} ---\n` +
+            `!! OVERSTRESSED !!\n` +
+            `\n` +
+            `Bending SF: ${gear.strength.bendingSafety.toFixed(2)}\n` +
+            `Contact SF: ${gear.strength.contactSafety.toFixed(2)}\n` +
+            `\n` +
+            `Reduce torque or\n` +
+            `enlarge the gear`;
         } else if (gear.jammingError) {
           // Jamming error (locked cycle)
           errorState = "jamming";
@@ -1732,27 +2041,67 @@ export class GearSimulator {
             `\n` +
             `Move gear away`;
         } else {
-          // Module incompatibility
+          // Module or helix incompatibility
           errorState = "incompatible";
-          const targetModule = gear.incompatibleWith.params?.module || "?";
+          const target = gear.incompatibleWith;
+          const reason = target.params
+            ? this.engine.getIncompatibility(gear, target)
+            : "module";
           text =
             `--- Gear #${gear.id} ---\n` +
             `!! INCOMPATIBLE !!\n` +
-            `Module: ${gear.params.module}\n` +
-            `Target: ${targetModule}\n` +
-            `\n` +
-            `Move gear away\n` +
-            `or change module`;
+            (reason === "coneAngle"
+              ? `Cone: ${gear.params.coneAngle}°\n` +
+                `Target: ${target.params.coneAngle}°\n` +
+                `\n` +
+                `Move gear away\n` +
+                `or change cone`
+              : ["helixAngle", "hand", "leadAngle"].includes(reason)
+                ? `Helix: ${this.describeHelix(gear.params)}\n` +
+                  `Target: ${this.describeHelix(target.params)}\n` +
+                  `\n` +
+                  `Move gear away\n` +
+                  `or change helix`
+                : `Module: ${gear.params.module}\n` +
+                  `Target: ${target.params?.module || "?"}\n` +
+                  `\n` +
+                  `Move gear away\n` +
+                  `or change module`);
         }
       } else {
         text =
           `--- Gear #${gear.id} ---\n` +
-          `Teeth: ${gear.params.teeth}\n` +
-          `Pitch: ${gear.params.pitchDiameter.toFixed(1)}mm\n` +
-          `Module: ${gear.params.module}\n` +
+          (gear.params.type === "worm"
+            ? `Starts: ${gear.params.starts}`
+            : `Teeth: ${gear.params.teeth}`) +
+          `${gear.params.type === "internal" ? " (ring)" : ""}` +
+          `${this.getUndercut(gear.params) ? " (undercut)" : ""}\n` +
+          (gear.params.type === "rack"
+            ? `Length: ${gear.params.outerDiameter.toFixed(1)}mm\n`
+            : `Pitch: ${gear.params.pitchDiameter.toFixed(1)}mm\n`) +
+          `Module: ${gear.params.module}` +
+          `${gear.params.helixAngle ? `, helix ${gear.params.helixAngle}°${gear.params.hand === "left" ? "L" : "R"}` : ""}` +
+          `${gear.params.type === "bevel" ? `, cone ${gear.params.coneAngle}°` : ""}\n` +
           `RPM: ${gear.rpm.toFixed(1)}\n` +
-          `Direction: ${directionText}\n` +
-          `Connected: ${gear.connectedTo ? gear.connectedTo.length : 0}`;
+          `Direction: ${directionText}` +
+          `${gear.params.helixAngle ? `, thrust ${this.describeAxialThrust(gear, true)}` : ""}\n` +
+          `Driver: ${gear.isDriver ? this.engine.getDriverRPM(gear) + " RPM" : "No"}\n` +
+          (gear.load
+            ? (gear.params.type === "rack"
+                ? ""
+                : `Torque: ${gear.load.torque.toFixed(2)} N·m\n`) +
+              `Power: ${gear.load.power.toFixed(1)} W\n` +
+              `Tooth force: ${gear.load.toothForce.toFixed(1)} N\n` +
+              (gear.load.branched ? "(worst case per branch)\n" : "")
+            : "") +
+          (gear.strength
+            ? `Bending SF: ${gear.strength.bendingSafety.toFixed(2)}\n` +
+              `Contact SF: ${gear.strength.contactSafety.toFixed(2)}\n`
+            : "") +
+          `Connected: ${gear.connectedTo ? gear.connectedTo.length : 0}\n` +
+          this.describeWorstMesh(gear) +
+          `Shaft: ${gear.shaftId != null ? "#" + gear.shaftId : "-"}\n` +
+          `Planetary: ${gear.planetary ? gear.planetary.role + ", " + gear.planetary.held + " held" : "-"}`;
       }
     } else {
       text = "Select a gear\nto view info";
@@ -1765,6 +2114,8 @@ export class GearSimulator {
         bgMesh.material.color.setHex(0x4a148c); // Dark purple for overlap
       } else if (errorState === "jamming") {
         bgMesh.material.color.setHex(0x8b4500); // Dark orange for jamming
+      } else if (errorState === "overstress") {
+        bgMesh.material.color.setHex(0x880e4f); // Dark pink for overstress
       } else if (errorState === "incompatible") {
         bgMesh.material.color.setHex(0x8b0000); // Dark red for incompatibility
       } else {
@@ -1780,8 +2131,8 @@ export class GearSimulator {
     // Update texture
     const canvas = this.createTextCanvas(
       text,
-      160,
-      150,
+      200,
+      320,
       "14px Arial",
       textColor,
       true,
@@ -1841,6 +2192,9 @@ export class GearSimulator {
     // Window resize
     window.addEventListener("resize", () => this.onWindowResize());
 
+    // Undo / redo shortcuts
+    window.addEventListener("keydown", (e) => this.onKeyDown(e));
+
     // Mouse events for gear selection and dragging
     this.canvas.addEventListener("mousedown", (e) => this.onMouseDown(e));
     this.canvas.addEventListener("mousemove", (e) => this.onMouseMove(e));
@@ -1850,13 +2204,81 @@ export class GearSimulator {
     // UI Controls
     document
       .getElementById("btn-add-gear")
-      .addEventListener("click", () => this.addGear());
+      .addEventListener("click", () =>
+        this.recordEdit("Add gear", () => this.addGear()),
+      );
     document
       .getElementById("btn-delete-gear")
-      .addEventListener("click", () => this.deleteSelectedGear());
+      .addEventListener("click", () =>
+        this.recordEdit("Delete gear", () => this.deleteSelectedGear()),
+      );
     document
       .getElementById("btn-reset-scene")
-      .addEventListener("click", () => this.resetScene());
+      .addEventListener("click", () =>
+        this.recordEdit("Reset scene", () => this.resetScene()),
+      );
+
+    // Project files
+    const projectInput = document.getElementById("input-load-project");
+    document
+      .getElementById("btn-save-project")
+      .addEventListener("click", () => this.saveProject());
+    document
+      .getElementById("btn-load-project")
+      .addEventListener("click", () => projectInput.click());
+    projectInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      if (file) this.loadProjectFile(file);
+      // Allow re-loading the same file
+      e.target.value = "";
+    });
+    document
+      .getElementById("btn-share-link")
+      .addEventListener("click", () => this.copyShareLink());
+    const tableInput = document.getElementById("input-import-table");
+    document
+      .getElementById("btn-import-table")
+      .addEventListener("click", () => tableInput.click());
+    tableInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      if (file) this.importGearTableFile(file);
+      e.target.value = "";
+    });
+
+    // Profile export
+    const exportProfiles = (format) =>
+      this.exportProfiles(
+        format,
+        document.getElementById("export-scope").value,
+        document.getElementById("export-center-mark").checked,
+      );
+    document
+      .getElementById("btn-export-svg")
+      .addEventListener("click", () => exportProfiles("svg"));
+    document
+      .getElementById("btn-export-dxf")
+      .addEventListener("click", () => exportProfiles("dxf"));
+
+    // 3D model export
+    const clearanceInput = document.getElementById("export-clearance");
+    const exportModel = (format) => {
+      const { min, max } = CLEARANCE_LIMITS;
+      const clearance = Math.max(
+        min,
+        Math.min(max, parseFloat(clearanceInput.value) || 0),
+      );
+      clearanceInput.value = clearance;
+      this.exportModel(format, clearance);
+    };
+    document
+      .getElementById("btn-export-stl")
+      .addEventListener("click", () => exportModel("stl"));
+    document
+      .getElementById("btn-export-obj")
+      .addEventListener("click", () => exportModel("obj"));
+    document
+      .getElementById("btn-export-gltf")
+      .addEventListener("click", () => exportModel("gltf"));
 
     document
       .getElementById("btn-play")
@@ -1867,31 +2289,126 @@ export class GearSimulator {
     document
       .getElementById("btn-reset-animation")
       .addEventListener("click", () => this.resetAnimation());
+    document
+      .getElementById("btn-step-back")
+      .addEventListener("click", () => this.stepSimulation(-1));
+    document
+      .getElementById("btn-step-forward")
+      .addEventListener("click", () => this.stepSimulation(1));
+    document.getElementById("time-scale").addEventListener("input", (e) => {
+      this.setTimeScale(Math.pow(10, parseFloat(e.target.value)));
+    });
 
     document.getElementById("input-rpm").addEventListener("change", (e) => {
-      this.inputRPM = parseFloat(e.target.value) || 30;
+      this.engine.setInputRPM(parseFloat(e.target.value) || 30);
+      e.target.value = this.engine.inputRPM;
+    });
+
+    // Load controls
+    document.getElementById("input-torque").addEventListener("change", (e) => {
+      this.engine.setInputTorque(parseFloat(e.target.value) || 0);
+      e.target.value = this.engine.inputTorque;
+    });
+    document
+      .getElementById("mesh-efficiency")
+      .addEventListener("change", (e) => {
+        const percent = parseFloat(e.target.value);
+        this.engine.setMeshEfficiency(
+          Number.isFinite(percent) ? percent / 100 : DEFAULT_MESH_EFFICIENCY,
+        );
+        e.target.value = +(this.engine.meshEfficiency * 100).toFixed(2);
+      });
+
+    // Shaft controls
+    document
+      .getElementById("btn-add-compound")
+      .addEventListener("click", () =>
+        this.recordEdit("Add gear on shaft", () => this.addCompoundGear()),
+      );
+    document
+      .getElementById("btn-attach-shaft")
+      .addEventListener("click", () =>
+        this.recordEdit("Attach to shaft", () =>
+          this.attachSelectedToNearestShaft(),
+        ),
+      );
+    document
+      .getElementById("btn-detach-shaft")
+      .addEventListener("click", () =>
+        this.recordEdit("Detach from shaft", () =>
+          this.detachSelectedFromShaft(),
+        ),
+      );
+
+    // Planetary set controls
+    document
+      .getElementById("btn-add-planetary")
+      .addEventListener("click", () =>
+        this.recordEdit("Add planetary set", () =>
+          this.addPlanetarySetFromInputs(),
+        ),
+      );
+    document
+      .getElementById("planetary-held")
+      .addEventListener("change", (e) =>
+        this.recordEdit("Change held member", () =>
+          this.setSelectedPlanetaryHeld(e.target.value),
+        ),
+      );
+
+    // Driver controls
+    document
+      .getElementById("btn-set-driver")
+      .addEventListener("click", () => this.toggleSelectedDriver());
+    document.getElementById("driver-rpm").addEventListener("change", (e) => {
+      this.setSelectedDriverRPM(parseFloat(e.target.value) || 0);
     });
 
     // Parameter inputs
     const paramInputs = [
+      "param-type",
       "param-teeth",
       "param-module",
       "param-pressure-angle",
       "param-thickness",
       "param-bore",
+      "param-profile-shift",
+      "param-helix-angle",
+      "param-hand",
+      "param-cone-angle",
+      "param-starts",
+      "param-diameter-quotient",
+      "param-material",
       "param-color",
     ];
     paramInputs.forEach((id) => {
       document
         .getElementById(id)
-        .addEventListener("change", () => this.updateSelectedGearParams());
+        .addEventListener("change", () =>
+          this.recordEdit("Edit gear", () => this.updateSelectedGearParams()),
+        );
+    });
+
+    // Undercut hint follows the inputs while typing
+    [
+      "param-type",
+      "param-teeth",
+      "param-pressure-angle",
+      "param-profile-shift",
+      "param-helix-angle",
+    ].forEach((id) => {
+      document
+        .getElementById(id)
+        .addEventListener("input", () => this.updateUndercutHint());
     });
 
     // Position inputs
     ["pos-x", "pos-y", "pos-z"].forEach((id) => {
       document
         .getElementById(id)
-        .addEventListener("change", () => this.updateSelectedGearPosition());
+        .addEventListener("change", () =>
+          this.recordEdit("Move gear", () => this.updateSelectedGearPosition()),
+        );
     });
 
     // Display toggles
@@ -1932,12 +2449,12 @@ export class GearSimulator {
     this.updateMouse(event);
     this.raycaster.setFromCamera(this.mouse, this.camera);
 
-    const gearMeshes = this.gears.map((g) => g.mesh);
+    const gearMeshes = this.gears.map((g) => this.viewOf(g).mesh);
     const intersects = this.raycaster.intersectObjects(gearMeshes);
 
     if (intersects.length > 0) {
       const clickedMesh = intersects[0].object;
-      const gear = this.gears.find((g) => g.mesh === clickedMesh);
+      const gear = this.gears.find((g) => this.viewOf(g).mesh === clickedMesh);
       this.selectGear(gear);
     } else {
       this.selectGear(null);
@@ -1950,7 +2467,7 @@ export class GearSimulator {
     this.updateMouse(event);
     this.raycaster.setFromCamera(this.mouse, this.camera);
 
-    const gearMeshes = this.gears.map((g) => g.mesh);
+    const gearMeshes = this.gears.map((g) => this.viewOf(g).mesh);
     const intersects = this.raycaster.intersectObjects(gearMeshes);
 
     if (intersects.length > 0) {
@@ -1958,17 +2475,18 @@ export class GearSimulator {
       this.isDragging = true;
 
       const clickedMesh = intersects[0].object;
-      const gear = this.gears.find((g) => g.mesh === clickedMesh);
+      const gear = this.gears.find((g) => this.viewOf(g).mesh === clickedMesh);
       this.selectGear(gear);
 
       // Calculate drag offset for XY plane
       const intersectPoint = new THREE.Vector3();
       this.raycaster.ray.intersectPlane(this.dragPlaneXY, intersectPoint);
-      this.dragOffset.copy(intersectPoint).sub(gear.mesh.position);
+      this.dragOffset.copy(intersectPoint).sub(gear.position);
 
       // Store initial mouse Y and gear Z for Z-axis dragging
       this.dragStartY = event.clientY;
-      this.dragStartZ = gear.mesh.position.z;
+      this.dragStartZ = gear.position.z;
+      this.dragStartStates = this.captureGroupStates(gear);
     }
   }
 
@@ -1981,8 +2499,9 @@ export class GearSimulator {
         // Mouse moving up = positive Z, mouse moving down = negative Z
         const deltaY = this.dragStartY - event.clientY;
         const zSensitivity = 0.5; // Adjust for finer/coarser control
-        this.selectedGear.mesh.position.z =
-          this.dragStartZ + deltaY * zSensitivity;
+        this.engine.setGearPosition(this.selectedGear, {
+          z: this.dragStartZ + deltaY * zSensitivity,
+        });
       } else {
         // Normal drag: move in XY plane
         this.raycaster.setFromCamera(this.mouse, this.camera);
@@ -1991,26 +2510,33 @@ export class GearSimulator {
         this.raycaster.ray.intersectPlane(this.dragPlaneXY, intersectPoint);
 
         const newPosition = intersectPoint.sub(this.dragOffset);
-        this.selectedGear.mesh.position.x = newPosition.x;
-        this.selectedGear.mesh.position.y = newPosition.y;
+        this.engine.setGearPosition(this.selectedGear, {
+          x: newPosition.x,
+          y: newPosition.y,
+        });
 
         // Check for snap-to-mesh
         this.checkSnapToMesh(this.selectedGear);
+
+        // Gears on the same shaft or planetary set follow in XY
+        this.engine.syncGroupedPositions(this.selectedGear);
       }
 
       this.updatePositionInputs();
-      this.updateConnections();
+      this.updateConnections([this.selectedGear]);
+      this.recordGearsMove(this.dragStartStates);
     } else {
       // Hover highlighting
       this.raycaster.setFromCamera(this.mouse, this.camera);
-      const gearMeshes = this.gears.map((g) => g.mesh);
+      const gearMeshes = this.gears.map((g) => this.viewOf(g).mesh);
       const intersects = this.raycaster.intersectObjects(gearMeshes);
 
       this.gears.forEach((g) => {
         // Don't override emissive if gear is in incompatible state
         if (g !== this.selectedGear && !g.incompatibleWith) {
-          g.mesh.material.emissive.setHex(
-            intersects.length > 0 && intersects[0].object === g.mesh
+          const { mesh } = this.viewOf(g);
+          mesh.material.emissive.setHex(
+            intersects.length > 0 && intersects[0].object === mesh
               ? 0x333333
               : 0x000000,
           );
@@ -2022,156 +2548,101 @@ export class GearSimulator {
   onMouseUp() {
     this.isDragging = false;
     this.orbitControls.enabled = true;
+
+    // Next drag starts a new history entry
+    this.history.seal();
+    this.dragStartStates = null;
   }
 
   checkSnapToMesh(movingGear) {
-    if (!movingGear || !movingGear.mesh || !movingGear.params) {
-      return false;
-    }
-
-    const snapThreshold = 5;
-
-    for (const gear of this.gears) {
-      if (gear === movingGear) continue;
-      if (!gear || !gear.mesh || !gear.params) continue;
-
-      const idealDistance =
-        (movingGear.params.pitchDiameter + gear.params.pitchDiameter) / 2;
-      const currentDistance = movingGear.mesh.position.distanceTo(
-        gear.mesh.position,
-      );
-
-      // Check for overlap first (gears too close together)
-      if (this.checkGearsOverlap(movingGear, gear)) {
-        this.setOverlapState(movingGear, gear);
-        return false;
-      }
+    if (!movingGear || !this.viewOf(movingGear)) return false;
 
-      const diff = Math.abs(currentDistance - idealDistance);
-
-      if (diff < snapThreshold && diff > 0.1) {
-        // Check module compatibility before snapping
-        if (!this.areGearsCompatible(movingGear, gear)) {
-          // Incompatible gears - show visual feedback but don't snap
-          this.setIncompatibleState(movingGear, gear);
-          return false;
-        }
-
-        // Check if this connection would cause gear jamming (locked cycle)
-        if (this.wouldCauseJamming(movingGear, gear)) {
-          // Jamming - show visual feedback but don't snap
-          this.setJammingState(movingGear, gear);
-          return false;
-        }
-
-        // Clear any previous incompatible state
-        if (movingGear.incompatibleWith) {
-          this.clearIncompatibleState(movingGear);
-        }
-
-        // Snap to ideal meshing distance
-        const direction = new THREE.Vector3()
-          .subVectors(movingGear.mesh.position, gear.mesh.position)
-          .normalize();
-
-        movingGear.mesh.position.copy(
-          gear.mesh.position
-            .clone()
-            .add(direction.multiplyScalar(idealDistance)),
-        );
-
-        // Connect gears
-        if (!movingGear.connectedTo.includes(gear)) {
-          this.connectGears(movingGear, gear);
-        }
-
-        // Play snap sound
-        this.playSound("placeGear");
-
-        return true; // Snapped!
-      }
-    }
-    return false; // No snap
+    const snapped = this.engine.snapToMesh(movingGear);
+    if (snapped) this.playSound("placeGear");
+    return snapped;
   }
 
-  areGearsCompatible(gear1, gear2) {
-    if (!gear1 || !gear2 || !gear1.params || !gear2.params) return false;
-    return Math.abs(gear1.params.module - gear2.params.module) < 0.001;
+  /**
+   * Helix angle and hand for display, e.g. "15° right" (a worm's lead angle)
+   */
+  describeHelix(params) {
+    if (params.type === "worm") {
+      return `${this.engine.getLeadAngle(params).toFixed(1)}° ${params.hand} worm`;
+    }
+    return params.helixAngle ? `${params.helixAngle}° ${params.hand}` : "spur";
   }
 
-  wouldCauseJamming(gear1, gear2) {
-    // Check if connecting gear1 to gear2 would create a cycle
-    // that causes rotation direction conflict (gear jamming)
-    //
-    // A cycle with odd number of meshings causes jamming because
-    // each meshing reverses rotation direction. Odd reversals = conflict.
+  /**
+   * Color a gear the engine flagged and show why
+   * @param {Object} gear
+   * @param {string} kind - One of ERROR_KINDS
+   * @param {Object} other - Gear it conflicts with
+   * @param {Object|null} [jam] - Locked loop of a jamming gear
+   */
+  showErrorState(gear, kind, other, jam = null) {
+    const view = this.viewOf(gear);
+    if (!view || !view.mesh.material) return;
 
-    if (!gear1 || !gear2) return false;
-
-    // If neither gear has connections, no cycle can be formed
-    const gear1HasConnections = gear1.connectedTo && gear1.connectedTo.length > 0;
-    const gear2HasConnections = gear2.connectedTo && gear2.connectedTo.length > 0;
-
-    if (!gear1HasConnections && !gear2HasConnections) return false;
-
-    // BFS to find if there's already a path between gear1 and gear2
-    // If there is, connecting them would create a cycle
-    const visited = new Set();
-    const queue = [{ gear: gear1, depth: 0 }];
-    visited.add(gear1);
-
-    while (queue.length > 0) {
-      const { gear, depth } = queue.shift();
+    // Store original color if not already stored
+    if (!view.originalColor) {
+      view.originalColor = view.mesh.material.color.getHex();
+    }
 
-      for (const connected of gear.connectedTo || []) {
-        if (connected === gear2) {
-          // Found a path from gear1 to gear2
-          // Adding direct connection would create a cycle of length (depth + 2)
-          // depth = edges traversed, +1 for this final edge to gear2, +1 for new direct edge
-          const cycleLength = depth + 2;
-          if (cycleLength % 2 === 1) {
-            return true; // Odd cycle = jamming
-          }
-          // Even cycle is OK (like a square of 4 gears)
-          return false;
-        }
+    const style = ERROR_STYLES[kind];
+    view.mesh.material.color.setHex(style.color);
+    view.mesh.material.emissive.setHex(style.emissive);
 
-        if (!visited.has(connected)) {
-          visited.add(connected);
-          queue.push({ gear: connected, depth: depth + 1 });
-        }
+    if (kind === "overlap") this.showOverlapMessage(gear, other);
+    else if (kind === "jamming") {
+      // Every gear of a locked loop is flagged in turn; tell only once
+      if (!jam || jam.loop.find((g) => g.jammingError) === gear) {
+        this.showJammingMessage(gear, jam);
       }
-    }
+    } else if (kind === "incompatible") {
+      this.showIncompatibilityMessage(gear, other);
+    } else if (kind === "driverConflict") {
+      this.showDriverConflictMessage(gear, other);
+    } else this.showOverstressMessage(gear);
 
-    return false; // No cycle would be created
+    // Update XR info panel immediately if in XR mode and this gear is selected
+    if (this.isXRPresenting && gear === this.selectedGear) {
+      this.updateInfoPanelContent();
+    }
   }
 
-  setJammingState(movingGear, targetGear) {
-    if (!movingGear || !movingGear.mesh || !movingGear.mesh.material) return;
+  hideErrorState(gear) {
+    const wasSelected = gear === this.selectedGear;
 
-    // Store original color if not already stored
-    if (!movingGear.originalColor) {
-      movingGear.originalColor = movingGear.mesh.material.color.getHex();
+    // Restore original color
+    const view = this.viewOf(gear);
+    if (view?.originalColor && view.mesh.material) {
+      view.mesh.material.color.setHex(view.originalColor);
+      // Respect selection state for emissive
+      if (wasSelected) {
+        view.mesh.material.emissive.setHex(0x00aa00);
+      } else {
+        view.mesh.material.emissive.setHex(0x000000);
+      }
     }
+    if (view) view.originalColor = null;
 
-    // Set jamming reference (reuse incompatibleWith field)
-    movingGear.incompatibleWith = targetGear;
-    movingGear.jammingError = true; // Flag to distinguish from module incompatibility
-
-    // Change color to orange/yellow for jamming
-    movingGear.mesh.material.color.setHex(0xff9800);
-    movingGear.mesh.material.emissive.setHex(0x332200);
-
-    // Show jamming message
-    this.showJammingMessage(movingGear);
+    // Hide incompatibility message
+    this.hideIncompatibilityMessage();
 
-    // Update XR info panel immediately if in XR mode and this gear is selected
-    if (this.isXRPresenting && movingGear === this.selectedGear) {
+    // Update XR info panel immediately if in XR mode and this gear was selected
+    if (this.isXRPresenting && wasSelected) {
       this.updateInfoPanelContent();
     }
   }
 
-  showJammingMessage(gear) {
+  /**
+   * @param {Object} gear
+   * @param {Object|null} [jam] - Locked loop the gear is part of
+   */
+  showJammingMessage(
+    gear,
+    jam = this.engine.jams.find((j) => j.loop.includes(gear)) || null,
+  ) {
     // Play jammed gear sound
     this.playSound("jammedGear");
 
@@ -2183,7 +2654,7 @@ export class GearSimulator {
       if (msgElement) {
         const textElement = msgElement.querySelector(".message-text");
         if (textElement) {
-          textElement.textContent = `Gear jamming! This position creates a locked gear train cycle.`;
+          textElement.textContent = this.describeJam(gear, jam);
         }
         // Change background to orange for jamming
         msgElement.style.background = "rgba(255, 152, 0, 0.95)";
@@ -2191,48 +2662,31 @@ export class GearSimulator {
       }
     }
 
-    this.debugLog(`JAMMING: Gear#${gear.id} creates locked cycle`);
-  }
-
-  checkGearsOverlap(gear1, gear2) {
-    // Check if two gears are overlapping (too close together)
-    // Overlap occurs when center distance is less than ideal meshing distance
-    if (!gear1 || !gear2 || !gear1.mesh || !gear2.mesh) return false;
-    if (!gear1.params || !gear2.params) return false;
-
-    const idealDistance =
-      (gear1.params.pitchDiameter + gear2.params.pitchDiameter) / 2;
-    const currentDistance = gear1.mesh.position.distanceTo(gear2.mesh.position);
-
-    // Overlap threshold: if closer than 90% of ideal distance, they're overlapping
-    const overlapThreshold = idealDistance * 0.9;
-
-    return currentDistance < overlapThreshold;
+    const loop = jam ? jam.loop.map((g) => `#${g.id}`).join(" → ") : "";
+    this.debugLog(
+      gear.selfLockError
+        ? `JAMMING: Gear#${gear.id} is a backdriven self-locking worm`
+        : `JAMMING: Gear#${gear.id} creates locked cycle` +
+            (jam ? ` (${jam.reason}: ${loop})` : ""),
+    );
   }
 
-  setOverlapState(movingGear, targetGear) {
-    if (!movingGear || !movingGear.mesh || !movingGear.mesh.material) return;
-
-    // Store original color if not already stored
-    if (!movingGear.originalColor) {
-      movingGear.originalColor = movingGear.mesh.material.color.getHex();
+  /**
+   * Why a gear jams, naming the gears of its locked loop
+   */
+  describeJam(gear, jam) {
+    if (gear.selfLockError) {
+      return `Gear jamming! Gear #${gear.id} is a self-locking worm; its wheel cannot drive it.`;
     }
-
-    // Set overlap reference
-    movingGear.incompatibleWith = targetGear;
-    movingGear.overlapError = true; // Flag to distinguish from other errors
-
-    // Change color to purple for overlap
-    movingGear.mesh.material.color.setHex(0x9c27b0);
-    movingGear.mesh.material.emissive.setHex(0x220033);
-
-    // Show overlap message
-    this.showOverlapMessage(movingGear, targetGear);
-
-    // Update XR info panel immediately if in XR mode and this gear is selected
-    if (this.isXRPresenting && movingGear === this.selectedGear) {
-      this.updateInfoPanelContent();
+    if (!jam) {
+      return "Gear jamming! This position creates a locked gear train cycle.";
     }
+
+    const ids = jam.loop.map((g) => `#${g.id}`);
+    const names = `${ids.slice(0, -1).join(", ")} and ${ids[ids.length - 1]}`;
+    return jam.reason === "direction"
+      ? `Gear jamming! Gears ${names} form a loop that turns against itself.`
+      : `Gear jamming! The speed ratios around gears ${names} do not match.`;
   }
 
   showOverlapMessage(gear, targetGear) {
@@ -2350,99 +2804,87 @@ export class GearSimulator {
     this.xrPanels.incompatibility = panel;
   }
 
-  setIncompatibleState(movingGear, targetGear) {
-    if (!movingGear || !movingGear.mesh || !movingGear.mesh.material) return;
-
-    // Store original color if not already stored
-    if (!movingGear.originalColor) {
-      movingGear.originalColor = movingGear.mesh.material.color.getHex();
+  showIncompatibilityMessage(movingGear, targetGear) {
+    const moving = movingGear.params;
+    const target = targetGear.params;
+
+    let text = `Module ${moving.module} cannot mesh with Module ${target.module}`;
+    let xrText = `Module ${moving.module} \u2260 Module ${target.module}`;
+    switch (this.engine.getIncompatibility(movingGear, targetGear)) {
+      case "helixAngle":
+        text = `Helix angle ${moving.helixAngle}° cannot mesh with ${target.helixAngle}°`;
+        xrText = `Helix ${moving.helixAngle}° \u2260 Helix ${target.helixAngle}°`;
+        break;
+      case "coneAngle": {
+        const [fit, mateFit] = this.engine.getMatchingConeAngles(
+          moving.teeth,
+          target.teeth,
+          moving.coneAngle + target.coneAngle,
+        );
+        text =
+          `Cone angles ${moving.coneAngle}° and ${target.coneAngle}° do not suit ` +
+          `${moving.teeth}:${target.teeth} teeth; use ${fit.toFixed(1)}° and ` +
+          `${mateFit.toFixed(1)}°`;
+        xrText = `Cones ${moving.coneAngle}°/${target.coneAngle}° \u2260 ${moving.teeth}:${target.teeth}`;
+        break;
+      }
+      case "leadAngle": {
+        const lead = this.engine.getLeadAngle(moving).toFixed(2);
+        const targetLead = this.engine.getLeadAngle(target).toFixed(2);
+        text =
+          `Lead angle ${lead}° cannot mesh with ${targetLead}°; ` +
+          `use the same starts and diameter quotient`;
+        xrText = `Lead ${lead}° \u2260 Lead ${targetLead}°`;
+        break;
+      }
+      case "hand":
+        if (this.engine.isWormPair(movingGear, targetGear)) {
+          text = "A worm and its wheel need the same hand";
+          xrText = "Worm and wheel hands differ";
+        } else if (moving.type === "internal" || target.type === "internal") {
+          text = "A ring and its pinion need the same helix hand";
+          xrText = "Ring and pinion hands differ";
+        } else {
+          text = `Both gears are ${moving.hand}-hand; helical gears need opposite hands`;
+          xrText = `Both ${moving.hand}-hand helices`;
+        }
+        break;
     }
 
-    // Set incompatible reference
-    movingGear.incompatibleWith = targetGear;
+    // Play incompatible gear sound
+    this.playSound("incompatibleGear");
 
-    // Change color to red
-    movingGear.mesh.material.color.setHex(0xf44336);
-    movingGear.mesh.material.emissive.setHex(0x330000);
+    if (this.isXRPresenting) {
+      this.showXRIncompatibilityMessage(xrText);
+    } else {
+      // Desktop message
+      const msgElement = document.getElementById("incompatibility-message");
+      if (msgElement) {
+        const textElement = msgElement.querySelector(".message-text");
+        if (textElement) {
+          textElement.textContent = `Gears incompatible: ${text}`;
+        }
+        msgElement.style.display = "flex";
+      }
+    }
 
-    // Show incompatibility message
-    this.showIncompatibilityMessage(movingGear, targetGear);
+    this.debugLog(`INCOMPATIBLE: ${xrText}`);
+  }
 
-    // Update XR info panel immediately if in XR mode and this gear is selected
-    if (this.isXRPresenting && movingGear === this.selectedGear) {
-      this.updateInfoPanelContent();
+  hideIncompatibilityMessage() {
+    if (this.isXRPresenting) {
+      this.hideXRIncompatibilityMessage();
+    } else {
+      const msgElement = document.getElementById("incompatibility-message");
+      if (msgElement) {
+        msgElement.style.display = "none";
+        // Reset background color to default (red for module incompatibility)
+        msgElement.style.background = "rgba(244, 67, 54, 0.95)";
+      }
     }
   }
 
-  clearIncompatibleState(gear) {
-    if (!gear || !gear.incompatibleWith) return;
-
-    const wasSelected = gear === this.selectedGear;
-
-    // Restore original color
-    if (gear.originalColor && gear.mesh && gear.mesh.material) {
-      gear.mesh.material.color.setHex(gear.originalColor);
-      // Respect selection state for emissive
-      if (wasSelected) {
-        gear.mesh.material.emissive.setHex(0x00aa00);
-      } else {
-        gear.mesh.material.emissive.setHex(0x000000);
-      }
-    }
-
-    // Clear incompatible/jamming/overlap references
-    gear.incompatibleWith = null;
-    gear.originalColor = null;
-    gear.jammingError = false;
-    gear.overlapError = false;
-
-    // Hide incompatibility message
-    this.hideIncompatibilityMessage();
-
-    // Update XR info panel immediately if in XR mode and this gear was selected
-    if (this.isXRPresenting && wasSelected) {
-      this.updateInfoPanelContent();
-    }
-  }
-
-  showIncompatibilityMessage(movingGear, targetGear) {
-    const movingModule = movingGear.params.module;
-    const targetModule = targetGear.params.module;
-
-    // Play incompatible gear sound
-    this.playSound("incompatibleGear");
-
-    if (this.isXRPresenting) {
-      this.showXRIncompatibilityMessage(movingModule, targetModule);
-    } else {
-      // Desktop message
-      const msgElement = document.getElementById("incompatibility-message");
-      if (msgElement) {
-        const textElement = msgElement.querySelector(".message-text");
-        if (textElement) {
-          textElement.textContent = `Gears incompatible: Module ${movingModule} cannot mesh with Module ${targetModule}`;
-        }
-        msgElement.style.display = "flex";
-      }
-    }
-
-    this.debugLog(`INCOMPATIBLE: M${movingModule} vs M${targetModule}`);
-  }
-
-  hideIncompatibilityMessage() {
-    if (this.isXRPresenting) {
-      this.hideXRIncompatibilityMessage();
-    } else {
-      const msgElement = document.getElementById("incompatibility-message");
-      if (msgElement) {
-        msgElement.style.display = "none";
-        // Reset background color to default (red for module incompatibility)
-        msgElement.style.background = "rgba(244, 67, 54, 0.95)";
-      }
-    }
-  }
-
-  showXRIncompatibilityMessage(movingModule, targetModule) {
+  showXRIncompatibilityMessage(text) {
     // Remove existing panel if any
     this.hideXRIncompatibilityMessage();
 
@@ -2461,7 +2903,6 @@ export class GearSimulator {
     panel.add(background);
 
     // Warning text
-    const text = `Module ${movingModule} \u2260 Module ${targetModule}`;
     const textCanvas = this.createTextCanvas(
       text,
       300,
@@ -2495,226 +2936,73 @@ export class GearSimulator {
     }
   }
 
-  connectGears(gear1, gear2) {
-    if (!gear1 || !gear2) return;
-
-    if (!gear1.connectedTo) gear1.connectedTo = [];
-    if (!gear2.connectedTo) gear2.connectedTo = [];
-
-    if (!gear1.connectedTo.includes(gear2)) {
-      gear1.connectedTo.push(gear2);
-    }
-    if (!gear2.connectedTo.includes(gear1)) {
-      gear2.connectedTo.push(gear1);
-    }
-
-    // Only update gear info if not in XR (DOM update)
-    if (!this.isXRPresenting) {
-      this.updateGearInfo();
-    }
-  }
-
-  updateConnections() {
-    // Recalculate connections based on current positions
-    const meshThreshold = 3;
-    const incompatibleClearThreshold = 10; // Clear incompatible state when moved away
-
-    // Clear ALL jamming and overlap errors first - they will be re-detected if still applicable
-    // (Keep module incompatibility errors as they're position-independent)
-    for (const gear of this.gears) {
-      if (gear && gear.incompatibleWith && (gear.jammingError || gear.overlapError)) {
-        this.clearIncompatibleState(gear);
-      }
-    }
-
-    // Check if any gear in module-incompatible state has moved away from target
-    for (const gear of this.gears) {
-      if (gear && gear.incompatibleWith && !gear.jammingError && !gear.overlapError) {
-        const targetGear = gear.incompatibleWith;
-        if (!targetGear || !targetGear.mesh) {
-          // Target gear no longer exists
-          this.clearIncompatibleState(gear);
-          continue;
-        }
-
-        const idealDistance =
-          (gear.params.pitchDiameter + targetGear.params.pitchDiameter) / 2;
-        const currentDistance = gear.mesh.position.distanceTo(
-          targetGear.mesh.position,
-        );
-        const diff = Math.abs(currentDistance - idealDistance);
-
-        // If moved away from meshing distance, clear incompatible state
-        if (diff > incompatibleClearThreshold) {
-          this.clearIncompatibleState(gear);
-        }
-      }
-    }
-
-    for (const gear of this.gears) {
-      if (gear) gear.connectedTo = [];
-    }
-
-    // Collect all potential connections first
-    const potentialConnections = [];
-    for (let i = 0; i < this.gears.length; i++) {
-      for (let j = i + 1; j < this.gears.length; j++) {
-        const gear1 = this.gears[i];
-        const gear2 = this.gears[j];
-
-        // Safety checks
-        if (!gear1 || !gear2) continue;
-        if (!gear1.mesh || !gear2.mesh) continue;
-        if (!gear1.params || !gear2.params) continue;
-
-        const idealDistance =
-          (gear1.params.pitchDiameter + gear2.params.pitchDiameter) / 2;
-        const currentDistance = gear1.mesh.position.distanceTo(
-          gear2.mesh.position,
-        );
-
-        if (Math.abs(currentDistance - idealDistance) < meshThreshold) {
-          potentialConnections.push({ gear1, gear2, distance: currentDistance });
-        }
-      }
-    }
-
-    // Sort by distance (closest first) for consistent connection order
-    potentialConnections.sort((a, b) => a.distance - b.distance);
-
-    // Check for overlapping gears first
-    let overlapGear = null;
-    let overlapTarget = null;
-    for (let i = 0; i < this.gears.length; i++) {
-      for (let j = i + 1; j < this.gears.length; j++) {
-        const gear1 = this.gears[i];
-        const gear2 = this.gears[j];
-        if (!gear1 || !gear2) continue;
-
-        if (this.checkGearsOverlap(gear1, gear2)) {
-          if (!overlapGear) {
-            overlapGear = gear1;
-            overlapTarget = gear2;
-          }
-        }
-      }
-    }
-
-    // Try to make connections, checking for compatibility and jamming
-    let jammingGear = null;
-    let jammingTarget = null;
-
-    for (const { gear1, gear2 } of potentialConnections) {
-      // Skip if either gear is overlapping
-      if (this.checkGearsOverlap(gear1, gear2)) {
-        continue;
-      }
-
-      // Check module compatibility
-      if (!this.areGearsCompatible(gear1, gear2)) {
-        continue;
-      }
-
-      // Check if this connection would cause jamming
-      if (this.wouldCauseJamming(gear1, gear2)) {
-        // Record the jamming pair
-        if (!jammingGear) {
-          jammingGear = gear1;
-          jammingTarget = gear2;
-        }
-        continue; // Don't make this connection
-      }
-
-      // Safe to connect
-      this.connectGears(gear1, gear2);
-    }
-
-    // Show overlap error if detected (priority over jamming)
-    if (overlapGear && overlapTarget) {
-      let errorGear, otherGear;
-      if (this.selectedGear === overlapGear) {
-        errorGear = overlapGear;
-        otherGear = overlapTarget;
-      } else if (this.selectedGear === overlapTarget) {
-        errorGear = overlapTarget;
-        otherGear = overlapGear;
-      } else {
-        errorGear = overlapGear;
-        otherGear = overlapTarget;
-      }
-      this.setOverlapState(errorGear, otherGear);
-    }
-    // If no overlap but jamming was detected, show jamming error
-    else if (jammingGear && jammingTarget) {
-      let errorGear, otherGear;
-      if (this.selectedGear === jammingGear) {
-        errorGear = jammingGear;
-        otherGear = jammingTarget;
-      } else if (this.selectedGear === jammingTarget) {
-        errorGear = jammingTarget;
-        otherGear = jammingGear;
-      } else {
-        errorGear = jammingGear;
-        otherGear = jammingTarget;
-      }
-      this.setJammingState(errorGear, otherGear);
-    }
-  }
-
   selectGear(gear) {
     // Deselect previous
     if (this.selectedGear) {
+      const { mesh, pitchCircle } = this.viewOf(this.selectedGear);
       // Only reset emissive if not in incompatible state
       if (!this.selectedGear.incompatibleWith) {
-        this.selectedGear.mesh.material.emissive.setHex(0x000000);
+        mesh.material.emissive.setHex(0x000000);
       }
-      if (this.selectedGear.pitchCircle) {
-        this.selectedGear.pitchCircle.material.color.setHex(0x00ff00);
+      if (pitchCircle) {
+        pitchCircle.material.color.setHex(0x00ff00);
       }
     }
 
     this.selectedGear = gear;
 
     if (gear) {
+      const { mesh, pitchCircle } = this.viewOf(gear);
       // Only set selection emissive if not in incompatible state
       if (!gear.incompatibleWith) {
-        gear.mesh.material.emissive.setHex(0x00aa00);
+        mesh.material.emissive.setHex(0x00aa00);
       }
-      if (gear.pitchCircle) {
-        gear.pitchCircle.material.color.setHex(0xffff00);
+      if (pitchCircle) {
+        pitchCircle.material.color.setHex(0xffff00);
       }
       this.updateParamInputs(gear);
       this.updatePositionInputs();
     }
 
+    this.updateDriverControls();
     this.updateGearInfo();
   }
 
   updateParamInputs(gear) {
+    document.getElementById("param-type").value = gear.params.type;
     document.getElementById("param-teeth").value = gear.params.teeth;
     document.getElementById("param-module").value = gear.params.module;
     document.getElementById("param-pressure-angle").value =
       gear.params.pressureAngle;
     document.getElementById("param-thickness").value = gear.params.thickness;
     document.getElementById("param-bore").value = gear.params.boreDiameter;
+    document.getElementById("param-profile-shift").value =
+      gear.params.profileShift;
+    document.getElementById("param-helix-angle").value = gear.params.helixAngle;
+    document.getElementById("param-hand").value = gear.params.hand;
+    document.getElementById("param-cone-angle").value = gear.params.coneAngle;
+    document.getElementById("param-starts").value = gear.params.starts;
+    document.getElementById("param-diameter-quotient").value =
+      gear.params.diameterQuotient;
+    document.getElementById("param-material").value = gear.params.material;
+    this.updateUndercutHint();
+    if (gear.planetary) {
+      document.getElementById("planetary-held").value = gear.planetary.held;
+    }
     // Show original color if in incompatible state, otherwise show current color
-    const colorHex = gear.originalColor
-      ? gear.originalColor.toString(16).padStart(6, "0")
-      : gear.mesh.material.color.getHexString();
+    const { mesh, originalColor } = this.viewOf(gear);
+    const colorHex = originalColor
+      ? originalColor.toString(16).padStart(6, "0")
+      : mesh.material.color.getHexString();
     document.getElementById("param-color").value = "#" + colorHex;
   }
 
   updatePositionInputs() {
     if (!this.selectedGear) return;
-    document.getElementById("pos-x").value = Math.round(
-      this.selectedGear.mesh.position.x,
-    );
-    document.getElementById("pos-y").value = Math.round(
-      this.selectedGear.mesh.position.y,
-    );
-    document.getElementById("pos-z").value = Math.round(
-      this.selectedGear.mesh.position.z,
-    );
+    const { position } = this.selectedGear;
+    document.getElementById("pos-x").value = Math.round(position.x);
+    document.getElementById("pos-y").value = Math.round(position.y);
+    document.getElementById("pos-z").value = Math.round(position.z);
   }
 
   updateSelectedGearParams() {
@@ -2728,6 +3016,7 @@ export class GearSimulator {
     }
 
     const params = {
+      type: document.getElementById("param-type").value,
       teeth: parseInt(document.getElementById("param-teeth").value),
       module: parseFloat(document.getElementById("param-module").value),
       pressureAngle: parseFloat(
@@ -2735,59 +3024,48 @@ export class GearSimulator {
       ),
       thickness: parseFloat(document.getElementById("param-thickness").value),
       boreDiameter: parseFloat(document.getElementById("param-bore").value),
+      profileShift:
+        parseFloat(document.getElementById("param-profile-shift").value) || 0,
+      helixAngle:
+        parseFloat(document.getElementById("param-helix-angle").value) || 0,
+      hand: document.getElementById("param-hand").value,
+      coneAngle:
+        parseFloat(document.getElementById("param-cone-angle").value) || 45,
+      starts: parseInt(document.getElementById("param-starts").value) || 1,
+      diameterQuotient:
+        parseFloat(document.getElementById("param-diameter-quotient").value) ||
+        10,
+      material: document.getElementById("param-material").value,
     };
 
     // Validate
-    params.teeth = Math.max(8, Math.min(100, params.teeth));
-    params.module = Math.max(0.5, Math.min(10, params.module));
-    params.pressureAngle = Math.max(14.5, Math.min(25, params.pressureAngle));
-    params.thickness = Math.max(1, Math.min(20, params.thickness));
-    params.boreDiameter = Math.max(1, Math.min(20, params.boreDiameter));
+    for (const [name, { min, max }] of Object.entries(GEAR_PARAM_LIMITS)) {
+      params[name] = Math.max(min, Math.min(max, params[name]));
+    }
 
     const color = document.getElementById("param-color").value;
 
-    // Recreate gear geometry
-    const position = this.selectedGear.mesh.position.clone();
-    const rotation = this.selectedGear.mesh.rotation.z;
+    this.applyGearParams(this.selectedGear, params, color);
+  }
 
-    this.worldGroup.remove(this.selectedGear.mesh);
-    if (this.selectedGear.pitchCircle)
-      this.worldGroup.remove(this.selectedGear.pitchCircle);
-    if (this.selectedGear.centerMarker)
-      this.worldGroup.remove(this.selectedGear.centerMarker);
+  /**
+   * Rebuild a gear's geometry and material with new parameters
+   */
+  applyGearParams(gear, params, color) {
+    // Recreate gear geometry
+    const view = this.viewOf(gear);
+    this.worldGroup.remove(view.mesh);
+    this.disposeGearMesh(gear);
 
+    // A gear that can no longer tilt turns back onto Z
     const gearGeom = new GearGeometry(params);
-    const geometry = gearGeom.createGeometry();
-    const material = new THREE.MeshStandardMaterial({
-      color: new THREE.Color(color),
-      metalness: 0.3,
-      roughness: 0.7,
-    });
-
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    mesh.position.copy(position);
-    mesh.rotation.z = rotation;
-
-    this.worldGroup.add(mesh);
-
-    // Store gear ID on new mesh
-    mesh.userData.gearId = this.selectedGear.id;
-
-    // Update gear object
-    this.selectedGear.mesh = mesh;
-    this.selectedGear.params = {
-      teeth: params.teeth,
-      module: params.module,
-      pressureAngle: params.pressureAngle,
-      thickness: params.thickness,
-      boreDiameter: params.boreDiameter,
-      pitchDiameter: gearGeom.pitchDiameter,
-    };
+    this.engine.setGearParams(gear, params, gearGeom);
+    view.mesh = this.createGearMesh(gear, gearGeom, color);
+    view.lod = this.createLodState(gearGeom, view.mesh.geometry);
+    this.copyGearPose(gear);
 
     // Recreate display helpers
-    this.createDisplayHelpers(this.selectedGear, gearGeom);
+    this.createDisplayHelpers(gear, gearGeom);
     this.updateDisplayOptions();
     this.updateConnections();
     this.updateGearInfo();
@@ -2796,18 +3074,37 @@ export class GearSimulator {
   updateSelectedGearPosition() {
     if (!this.selectedGear) return;
 
-    this.selectedGear.mesh.position.x =
-      parseFloat(document.getElementById("pos-x").value) || 0;
-    this.selectedGear.mesh.position.y =
-      parseFloat(document.getElementById("pos-y").value) || 0;
-    this.selectedGear.mesh.position.z =
-      parseFloat(document.getElementById("pos-z").value) || 0;
+    this.engine.setGearPosition(this.selectedGear, {
+      x: parseFloat(document.getElementById("pos-x").value) || 0,
+      y: parseFloat(document.getElementById("pos-y").value) || 0,
+      z: parseFloat(document.getElementById("pos-z").value) || 0,
+    });
 
-    this.updateConnections();
+    this.engine.syncGroupedPositions(this.selectedGear);
+    this.updateConnections([this.selectedGear]);
   }
 
-  addGear() {
-    const params = {
+  /**
+   * Create a gear and add it to the scene.
+   * Without options the parameters and color come from the HTML inputs;
+   * project loading passes them explicitly so both share this path.
+   * @param {Object} [options]
+   * @param {number} [options.id] - Preserve a saved gear ID
+   * @param {Object} [options.params] - Gear parameters
+   * @param {string} [options.color] - Hex color string
+   * @param {{x: number, y: number, z: number}} [options.position]
+   * @param {number} [options.rotation] - Initial rotation about Z (radians)
+   * @param {{x: number, y: number}} [options.tilt] - Axis tilt of a bevel gear or worm (radians)
+   * @param {boolean} [options.isDriver]
+   * @param {number|null} [options.driverRPM] - Signed driver RPM (null follows Input RPM)
+   * @param {number|null} [options.shaftId] - Shaft the gear is locked to
+   * @param {Object|null} [options.planetary] - { setId, role, held } of a planetary set
+   * @param {boolean} [options.select=true] - Select the new gear
+   * @returns {Object} The created gear
+   */
+  addGear(options = {}) {
+    const params = options.params || {
+      type: document.getElementById("param-type").value,
       teeth: parseInt(document.getElementById("param-teeth").value) || 20,
       module: parseFloat(document.getElementById("param-module").value) || 2,
       pressureAngle:
@@ -2816,12 +3113,75 @@ export class GearSimulator {
         parseFloat(document.getElementById("param-thickness").value) || 5,
       boreDiameter:
         parseFloat(document.getElementById("param-bore").value) || 5,
+      profileShift:
+        parseFloat(document.getElementById("param-profile-shift").value) || 0,
+      helixAngle:
+        parseFloat(document.getElementById("param-helix-angle").value) || 0,
+      hand: document.getElementById("param-hand").value,
+      coneAngle:
+        parseFloat(document.getElementById("param-cone-angle").value) || 45,
+      starts: parseInt(document.getElementById("param-starts").value) || 1,
+      diameterQuotient:
+        parseFloat(document.getElementById("param-diameter-quotient").value) ||
+        10,
+      material: document.getElementById("param-material").value,
     };
 
-    const color = document.getElementById("param-color").value;
+    const color =
+      options.color || document.getElementById("param-color").value;
 
     const gearGeom = new GearGeometry(params);
-    const geometry = gearGeom.createGeometry();
+    // Position new gear offset from existing ones
+    const position = options.position || {
+      x: this.gears.length * 50,
+      y: 0,
+      z: 0,
+    };
+    const tilt =
+      options.tilt && TILTING_TYPES.includes(gearGeom.type)
+        ? options.tilt
+        : { x: 0, y: 0 };
+
+    // Shafts and planetary sets are regrouped by the caller once all
+    // members exist (see rebuildShafts / rebuildPlanetarySets)
+    const gear = this.engine.addGear({
+      id: options.id,
+      params,
+      position,
+      rotation: { x: tilt.x, y: tilt.y, z: options.rotation || 0 },
+      isDriver: options.isDriver,
+      driverRPM: options.driverRPM ?? null,
+      shaftId: options.shaftId ?? null,
+      planetary: options.planetary ?? null,
+    });
+
+    const mesh = this.createGearMesh(gear, gearGeom, color);
+    this.gearViews.set(gear.id, {
+      mesh,
+      lod: this.createLodState(gearGeom, mesh.geometry),
+      pitchCircle: null,
+      centerMarker: null,
+      originalColor: null,
+    });
+    this.copyGearPose(gear);
+
+    this.createDisplayHelpers(gear, gearGeom);
+    if (options.select !== false) {
+      this.selectGear(gear);
+    }
+    this.updateDisplayOptions();
+    return gear;
+  }
+
+  /**
+   * A gear's mesh, drawing its geometry from the cache, added to the world
+   * @param {Object} gear
+   * @param {GearGeometry} gearGeom - Built for the gear's parameters
+   * @param {string} color - Hex color string
+   * @returns {THREE.Mesh}
+   */
+  createGearMesh(gear, gearGeom, color) {
+    const geometry = this.geometryCache.acquire(gearGeom);
     const material = new THREE.MeshStandardMaterial({
       color: new THREE.Color(color),
       metalness: 0.3,
@@ -2831,60 +3191,94 @@ export class GearSimulator {
     const mesh = new THREE.Mesh(geometry, material);
     mesh.castShadow = true;
     mesh.receiveShadow = true;
-
-    // Position new gear offset from existing ones
-    const offset = this.gears.length * 50;
-    mesh.position.set(offset, 0, 0);
-
+    // Store gear ID on mesh for raycasting identification
+    mesh.userData.gearId = gear.id;
     this.worldGroup.add(mesh);
+    return mesh;
+  }
 
-    const gear = {
-      id: this.nextGearId++,
-      mesh: mesh,
-      params: {
-        teeth: params.teeth,
-        module: params.module,
-        pressureAngle: params.pressureAngle,
-        thickness: params.thickness,
-        boreDiameter: params.boreDiameter,
-        pitchDiameter: gearGeom.pitchDiameter,
-      },
-      rpm: 0,
-      rotationDirection: 1,
-      connectedTo: [],
-      isDriver: this.gears.length === 0,
-      pitchCircle: null,
-      centerMarker: null,
-      incompatibleWith: null,
-      originalColor: null,
-      jammingError: false,
-      overlapError: false,
+  /**
+   * Level-of-detail geometries of a gear, both from the geometry cache
+   */
+  createLodState(gearGeom, detailedGeometry) {
+    return {
+      builder: gearGeom,
+      detailed: detailedGeometry,
+      simplified: null, // Built on first use
+      useSimplified: false,
     };
+  }
 
-    // Store gear ID on mesh for raycasting identification
-    mesh.userData.gearId = gear.id;
+  /**
+   * Swap gears between the involute and the simplified trapezoid geometry.
+   * Simplified teeth are only a level of detail for crowded scenes or gears
+   * that are far from the camera relative to their size.
+   */
+  updateLevelOfDetail() {
+    const crowded = this.gears.length > this.lodGearThreshold;
+    const camera = this.isXRPresenting
+      ? this.renderer.xr.getCamera()
+      : this.camera;
+    const cameraPos = new THREE.Vector3();
+    const gearPos = new THREE.Vector3();
+    camera.getWorldPosition(cameraPos);
 
-    this.createDisplayHelpers(gear, gearGeom);
-    this.gears.push(gear);
-    this.selectGear(gear);
-    this.updateDisplayOptions();
+    for (const gear of this.gears) {
+      const { mesh, lod } = this.viewOf(gear);
+      if (!lod) continue;
+
+      mesh.getWorldPosition(gearPos);
+      // Compare in gear units (mm) regardless of the XR world scale
+      const distance = gearPos.distanceTo(cameraPos) / this.worldGroup.scale.x;
+      const outerDiameter = lod.builder.outerRadius * 2;
+      const useSimplified =
+        crowded || distance > outerDiameter * this.lodDistanceFactor;
+
+      if (useSimplified === lod.useSimplified) continue;
+
+      if (useSimplified && !lod.simplified) {
+        lod.simplified = this.geometryCache.acquire(lod.builder, true);
+      }
+      mesh.geometry = useSimplified ? lod.simplified : lod.detailed;
+      lod.useSimplified = useSimplified;
+    }
   }
 
   createDisplayHelpers(gear, gearGeom) {
+    const view = this.viewOf(gear);
+
     // Pitch circle
     const pitchGeometry = gearGeom.createPitchCircleGeometry();
     const pitchMaterial = new THREE.LineBasicMaterial({ color: 0x00ff00 });
-    gear.pitchCircle = new THREE.Line(pitchGeometry, pitchMaterial);
-    gear.pitchCircle.visible = this.showPitchCircle;
-    gear.mesh.add(gear.pitchCircle);
+    view.pitchCircle = new THREE.Line(pitchGeometry, pitchMaterial);
+    view.pitchCircle.visible = this.showPitchCircle;
+    view.mesh.add(view.pitchCircle);
 
     // Center marker
     const centerGeometry = new THREE.SphereGeometry(1, 16, 16);
     const centerMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-    gear.centerMarker = new THREE.Mesh(centerGeometry, centerMaterial);
-    gear.centerMarker.position.z = gear.params.thickness + 0.5;
-    gear.centerMarker.visible = this.showCenter;
-    gear.mesh.add(gear.centerMarker);
+    view.centerMarker = new THREE.Mesh(centerGeometry, centerMaterial);
+    view.centerMarker.position.z = gear.params.thickness + 0.5;
+    view.centerMarker.visible = this.showCenter;
+    view.mesh.add(view.centerMarker);
+  }
+
+  /**
+   * Free a gear's GPU resources: its material and display helpers, and its
+   * uses of the cached geometries
+   */
+  disposeGearMesh(gear) {
+    const { mesh, lod, pitchCircle, centerMarker } = this.viewOf(gear);
+    if (lod) {
+      this.geometryCache.release(lod.detailed);
+      if (lod.simplified) this.geometryCache.release(lod.simplified);
+    }
+    mesh.material.dispose();
+    for (const helper of [pitchCircle, centerMarker]) {
+      if (!helper) continue;
+      helper.geometry.dispose();
+      helper.material.dispose();
+    }
   }
 
   deleteSelectedGear() {
@@ -2897,28 +3291,17 @@ export class GearSimulator {
       return;
     }
 
-    const gearToDelete = this.selectedGear;
-
-    // Clear incompatibility states referencing this gear
-    for (const gear of this.gears) {
-      if (gear.incompatibleWith === gearToDelete) {
-        this.clearIncompatibleState(gear);
-      }
-    }
-
-    // Clear own incompatibility state if any
-    if (gearToDelete.incompatibleWith) {
-      this.clearIncompatibleState(gearToDelete);
-    }
+    this.removeGear(this.selectedGear);
+  }
 
-    // Remove from connected gears
-    for (const gear of this.gears) {
-      gear.connectedTo = gear.connectedTo.filter((g) => g !== gearToDelete);
+  removeGear(gearToDelete) {
+    this.worldGroup.remove(this.viewOf(gearToDelete).mesh);
+    this.disposeGearMesh(gearToDelete);
+    if (this.selectedGear === gearToDelete) {
+      this.selectedGear = null;
     }
-
-    this.worldGroup.remove(gearToDelete.mesh);
-    this.gears = this.gears.filter((g) => g !== gearToDelete);
-    this.selectedGear = null;
+    this.engine.removeGear(gearToDelete);
+    this.gearViews.delete(gearToDelete.id);
     this.updateGearInfo();
   }
 
@@ -2927,101 +3310,1435 @@ export class GearSimulator {
     this.hideIncompatibilityMessage();
 
     for (const gear of this.gears) {
-      this.worldGroup.remove(gear.mesh);
+      this.worldGroup.remove(this.viewOf(gear).mesh);
+      this.disposeGearMesh(gear);
     }
-    this.gears = [];
+    this.engine.clear();
+    this.gearViews.clear();
     this.selectedGear = null;
     this.isPlaying = false;
     this.updateGearInfo();
   }
 
-  play() {
-    // Check if any gear has jamming error
-    const jammingGear = this.gears.find(g => g.jammingError);
-    if (jammingGear) {
-      this.showJammingMessage();
-      if (this.xrSession) {
-        this.showXRJammingMessage();
-      }
-      return;
-    }
+  // ==================== UNDO / REDO ====================
+
+  /**
+   * User-visible color of a gear, ignoring temporary error highlights
+   */
+  getGearColor(gear) {
+    const { mesh, originalColor } = this.viewOf(gear);
+    return (
+      "#" +
+      (originalColor
+        ? originalColor.toString(16).padStart(6, "0")
+        : mesh.material.color.getHexString())
+    );
+  }
 
-    this.isPlaying = true;
-    this.calculateGearSpeeds();
-    this.playSound("playGear");
+  /**
+   * Plain snapshot of everything needed to recreate a gear
+   */
+  captureGearState(gear) {
+    return {
+      id: gear.id,
+      params: { ...gear.params },
+      color: this.getGearColor(gear),
+      position: { ...gear.position },
+      rotation: gear.rotation.z,
+      tilt: { x: gear.rotation.x, y: gear.rotation.y },
+      isDriver: gear.isDriver,
+      driverRPM: gear.driverRPM ?? null,
+      shaftId: gear.shaftId ?? null,
+      planetary: gear.planetary ? { ...gear.planetary } : null,
+    };
   }
 
-  pause() {
-    this.isPlaying = false;
-    this.stopSound("playGear");
+  captureSceneStates() {
+    return new Map(this.gears.map((g) => [g.id, this.captureGearState(g)]));
   }
 
-  resetAnimation() {
-    this.isPlaying = false;
-    this.stopSound("playGear");
-    for (const gear of this.gears) {
-      gear.mesh.rotation.z = 0;
+  /**
+   * Run a scene edit and record the gears it changed as one history entry
+   */
+  recordEdit(label, action) {
+    if (this.editDepth > 0 || this.history.isApplying) {
+      return action();
     }
-  }
 
-  calculateGearSpeeds() {
-    // Find driver gear (first gear or marked as driver)
-    const driver = this.gears.find((g) => g.isDriver) || this.gears[0];
-    if (!driver) return;
+    const before = this.captureSceneStates();
+    this.editDepth++;
+    let result;
+    try {
+      result = action();
+    } finally {
+      this.editDepth--;
+    }
+    const after = this.captureSceneStates();
+
+    // Keep only gears that were added, removed or changed
+    const changedBefore = new Map();
+    const changedAfter = new Map();
+    for (const id of new Set([...before.keys(), ...after.keys()])) {
+      const was = before.get(id) || null;
+      const now = after.get(id) || null;
+      if (JSON.stringify(was) !== JSON.stringify(now)) {
+        changedBefore.set(id, was);
+        changedAfter.set(id, now);
+      }
+    }
 
-    driver.rpm = this.inputRPM;
-    driver.rotationDirection = 1;
+    if (changedAfter.size > 0) {
+      this.history.record(
+        new GearEditCommand(this, label, changedBefore, changedAfter),
+      );
+    }
+    return result;
+  }
 
-    // BFS to propagate speeds through connected gears
-    const visited = new Set();
-    const queue = [driver];
-    visited.add(driver);
+  /**
+   * States of a gear and every gear that moves with it (shaft and
+   * planetary set members)
+   */
+  captureGroupStates(gear) {
+    const gears = new Set([
+      gear,
+      ...this.engine.getShaftSiblings(gear),
+      ...this.engine.getPlanetarySetMembers(gear),
+    ]);
+    return new Map([...gears].map((g) => [g.id, this.captureGearState(g)]));
+  }
 
-    while (queue.length > 0) {
-      const current = queue.shift();
+  /**
+   * Record a move of the gears in beforeStates; consecutive moves of the
+   * same gears merge until the history is sealed
+   */
+  recordGearsMove(beforeStates) {
+    if (!beforeStates) return;
+
+    const before = new Map();
+    const after = new Map();
+    for (const [id, state] of beforeStates) {
+      const gear = this.gears.find((g) => g.id === id);
+      if (!gear) continue;
+      const now = this.captureGearState(gear);
+      if (JSON.stringify(state) !== JSON.stringify(now)) {
+        before.set(id, state);
+        after.set(id, now);
+      }
+    }
+    if (after.size === 0) return;
+
+    this.history.record(
+      new GearEditCommand(
+        this,
+        "Move gear",
+        before,
+        after,
+        `move:${[...beforeStates.keys()].join(",")}`,
+      ),
+    );
+  }
 
-      for (const connected of current.connectedTo) {
-        if (!visited.has(connected)) {
-          visited.add(connected);
+  /**
+   * Restore gears to recorded states (null removes the gear)
+   * @param {Map<number, Object|null>} states
+   */
+  applyGearStates(states) {
+    for (const [id, state] of states) {
+      const gear = this.gears.find((g) => g.id === id);
 
-          // Gear ratio: rpm2 = rpm1 * (teeth1 / teeth2)
-          const ratio = current.params.teeth / connected.params.teeth;
-          connected.rpm = current.rpm * ratio;
+      if (!state) {
+        if (gear) this.removeGear(gear);
+        continue;
+      }
 
-          // Meshed gears rotate in opposite directions
-          connected.rotationDirection = -current.rotationDirection;
+      if (!gear) {
+        this.addGear({ ...state, select: false });
+        continue;
+      }
 
-          queue.push(connected);
-        }
+      const current = this.captureGearState(gear);
+      if (
+        JSON.stringify(current.params) !== JSON.stringify(state.params) ||
+        current.color !== state.color
+      ) {
+        if (gear.incompatibleWith) this.engine.clearErrorState(gear);
+        this.applyGearParams(gear, state.params, state.color);
+        if (gear === this.selectedGear) this.selectGear(gear);
       }
+
+      this.engine.setGearPosition(gear, state.position);
+      this.engine.setGearRotation(gear, {
+        x: state.tilt.x,
+        y: state.tilt.y,
+        z: state.rotation,
+      });
+      this.engine.setGearDriver(gear, state.isDriver, state.driverRPM ?? null);
+      this.engine.setGearShaft(gear, state.shaftId ?? null);
+      this.engine.setGearPlanetary(gear, state.planetary);
+      this.engine.clearRackTravel(gear);
     }
 
+    this.engine.rebuildShafts();
+    this.engine.rebuildPlanetarySets();
+    this.updateConnections();
+    if (this.selectedGear) {
+      this.updateParamInputs(this.selectedGear);
+      this.updatePositionInputs();
+    }
+    this.updateDriverControls();
     this.updateGearInfo();
   }
 
-  updateDisplayOptions() {
-    for (const gear of this.gears) {
-      if (gear.pitchCircle) {
-        gear.pitchCircle.visible = this.showPitchCircle;
-      }
-      if (gear.centerMarker) {
-        gear.centerMarker.visible = this.showCenter;
-      }
-    }
+  undo() {
+    const command = this.history.undo();
+    if (command) this.debugLog(`UNDO: ${command.label}`);
   }
 
-  toggleTheme() {
-    this.isDarkMode = !this.isDarkMode;
-    document.body.classList.toggle("light-mode", !this.isDarkMode);
+  redo() {
+    const command = this.history.redo();
+    if (command) this.debugLog(`REDO: ${command.label}`);
+  }
 
-    if (this.isDarkMode) {
-      this.scene.background.setHex(0x1a1a2e);
-    } else {
-      this.scene.background.setHex(0xf5f5f5);
+  onKeyDown(event) {
+    // Leave text fields their native undo
+    const tag = event.target && event.target.tagName;
+    if (tag === "INPUT" || tag === "TEXTAREA") return;
+    if (!event.ctrlKey && !event.metaKey) return;
+
+    const key = event.key.toLowerCase();
+    if (key === "z") {
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    } else if (key === "y") {
+      event.preventDefault();
+      this.redo();
     }
   }
 
-  updateGearInfo() {
+  // ==================== PROJECT FILES ====================
+
+  /**
+   * Snapshot the assembly as a versioned project document.
+   */
+  exportProject() {
+    return serializeProject({
+      inputRPM: this.engine.inputRPM,
+      inputTorque: this.engine.inputTorque,
+      meshEfficiency: this.engine.meshEfficiency,
+      display: {
+        showPitchCircle: this.showPitchCircle,
+        showCenter: this.showCenter,
+        showLabels: this.showLabels,
+      },
+      gears: this.gears.map((gear) => this.captureGearState(gear)),
+    });
+  }
+
+  saveProject() {
+    const json = JSON.stringify(this.exportProject(), null, 2);
+    this.downloadFile(json, "gear-project.json", "application/json");
+  }
+
+  downloadFile(contents, filename, type) {
+    const blob = new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Download flat gear profiles for laser cutting: the selected gear on its
+   * own axis, or every gear laid out side by side on one sheet.
+   * @param {"svg"|"dxf"} format
+   * @param {"selected"|"assembly"} scope
+   * @param {boolean} centerMark
+   */
+  exportProfiles(format, scope, centerMark) {
+    if (scope === "selected" && !this.selectedGear) {
+      this.showTimedMessage("Select a gear to export");
+      return;
+    }
+
+    const gears = (
+      scope === "selected" ? [this.selectedGear] : this.gears
+    ).filter((gear) => hasFlatProfile(gear.params.type));
+    if (gears.length === 0) {
+      this.showTimedMessage(
+        "Nothing to export: bevel gears and worms have no flat profile",
+      );
+      return;
+    }
+
+    const profiles = gears.map((gear) =>
+      gearProfile(new GearGeometry(gear.params), { centerMark }),
+    );
+    const entities =
+      scope === "selected" ? profiles[0].entities : layoutProfiles(profiles);
+    const name = scope === "selected" ? `gear-${gears[0].id}` : "gear-assembly";
+
+    if (format === "dxf") {
+      this.downloadFile(drawingToDXF(entities), `${name}.dxf`, "image/vnd.dxf");
+    } else {
+      this.downloadFile(drawingToSVG(entities), `${name}.svg`, "image/svg+xml");
+    }
+    this.debugLog(`Exported ${gears.length} profile(s) as ${format}`);
+  }
+
+  /**
+   * Download 3D models in millimetres: the selected gear as STL or OBJ, or
+   * the whole assembly as glTF.
+   * @param {"stl"|"obj"|"gltf"} format
+   * @param {number} clearance - Tooth clearance for printing, mm
+   */
+  async exportModel(format, clearance) {
+    if (format === "gltf") {
+      if (this.gears.length === 0) {
+        this.showTimedMessage("Nothing to export: the scene is empty");
+        return;
+      }
+      // Mesh transforms are local to the world group, so already in mm
+      const gears = this.gears.map((gear) => ({
+        id: gear.id,
+        params: gear.params,
+        color: this.getGearColor(gear),
+        position: gear.position,
+        quaternion: this.viewOf(gear).mesh.quaternion,
+      }));
+      const glb = await assemblyToGLTF(gears, clearance);
+      this.downloadFile(glb, "gear-assembly.glb", "model/gltf-binary");
+      this.debugLog(`Exported ${gears.length} gear(s) as glTF`);
+      return;
+    }
+
+    const gear = this.selectedGear;
+    if (!gear) {
+      this.showTimedMessage("Select a gear to export");
+      return;
+    }
+    if (format === "stl") {
+      const stl = gearToSTL(gear.params, clearance);
+      this.downloadFile(stl, `gear-${gear.id}.stl`, "model/stl");
+    } else {
+      const obj = gearToOBJ(gear.params, clearance);
+      this.downloadFile(obj, `gear-${gear.id}.obj`, "model/obj");
+    }
+    this.debugLog(`Exported gear #${gear.id} as ${format}`);
+  }
+
+  /**
+   * Replace the scene with the gears from a project file.
+   * @param {string|Object} input - File contents or parsed JSON
+   * @throws {ProjectFormatError} If the file is malformed (scene is untouched)
+   */
+  loadProject(input) {
+    // Validate fully before clearing the current scene
+    const project = parseProject(input);
+
+    this.resetScene();
+    this.engine.resetGearIds();
+
+    this.engine.setInputRPM(project.inputRPM);
+    this.engine.setInputTorque(project.inputTorque);
+    this.engine.setMeshEfficiency(project.meshEfficiency);
+    this.showPitchCircle = project.display.showPitchCircle;
+    this.showCenter = project.display.showCenter;
+    this.showLabels = project.display.showLabels;
+
+    document.getElementById("input-rpm").value = this.engine.inputRPM;
+    document.getElementById("input-torque").value = this.engine.inputTorque;
+    document.getElementById("mesh-efficiency").value = +(
+      this.engine.meshEfficiency * 100
+    ).toFixed(2);
+    document.getElementById("show-pitch-circle").checked = this.showPitchCircle;
+    document.getElementById("show-center").checked = this.showCenter;
+    document.getElementById("show-labels").checked = this.showLabels;
+
+    for (const entry of project.gears) {
+      this.addGear({
+        id: entry.id,
+        params: entry.params,
+        color: entry.color,
+        position: entry.position,
+        rotation: entry.rotation,
+        tilt: entry.tilt,
+        isDriver: entry.isDriver,
+        driverRPM: entry.driverRPM,
+        shaftId: entry.shaftId,
+        planetary: entry.planetary,
+        select: false,
+      });
+    }
+
+    this.engine.rebuildShafts();
+    this.engine.rebuildPlanetarySets();
+    this.updateConnections();
+    this.updateDisplayOptions();
+    this.selectGear(null);
+
+    this.debugLog(`Loaded project: ${project.gears.length} gear(s)`);
+  }
+
+  async loadProjectFile(file) {
+    try {
+      const text = await file.text();
+      this.recordEdit("Load project", () => this.loadProject(text));
+    } catch (err) {
+      const message =
+        err instanceof ProjectFormatError
+          ? err.message
+          : `Could not read file: ${err.message}`;
+      this.showProjectError(message);
+    }
+  }
+
+  showProjectError(message) {
+    this.showTimedMessage(`Project not loaded: ${message}`);
+    this.debugLog(`PROJECT ERROR: ${message}`);
+  }
+
+  // ==================== SHARE LINKS ====================
+
+  /**
+   * Put a link that opens this assembly in the address bar and on the
+   * clipboard
+   */
+  async copyShareLink() {
+    const fragment = await encodeShareFragment(this.exportProject());
+    const url = new URL(window.location.href);
+    url.hash = fragment;
+    history.replaceState(null, "", url);
+
+    try {
+      await navigator.clipboard.writeText(url.href);
+      this.showTimedMessage("Share link copied", "rgba(76, 175, 80, 0.95)");
+    } catch {
+      // Clipboard blocked (e.g. insecure origin): the link is in the address bar
+      this.showTimedMessage(
+        "Share link is in the address bar",
+        "rgba(76, 175, 80, 0.95)",
+      );
+    }
+    this.debugLog(`Share link: ${url.href.length} characters`);
+  }
+
+  /**
+   * Open the assembly carried by a shared link.
+   * @param {string} hash - location.hash
+   * @returns {Promise<boolean>} Whether an assembly was loaded; a corrupt or
+   *   incompatible one leaves the scene empty and shows an error banner
+   */
+  async loadShareLink(hash) {
+    if (!hasShareFragment(hash)) return false;
+
+    try {
+      this.loadProject(await decodeShareFragment(hash));
+      return true;
+    } catch (err) {
+      const message =
+        err instanceof ProjectFormatError
+          ? err.message
+          : `Could not read link: ${err.message}`;
+      this.showTimedMessage(`Shared assembly not loaded: ${message}`);
+      this.debugLog(`SHARE LINK ERROR: ${message}`);
+      return false;
+    }
+  }
+
+  // ==================== GEAR TABLE IMPORT ====================
+
+  /**
+   * Replace the scene with the gears of a CSV or JSON gear table (BOM).
+   * Gears without x and y are placed at the meshing distance of a partner
+   * listed in their meshes-with column.
+   * @param {string|Object[]} input - File contents or parsed rows
+   * @returns {string[]} Validation report: listed meshes that are
+   *   incompatible, would jam the train or are out of reach
+   * @throws {BomFormatError} If the table is malformed (scene is untouched)
+   */
+  importGearTable(input) {
+    // Validate fully before clearing the current scene
+    const rows = parseBom(input);
+
+    this.resetScene();
+    this.engine.resetGearIds();
+
+    const gears = new Map();
+    for (const row of rows) {
+      const gear = this.addGear({
+        id: row.id,
+        params: row.params,
+        color: row.color,
+        position: { x: 0, y: 0, z: row.z ?? 0 },
+        isDriver: row.driver,
+        select: false,
+      });
+      if (row.position) this.engine.setGearPosition(gear, row.position);
+      gears.set(row.id, gear);
+    }
+
+    this.placeTableGears(rows, gears);
+
+    // Connections are rebuilt from the final positions
+    this.updateConnections();
+    this.updateDisplayOptions();
+    this.selectGear(null);
+
+    const report = [];
+    for (const [gear, partner] of this.getTableMeshes(rows, gears)) {
+      const problem = this.getTableMeshProblem(gear, partner);
+      if (problem) {
+        report.push(`Gears ${gear.id} and ${partner.id}: ${problem}`);
+      }
+    }
+    this.debugLog(`Imported gear table: ${rows.length} gear(s)`);
+    report.forEach((line) => this.debugLog(`IMPORT: ${line}`));
+    return report;
+  }
+
+  /**
+   * Listed meshes as gear pairs, each pair once
+   */
+  getTableMeshes(rows, gears) {
+    const pairs = new Map();
+    for (const row of rows) {
+      for (const id of row.meshesWith) {
+        const key = row.id < id ? `${row.id}-${id}` : `${id}-${row.id}`;
+        if (!pairs.has(key)) pairs.set(key, [gears.get(row.id), gears.get(id)]);
+      }
+    }
+    return [...pairs.values()];
+  }
+
+  /**
+   * Why a listed mesh did not connect, or null if it did
+   */
+  getTableMeshProblem(gear, partner) {
+    if (gear.connectedTo.includes(partner)) return null;
+    if (!this.engine.areGearsCompatible(gear, partner)) {
+      return `modules ${gear.params.module} and ${partner.params.module} cannot mesh`;
+    }
+    if (this.engine.findJam(gear, partner)) {
+      return "meshing would jam the train";
+    }
+    if (this.engine.checkGearsOverlap(gear, partner)) return "gears overlap";
+    return "not at meshing distance";
+  }
+
+  /**
+   * Walk the listed meshes outward from the gears with a position, placing
+   * each unplaced partner at the meshing distance. Meshes that are
+   * incompatible or would jam are not followed. Gears reached by no placed
+   * gear start a new train to the right of the others.
+   */
+  placeTableGears(rows, gears) {
+    const placed = new Set(
+      rows.filter((row) => row.position).map((row) => gears.get(row.id)),
+    );
+    const partners = new Map(rows.map((row) => [gears.get(row.id), []]));
+    for (const pair of this.getTableMeshes(rows, gears)) {
+      partners.get(pair[0]).push(pair);
+      partners.get(pair[1]).push(pair);
+    }
+    const explicitZ = new Set(
+      rows.filter((row) => row.z !== null).map((row) => gears.get(row.id)),
+    );
+    const checked = new Set();
+    const queue = [...placed];
+
+    const unplaced = () => [...gears.values()].find((g) => !placed.has(g));
+
+    while (queue.length > 0 || unplaced()) {
+      if (queue.length === 0) {
+        const seed = unplaced();
+        this.placeTableSeed(seed, placed);
+        placed.add(seed);
+        queue.push(seed);
+      }
+
+      const gear = queue.shift();
+      for (const pair of partners.get(gear)) {
+        if (checked.has(pair)) continue;
+        checked.add(pair);
+        const partner = pair[0] === gear ? pair[1] : pair[0];
+        if (
+          !this.engine.areGearsCompatible(gear, partner) ||
+          this.engine.findJam(gear, partner)
+        ) {
+          continue;
+        }
+
+        if (!placed.has(partner)) {
+          if (!explicitZ.has(partner)) {
+            this.engine.setGearPosition(partner, { z: gear.position.z });
+          }
+          this.placeAtMeshDistance(partner, gear, placed, partners);
+          placed.add(partner);
+          queue.push(partner);
+        }
+
+        // Link now so later meshes see the train for jamming checks
+        const distances = this.engine.getMeshDistances(gear, partner);
+        if (
+          distances &&
+          Math.abs(distances.current - distances.ideal) < MESH_THRESHOLD
+        ) {
+          this.engine.connectGears(gear, partner);
+        }
+      }
+    }
+  }
+
+  /**
+   * Put the first gear of an unconnected train right of the placed gears
+   */
+  placeTableSeed(gear, placed) {
+    if (placed.size === 0) {
+      this.engine.setGearPosition(gear, { x: 0, y: 0 });
+      return;
+    }
+    let right = -Infinity;
+    for (const other of placed) {
+      right = Math.max(
+        right,
+        other.position.x + other.params.outerDiameter / 2,
+      );
+    }
+    this.engine.setGearPosition(gear, {
+      x: right + 20 + gear.params.outerDiameter / 2,
+      y: 0,
+    });
+  }
+
+  /**
+   * Move a gear onto the meshing circle around its partner, at the first
+   * angle (in 30° steps) where it neither overlaps nor meshes with a placed
+   * gear it is not listed with
+   * @param {Map} partners - Gear -> listed [gear, partner] pairs
+   */
+  placeAtMeshDistance(gear, partner, placed, partners) {
+    const { ideal } = this.engine.getMeshDistances(gear, partner);
+    const center = partner.position;
+    const listed = new Set(partners.get(gear).flat());
+    const blocks = (other) =>
+      this.engine.checkGearsOverlap(gear, other) ||
+      (!listed.has(other) &&
+        this.engine.gearsShareZRange(gear, other) &&
+        this.engine.getSnapOffset(gear, other) < MESH_THRESHOLD);
+
+    for (let step = 0; step < 12; step++) {
+      const angle = (step * Math.PI) / 6;
+      this.engine.setGearPosition(gear, {
+        x: center.x + ideal * Math.cos(angle),
+        y: center.y + ideal * Math.sin(angle),
+      });
+      if (![...placed].some((other) => other !== partner && blocks(other))) {
+        return;
+      }
+    }
+    // Nowhere free: leave it at 0° and let the overlap check flag it
+    this.engine.setGearPosition(gear, { x: center.x + ideal, y: center.y });
+  }
+
+  async importGearTableFile(file) {
+    const reportElement = document.getElementById("import-report");
+    try {
+      const text = await file.text();
+      const report = this.recordEdit("Import gear table", () =>
+        this.importGearTable(text),
+      );
+      reportElement.textContent = report.join("\n");
+      reportElement.style.display = report.length > 0 ? "block" : "none";
+      if (report.length > 0) {
+        this.showTimedMessage(
+          `Imported with ${report.length} problem(s); see the report under Project`,
+          "rgba(255, 152, 0, 0.95)",
+        );
+      }
+    } catch (err) {
+      const message =
+        err instanceof BomFormatError
+          ? err.message
+          : `Could not read file: ${err.message}`;
+      this.showTimedMessage(`Gear table not imported: ${message}`);
+      this.debugLog(`IMPORT ERROR: ${message}`);
+    }
+  }
+
+  /**
+   * Message in the incompatibility banner that hides itself (red by default)
+   */
+  showTimedMessage(text, background = "rgba(244, 67, 54, 0.95)") {
+    const msgElement = document.getElementById("incompatibility-message");
+    if (msgElement) {
+      const textElement = msgElement.querySelector(".message-text");
+      if (textElement) {
+        textElement.textContent = text;
+      }
+      msgElement.style.background = background;
+      msgElement.style.display = "flex";
+      setTimeout(() => {
+        msgElement.style.display = "none";
+      }, 4000);
+    }
+  }
+
+  play() {
+    // Check if any gear has jamming error
+    const jammingGear = this.gears.find(g => g.jammingError);
+    if (jammingGear) {
+      this.showJammingMessage(jammingGear);
+      if (this.xrSession) {
+        this.showXRJammingMessage();
+      }
+      return;
+    }
+
+    this.isPlaying = true;
+    this.engine.calculateGearSpeeds();
+    this.playSound("playGear");
+  }
+
+  pause() {
+    this.isPlaying = false;
+    this.stopSound("playGear");
+  }
+
+  resetAnimation() {
+    this.isPlaying = false;
+    this.stopSound("playGear");
+    this.engine.resetMotion();
+    this.updateTimeDisplay();
+  }
+
+  /**
+   * Move the simulation one frame forward (1) or back (-1) at the current
+   * time scale and leave it paused
+   */
+  stepSimulation(direction) {
+    const jammingGear = this.gears.find((g) => g.jammingError);
+    if (jammingGear) {
+      this.showJammingMessage(jammingGear);
+      return;
+    }
+
+    if (this.isPlaying) this.pause();
+    this.engine.calculateGearSpeeds();
+    this.engine.updatePhysics(direction * STEP_DURATION * this.timeScale);
+    this.updateTimeDisplay();
+  }
+
+  setTimeScale(scale) {
+    this.timeScale = Math.max(
+      TIME_SCALE_LIMITS.min,
+      Math.min(TIME_SCALE_LIMITS.max, scale),
+    );
+
+    document.getElementById("time-scale").value = Math.log10(this.timeScale);
+    document.getElementById("time-scale-value").textContent =
+      `${this.timeScale.toFixed(2)}×`;
+
+    if (this.xrPanels.top) {
+      this.updateValueDisplay(
+        this.xrPanels.top.getObjectByName("timeScaleValue"),
+        this.timeScale,
+      );
+    }
+  }
+
+  /**
+   * Step through XR_TIME_SCALE_PRESETS (1 = faster, -1 = slower)
+   */
+  shiftTimeScale(direction) {
+    const current = XR_TIME_SCALE_PRESETS.findIndex(
+      (preset) => preset >= this.timeScale - 1e-9,
+    );
+    const index = Math.max(
+      0,
+      Math.min(
+        XR_TIME_SCALE_PRESETS.length - 1,
+        (current === -1 ? XR_TIME_SCALE_PRESETS.length - 1 : current) +
+          direction,
+      ),
+    );
+    this.setTimeScale(XR_TIME_SCALE_PRESETS[index]);
+  }
+
+  updateTimeDisplay() {
+    if (this.isXRPresenting) return;
+    const element = document.getElementById("sim-time");
+    if (element) {
+      element.textContent = `${this.engine.simulationTime.toFixed(2)} s`;
+    }
+  }
+
+  // ==================== SHAFTS (COMPOUND GEARS) ====================
+
+  /**
+   * Add and remove axle meshes to match the engine's shafts
+   */
+  rebuildShaftMeshes() {
+    for (const [id, mesh] of this.shaftMeshes) {
+      if (this.engine.shafts.has(id)) continue;
+      this.worldGroup.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      this.shaftMeshes.delete(id);
+    }
+
+    for (const id of this.engine.shafts.keys()) {
+      if (this.shaftMeshes.has(id)) continue;
+
+      // Unit cylinder along Z, scaled to the gear stack every frame
+      const geometry = new THREE.CylinderGeometry(1, 1, 1, 16);
+      geometry.rotateX(Math.PI / 2);
+      geometry.translate(0, 0, 0.5);
+      const material = new THREE.MeshStandardMaterial({
+        color: 0x9e9e9e,
+        metalness: 0.8,
+        roughness: 0.3,
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.userData.shaftId = id;
+      this.worldGroup.add(mesh);
+      this.shaftMeshes.set(id, mesh);
+    }
+
+    this.updateShaftMeshes();
+  }
+
+  updateShaftMeshes() {
+    for (const shaft of this.engine.shafts.values()) {
+      const mesh = this.shaftMeshes.get(shaft.id);
+      const first = shaft.gears[0];
+      let minZ = Infinity;
+      let maxZ = -Infinity;
+      let radius = Infinity;
+      for (const gear of shaft.gears) {
+        minZ = Math.min(minZ, gear.position.z);
+        maxZ = Math.max(maxZ, gear.position.z + gear.params.thickness);
+        radius = Math.min(radius, gear.params.boreDiameter / 2);
+      }
+
+      // Axle fills the smallest bore and sticks out a little on both ends
+      const overhang = 2;
+      mesh.position.set(first.position.x, first.position.y, minZ - overhang);
+      mesh.scale.set(radius * 0.9, radius * 0.9, maxZ - minZ + overhang * 2);
+    }
+  }
+
+  /**
+   * Lock a gear onto target's shaft, stacked above the existing gears
+   */
+  attachToShaft(gear, target) {
+    if (!gear || !target || gear === target) return;
+    if (gear.params.type === "rack" || target.params.type === "rack") return;
+    if (this.engine.isTilted(gear) || this.engine.isTilted(target)) {
+      this.showTimedMessage("Tilted gears cannot share a shaft");
+      return;
+    }
+
+    if (target.shaftId == null) {
+      this.engine.setGearShaft(target, this.engine.nextShaftId);
+    }
+    const stack = [target, ...this.engine.getShaftSiblings(target)].filter(
+      (g) => g !== gear,
+    );
+    const top = Math.max(
+      ...stack.map((g) => g.position.z + g.params.thickness),
+    );
+
+    // Leave room for the extrusion bevel between stacked gears
+    const gap = 1;
+    this.engine.setGearPosition(gear, {
+      x: target.position.x,
+      y: target.position.y,
+      z: top + gap,
+    });
+    this.engine.setGearShaft(gear, target.shaftId);
+
+    this.engine.rebuildShafts();
+    this.updateConnections();
+    this.updatePositionInputs();
+    this.updateGearInfo();
+  }
+
+  /**
+   * Add a new gear (from the parameter inputs) on the selected gear's shaft
+   */
+  addCompoundGear() {
+    const base = this.selectedGear;
+    if (!base || !this.gears.includes(base)) return;
+    if (this.engine.isTilted(base)) {
+      this.showTimedMessage("Tilted gears cannot share a shaft");
+      return;
+    }
+
+    const gear = this.addGear();
+    this.attachToShaft(gear, base);
+    this.debugLog(`Gear#${gear.id} added on shaft #${gear.shaftId}`);
+  }
+
+  /**
+   * Lock the selected gear onto the shaft of the nearest gear (in XY)
+   */
+  attachSelectedToNearestShaft() {
+    const gear = this.selectedGear;
+    if (!gear || !this.gears.includes(gear)) return;
+
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (const other of this.gears) {
+      if (other === gear || this.engine.areOnSameShaft(gear, other)) continue;
+      if (other.params.type === "rack" || this.engine.isTilted(other)) continue;
+      const dx = other.position.x - gear.position.x;
+      const dy = other.position.y - gear.position.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist < nearestDist) {
+        nearestDist = dist;
+        nearest = other;
+      }
+    }
+    if (!nearest) return;
+
+    this.attachToShaft(gear, nearest);
+    this.debugLog(`Gear#${gear.id} attached to shaft #${gear.shaftId}`);
+  }
+
+  detachSelectedFromShaft() {
+    const gear = this.selectedGear;
+    if (!gear || gear.shaftId == null) return;
+
+    this.engine.setGearShaft(gear, null);
+    this.engine.rebuildShafts();
+    this.updateConnections();
+    this.updateGearInfo();
+  }
+
+  // ==================== WORM GEARS ====================
+
+  describeWormThread(gear) {
+    const { starts, diameterQuotient } = gear.params;
+    const locking = this.engine.isSelfLocking(gear) ? ", self-locking" : "";
+    return (
+      `${starts} start${starts > 1 ? "s" : ""}, q ${diameterQuotient}, ` +
+      `lead ${this.engine.getLeadAngle(gear.params).toFixed(2)}° ${gear.params.hand}${locking}`
+    );
+  }
+
+  // ==================== PLANETARY SETS ====================
+
+  /**
+   * Replace the carrier meshes with one per planetary set
+   */
+  rebuildCarrierMeshes() {
+    for (const carrier of this.carrierMeshes.values()) {
+      this.worldGroup.remove(carrier);
+      carrier.traverse((obj) => {
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) obj.material.dispose();
+      });
+    }
+    this.carrierMeshes.clear();
+
+    for (const set of this.engine.planetarySets.values()) {
+      const carrier = this.createCarrierMesh(set.sun, set.planets);
+      this.worldGroup.add(carrier);
+      this.carrierMeshes.set(set.id, carrier);
+    }
+
+    this.updateCarrierMeshes();
+  }
+
+  /**
+   * Carrier drawn as one arm per planet (placed by updateCarrierMeshes)
+   */
+  createCarrierMesh(sun, planets) {
+    const carrier = new THREE.Group();
+    const material = new THREE.MeshStandardMaterial({
+      color: 0x9e9e9e,
+      metalness: 0.8,
+      roughness: 0.3,
+    });
+    const orbitRadius =
+      (sun.params.pitchDiameter + planets[0].params.pitchDiameter) / 2;
+    const width = Math.max(2, sun.params.module * 2);
+
+    for (const planet of planets) {
+      const arm = new THREE.Mesh(
+        new THREE.BoxGeometry(orbitRadius, width, 1),
+        material,
+      );
+      arm.position.x = orbitRadius / 2;
+      const pivot = new THREE.Group();
+      pivot.add(arm);
+      pivot.userData.planetId = planet.id;
+      carrier.add(pivot);
+    }
+
+    return carrier;
+  }
+
+  /**
+   * Turn each carrier's arms to its planets and lift it just above the sun
+   * and planet faces
+   */
+  updateCarrierMeshes() {
+    for (const set of this.engine.planetarySets.values()) {
+      const carrier = this.carrierMeshes.get(set.id);
+      set.planets.forEach((planet, i) => {
+        carrier.children[i].rotation.z = set.planetAngles[i] + set.carrierAngle;
+      });
+
+      const center = set.sun.position;
+      carrier.position.set(
+        center.x,
+        center.y,
+        center.z +
+          Math.max(set.sun.params.thickness, set.planets[0].params.thickness) +
+          1.5,
+      );
+    }
+  }
+
+  /**
+   * Build a planetary set from the Planetary Set inputs, using the
+   * module, pressure angle and thickness from Gear Parameters
+   */
+  addPlanetarySetFromInputs() {
+    const teeth = {
+      sun: parseInt(document.getElementById("planetary-sun").value),
+      planet: parseInt(document.getElementById("planetary-planet").value),
+      ring: parseInt(document.getElementById("planetary-ring").value),
+      planets: parseInt(document.getElementById("planetary-count").value),
+    };
+    const held = document.getElementById("planetary-held").value;
+
+    return this.addPlanetarySet(teeth, held);
+  }
+
+  /**
+   * Create sun, planets and ring meshed around a common center
+   * @param {Object} teeth - { sun, planet, ring, planets }
+   * @param {string} held - Member held still: "carrier", "ring" or "sun"
+   * @returns {Object|null} The new set, or null if the teeth are invalid
+   */
+  addPlanetarySet(teeth, held = "carrier") {
+    const errors = validatePlanetarySet(teeth);
+    if (errors.length > 0) {
+      this.showTimedMessage(`Invalid planetary set: ${errors[0]}`);
+      this.debugLog(`PLANETARY ERROR: ${errors.join("; ")}`);
+      return null;
+    }
+    if (!PLANETARY_MEMBERS.includes(held)) held = "carrier";
+
+    const base = {
+      module: parseFloat(document.getElementById("param-module").value) || 2,
+      pressureAngle:
+        parseFloat(document.getElementById("param-pressure-angle").value) || 20,
+      thickness:
+        parseFloat(document.getElementById("param-thickness").value) || 5,
+      boreDiameter:
+        parseFloat(document.getElementById("param-bore").value) || 5,
+      material: document.getElementById("param-material").value,
+    };
+    const color = document.getElementById("param-color").value;
+
+    // Clear of existing gears along +X
+    const ringRadius =
+      (teeth.ring * base.module) / 2 + (1.25 + RING_RIM_FACTOR) * base.module;
+    let centerX = 0;
+    for (const gear of this.gears) {
+      centerX = Math.max(
+        centerX,
+        gear.position.x + gear.params.outerDiameter / 2 + ringRadius + 10,
+      );
+    }
+
+    // Taken once the sun is added with it
+    const setId = this.engine.nextPlanetarySetId;
+    const planetary = (role) => ({ setId, role, held });
+    const hasDriver = this.gears.some((g) => g.isDriver);
+
+    const sun = this.addGear({
+      params: { ...base, type: "external", teeth: teeth.sun },
+      color,
+      position: { x: centerX, y: 0, z: 0 },
+      isDriver: !hasDriver && held !== "sun",
+      planetary: planetary("sun"),
+      select: false,
+    });
+    const ring = this.addGear({
+      params: { ...base, type: "internal", teeth: teeth.ring },
+      color: "#78909c",
+      position: { x: centerX, y: 0, z: 0 },
+      isDriver: !hasDriver && held === "sun",
+      planetary: planetary("ring"),
+      select: false,
+    });
+
+    const orbitRadius = ((teeth.sun + teeth.planet) * base.module) / 2;
+    for (let i = 0; i < teeth.planets; i++) {
+      const angle = (i * 2 * Math.PI) / teeth.planets;
+      this.addGear({
+        params: { ...base, type: "external", teeth: teeth.planet },
+        color: "#ffb74d",
+        position: {
+          x: centerX + orbitRadius * Math.cos(angle),
+          y: orbitRadius * Math.sin(angle),
+          z: 0,
+        },
+        isDriver: false,
+        planetary: planetary("planet"),
+        select: false,
+      });
+    }
+
+    this.engine.rebuildPlanetarySets();
+    this.updateConnections();
+    this.selectGear(sun);
+    this.debugLog(
+      `Planetary set #${setId}: ${teeth.sun}/${teeth.planet}/${teeth.ring} ×${teeth.planets}, ${held} held`,
+    );
+    return this.engine.planetarySets.get(setId) || null;
+  }
+
+  /**
+   * Change which member of the selected gear's planetary set is held
+   */
+  setSelectedPlanetaryHeld(held) {
+    const set = this.engine.getPlanetarySet(this.selectedGear);
+    if (!set || !PLANETARY_MEMBERS.includes(held)) return;
+
+    this.engine.setPlanetaryHeld(set, held);
+    this.updateConnections();
+  }
+
+  // ==================== DRIVERS ====================
+
+  toggleSelectedDriver() {
+    const gear = this.selectedGear;
+    if (!gear || !this.gears.includes(gear)) return;
+
+    this.recordEdit(gear.isDriver ? "Remove driver" : "Set driver", () => {
+      this.engine.setGearDriver(gear, !gear.isDriver);
+    });
+
+    this.engine.calculateGearSpeeds();
+    this.updateDriverControls();
+    this.debugLog(`Gear#${gear.id} driver: ${gear.isDriver}`);
+  }
+
+  setSelectedDriverRPM(rpm) {
+    const gear = this.selectedGear;
+    if (!gear || !gear.isDriver) return;
+
+    const clamped = Math.max(-1000, Math.min(1000, rpm));
+    this.recordEdit("Set driver RPM", () => {
+      this.engine.setGearDriver(gear, true, clamped);
+    });
+
+    this.engine.calculateGearSpeeds();
+    this.updateDriverControls();
+  }
+
+  updateDriverControls() {
+    const button = document.getElementById("btn-set-driver");
+    const rpmInput = document.getElementById("driver-rpm");
+    if (!button || !rpmInput) return;
+
+    const gear = this.selectedGear;
+    button.disabled = !gear;
+    button.textContent = gear && gear.isDriver ? "Remove Driver" : "Set as Driver";
+    rpmInput.disabled = !gear || !gear.isDriver;
+    rpmInput.value = gear
+      ? this.engine.getDriverRPM(gear)
+      : this.engine.inputRPM;
+  }
+
+  showDriverConflictMessage(gear, otherDriver) {
+    this.playSound("jammedGear");
+
+    if (this.isXRPresenting) {
+      this.showXRDriverConflictMessage();
+    } else {
+      // Desktop message
+      const msgElement = document.getElementById("incompatibility-message");
+      if (msgElement) {
+        const textElement = msgElement.querySelector(".message-text");
+        if (textElement) {
+          textElement.textContent = `Driver conflict: Gear #${gear.id} and Gear #${otherDriver.id} drive the same train at inconsistent speeds.`;
+        }
+        msgElement.style.background = "rgba(255, 87, 34, 0.95)";
+        msgElement.style.display = "flex";
+      }
+    }
+
+    this.debugLog(
+      `DRIVER CONFLICT: Gear#${gear.id} vs Gear#${otherDriver.id}`,
+    );
+  }
+
+  showXRDriverConflictMessage() {
+    // Remove existing panel if any
+    this.hideXRIncompatibilityMessage();
+
+    const panel = new THREE.Group();
+    panel.name = "incompatibilityPanel";
+
+    // Panel background (deep orange)
+    const bgGeometry = new THREE.PlaneGeometry(0.5, 0.12);
+    const bgMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff5722,
+      transparent: true,
+      opacity: 0.95,
+      side: THREE.DoubleSide,
+    });
+    const background = new THREE.Mesh(bgGeometry, bgMaterial);
+    panel.add(background);
+
+    // Warning text
+    const text = "Driver conflict! Train locked";
+    const textCanvas = this.createTextCanvas(
+      text,
+      300,
+      40,
+      "16px Arial",
+      "#ffffff",
+    );
+    const textTexture = new THREE.CanvasTexture(textCanvas);
+    const textMaterial = new THREE.MeshBasicMaterial({
+      map: textTexture,
+      transparent: true,
+    });
+    const textMesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(0.45, 0.06),
+      textMaterial,
+    );
+    textMesh.position.set(0, 0, 0.01);
+    panel.add(textMesh);
+
+    // Position in front of user
+    panel.position.set(0, 1.5, -0.8);
+
+    this.scene.add(panel);
+    this.xrPanels.incompatibility = panel;
+  }
+
+  // ==================== PROFILE SHIFT ====================
+
+  /**
+   * Undercut state of a gear or parameter set: null when the teeth are
+   * cut cleanly, otherwise the tooth count limit and the shift that fixes it.
+   * @param {Object} params - { type, teeth, pressureAngle, profileShift, helixAngle }
+   * @returns {{minTeeth: number, minShift: number}|null}
+   */
+  getUndercut(params) {
+    const geometry = new GearGeometry(params);
+    if (!geometry.isUndercut()) return null;
+
+    return {
+      minTeeth: Math.ceil(
+        GearGeometry.minTeethWithoutUndercut(
+          params.pressureAngle,
+          geometry.profileShift,
+          params.helixAngle,
+        ),
+      ),
+      minShift: GearGeometry.minProfileShift(
+        params.teeth,
+        params.pressureAngle,
+        params.helixAngle,
+      ),
+    };
+  }
+
+  /**
+   * Warn under the Gear Parameters inputs when they would undercut
+   */
+  updateUndercutHint() {
+    const hint = document.getElementById("undercut-warning");
+    if (!hint) return;
+
+    const params = {
+      type: document.getElementById("param-type").value,
+      teeth: parseInt(document.getElementById("param-teeth").value) || 20,
+      pressureAngle:
+        parseFloat(document.getElementById("param-pressure-angle").value) || 20,
+      profileShift:
+        parseFloat(document.getElementById("param-profile-shift").value) || 0,
+      helixAngle:
+        parseFloat(document.getElementById("param-helix-angle").value) || 0,
+    };
+    const undercut = this.getUndercut(params);
+
+    hint.style.display = undercut ? "" : "none";
+    if (undercut) {
+      hint.textContent =
+        `Undercut: ${params.teeth} teeth at ${params.pressureAngle}° need ` +
+        `${undercut.minTeeth}+ teeth or a profile shift of at least ` +
+        `${undercut.minShift.toFixed(2)}.`;
+    }
+  }
+
+  // ==================== MESH QUALITY ====================
+
+  /**
+   * Short description of a mesh's quality problem, or null if it is fine
+   */
+  describeMeshProblem(quality) {
+    if (quality.interference) return "teeth interfere";
+    if (quality.lowContactRatio) {
+      return `contact ratio ${quality.contactRatio.toFixed(2)} < ${MIN_CONTACT_RATIO}`;
+    }
+    return null;
+  }
+
+  /**
+   * XR info line for the gear's lowest contact ratio mesh
+   */
+  describeWorstMesh(gear) {
+    let worst = null;
+    for (const quality of gear.meshQuality.values()) {
+      if (!worst || quality.contactRatio < worst.contactRatio) worst = quality;
+    }
+    if (!worst) return "";
+
+    const flag = this.describeMeshProblem(worst) ? " !" : "";
+    return `Mesh: ε ${worst.contactRatio.toFixed(2)}, j ${worst.backlash.toFixed(2)}mm${flag}\n`;
+  }
+
+  showMeshQualityWarning(gear, other, quality) {
+    const problem = this.describeMeshProblem(quality);
+    const offset = quality.distance - quality.idealDistance;
+    this.showTimedMessage(
+      `Poor mesh Gear #${gear.id} / Gear #${other.id}: ${problem} ` +
+        `(center distance ${offset >= 0 ? "+" : ""}${offset.toFixed(2)} mm off nominal)`,
+      "rgba(255, 152, 0, 0.95)",
+    );
+    this.debugLog(`POOR MESH: #${gear.id}/#${other.id} ${problem}`);
+  }
+
+  // ==================== STRENGTH ====================
+
+  showOverstressMessage(gear) {
+    this.playSound("jammedGear");
+
+    const { bendingSafety, contactSafety } = gear.strength;
+    if (this.isXRPresenting) {
+      this.showXROverstressMessage();
+    } else {
+      // Desktop message
+      const msgElement = document.getElementById("incompatibility-message");
+      if (msgElement) {
+        const textElement = msgElement.querySelector(".message-text");
+        if (textElement) {
+          textElement.textContent = `Gear #${gear.id} overstressed: bending safety ${bendingSafety.toFixed(2)}, contact safety ${contactSafety.toFixed(2)}. Reduce torque or enlarge the gear.`;
+        }
+        msgElement.style.background = "rgba(233, 30, 99, 0.95)";
+        msgElement.style.display = "flex";
+      }
+    }
+
+    this.debugLog(
+      `OVERSTRESS: Gear#${gear.id} SF bending ${bendingSafety.toFixed(2)} contact ${contactSafety.toFixed(2)}`,
+    );
+  }
+
+  showXROverstressMessage() {
+    // Remove existing panel if any
+    this.hideXRIncompatibilityMessage();
+
+    const panel = new THREE.Group();
+    panel.name = "incompatibilityPanel";
+
+    // Panel background (pink)
+    const bgGeometry = new THREE.PlaneGeometry(0.5, 0.12);
+    const bgMaterial = new THREE.MeshBasicMaterial({
+      color: 0xe91e63,
+      transparent: true,
+      opacity: 0.95,
+      side: THREE.DoubleSide,
+    });
+    const background = new THREE.Mesh(bgGeometry, bgMaterial);
+    panel.add(background);
+
+    // Warning text
+    const text = "Gear overstressed!";
+    const textCanvas = this.createTextCanvas(
+      text,
+      300,
+      40,
+      "16px Arial",
+      "#ffffff",
+    );
+    const textTexture = new THREE.CanvasTexture(textCanvas);
+    const textMaterial = new THREE.MeshBasicMaterial({
+      map: textTexture,
+      transparent: true,
+    });
+    const textMesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(0.45, 0.06),
+      textMaterial,
+    );
+    textMesh.position.set(0, 0, 0.01);
+    panel.add(textMesh);
+
+    // Position in front of user
+    panel.position.set(0, 1.5, -0.8);
+
+    this.scene.add(panel);
+    this.xrPanels.incompatibility = panel;
+  }
+
+  // ==================== AXIAL THRUST ====================
+
+  /**
+   * Axial thrust for display, e.g. "12.3 N toward +Z"
+   * @param {Object} gear
+   * @param {boolean} [short=false] - Direction only, for the XR panel
+   */
+  describeAxialThrust(gear, short = false) {
+    const thrust = this.engine.getAxialThrust(gear);
+    if (Math.abs(thrust) < 0.05) return short ? "none" : "Balanced";
+
+    const direction = thrust > 0 ? "+Z" : "-Z";
+    return short
+      ? direction
+      : `${Math.abs(thrust).toFixed(1)} N toward ${direction}`;
+  }
+
+  updateDisplayOptions() {
+    for (const { pitchCircle, centerMarker } of this.gearViews.values()) {
+      if (pitchCircle) {
+        pitchCircle.visible = this.showPitchCircle;
+      }
+      if (centerMarker) {
+        centerMarker.visible = this.showCenter;
+      }
+    }
+  }
+
+  toggleTheme() {
+    this.isDarkMode = !this.isDarkMode;
+    document.body.classList.toggle("light-mode", !this.isDarkMode);
+
+    if (this.isDarkMode) {
+      this.scene.background.setHex(0x1a1a2e);
+    } else {
+      this.scene.background.setHex(0xf5f5f5);
+    }
+  }
+
+  updateGearInfo() {
     const content = document.getElementById("gear-info-content");
 
     // Update XR info panel if in XR mode
@@ -3042,10 +4759,130 @@ export class GearSimulator {
     const directionClass = gear.rotationDirection >= 0 ? "cw" : "ccw";
     const directionText = gear.rotationDirection >= 0 ? "CW" : "CCW";
 
+    const driverText = gear.isDriver
+      ? `${this.engine.getDriverRPM(gear)} RPM${gear.driverConflictError ? " (conflict)" : ""}`
+      : "No";
+
+    const typeText = {
+      external: "External",
+      internal: "Internal (ring)",
+      rack: "Rack",
+      bevel: "Bevel",
+      worm: "Worm",
+      wheel: "Worm wheel",
+    }[gear.params.type];
+    const isWorm = gear.params.type === "worm";
+    const teethRow = isWorm
+      ? ["Starts", gear.params.starts]
+      : ["Teeth", gear.params.teeth];
+
+    // Racks report length and linear speed instead of pitch and RPM
+    const isRack = gear.params.type === "rack";
+    const sizeRow = isRack
+      ? ["Length", `${gear.params.outerDiameter.toFixed(2)} mm`]
+      : ["Pitch Diameter", `${gear.params.pitchDiameter.toFixed(2)} mm`];
+    const speedRow = isRack
+      ? ["Speed", `${((gear.rpm * gear.params.outerDiameter) / 60).toFixed(1)} mm/s`]
+      : ["RPM", gear.rpm.toFixed(1)];
+
+    // Torque has no meaning for a rack; its load is the tooth force
+    const load = gear.load;
+    const torqueText = load && !isRack ? `${load.torque.toFixed(2)} N·m` : "-";
+    const powerText = load ? `${load.power.toFixed(1)} W` : "-";
+    const forceText = load ? `${load.toothForce.toFixed(1)} N` : "-";
+    const efficiencyText =
+      load && load.efficiency !== null
+        ? `${(load.efficiency * 100).toFixed(1)}%`
+        : "-";
+    // Every branch of a split train is sized for the full input, so the
+    // branches' powers add up to more than the input power
+    const branchRow = load?.branched
+      ? `
+            <div class="info-row">
+                <span class="info-label">Loads</span>
+                <span class="info-value warning">Worst case per branch</span>
+            </div>`
+      : "";
+
+    const worm = isWorm || gear.params.type === "wheel";
+    const helical = gear.params.helixAngle > 0;
+    const moduleText = worm
+      ? `${gear.params.module} axial`
+      : helical
+        ? `${gear.params.module} normal, ${gear.params.transverseModule.toFixed(3)} transverse`
+        : gear.params.module;
+    const helixText = helical
+      ? `${gear.params.helixAngle}° ${gear.params.hand}-hand`
+      : "Spur";
+    const shapeRow = worm
+      ? ["Worm Thread", this.describeWormThread(gear)]
+      : gear.params.type === "bevel"
+        ? [
+            "Pitch Cone",
+            `${gear.params.coneAngle}°, cone distance ${(
+              gear.params.pitchDiameter /
+              2 /
+              Math.sin((gear.params.coneAngle * Math.PI) / 180)
+            ).toFixed(2)} mm`,
+          ]
+        : ["Helix", helixText];
+    const thrustText = helical && load ? this.describeAxialThrust(gear) : "-";
+
+    const undercut = this.getUndercut(gear.params);
+    const undercutText = undercut
+      ? `Yes (needs x ≥ ${undercut.minShift.toFixed(2)})`
+      : "No";
+
+    // One row per mesh: contact ratio, operating pressure angle, backlash
+    const meshRows = [...gear.meshQuality]
+      .map(([other, quality]) => {
+        const problem = this.describeMeshProblem(quality);
+        return `
+            <div class="info-row">
+                <span class="info-label">Mesh #${other.id}</span>
+                <span class="info-value${problem ? " warning" : ""}">ε ${quality.contactRatio.toFixed(2)}, α' ${quality.operatingPressureAngle.toFixed(1)}°, j ${quality.backlash.toFixed(2)} mm${problem ? ` (${problem})` : ""}</span>
+            </div>`;
+      })
+      .join("");
+
+    const strength = gear.strength;
+    const bendingText = strength
+      ? `${strength.bendingSafety.toFixed(2)} (${strength.bendingStress.toFixed(0)} MPa)`
+      : "-";
+    const contactText = strength
+      ? `${strength.contactSafety.toFixed(2)} (${strength.contactStress.toFixed(0)} MPa)`
+      : "-";
+    const overstressedText =
+      this.gears
+        .filter((g) => g.overstressError)
+        .map((g) => "#" + g.id)
+        .join(", ") || "None";
+    const overstressClass = overstressedText === "None" ? "" : "overstressed";
+
+    const planetarySet = this.engine.getPlanetarySet(gear);
+    const planetaryText = planetarySet
+      ? `#${planetarySet.id} ${gear.planetary.role}, ${planetarySet.held} held` +
+        (planetarySet.carrierRPM
+          ? `, carrier ${Math.abs(planetarySet.carrierRPM).toFixed(1)} RPM`
+          : "") +
+        (planetarySet.carrierTorque
+          ? ` / ${Math.abs(planetarySet.carrierTorque).toFixed(2)} N·m`
+          : "")
+      : "-";
+
+    const shaftSiblings = this.engine.getShaftSiblings(gear);
+    const shaftText =
+      gear.shaftId != null
+        ? `#${gear.shaftId} (with ${shaftSiblings.map((g) => "#" + g.id).join(", ")})`
+        : "-";
+
     let ratioText = "-";
     if (gear.connectedTo.length > 0) {
       const ratios = gear.connectedTo
-        .map((g) => `${gear.params.teeth}:${g.params.teeth}`)
+        .map(
+          (g) =>
+            `${this.engine.getMeshTeeth(gear)}:${this.engine.getMeshTeeth(g)}`,
+        )
         .join(", ");
       ratioText = ratios;
     }
@@ -3053,25 +4890,81 @@ export class GearSimulator {
     content.innerHTML = `
             <div class="info-header" style="font-weight: bold; font-size: 1.1em; margin-bottom: 8px; color: var(--primary-color);">Gear #${gear.id}</div>
             <div class="info-row">
-                <span class="info-label">Teeth</span>
-                <span class="info-value">${gear.params.teeth}</span>
+                <span class="info-label">Type</span>
+                <span class="info-value">${typeText}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">${teethRow[0]}</span>
+                <span class="info-value">${teethRow[1]}</span>
             </div>
             <div class="info-row">
-                <span class="info-label">Pitch Diameter</span>
-                <span class="info-value">${gear.params.pitchDiameter.toFixed(2)} mm</span>
+                <span class="info-label">${sizeRow[0]}</span>
+                <span class="info-value">${sizeRow[1]}</span>
             </div>
             <div class="info-row">
                 <span class="info-label">Module</span>
-                <span class="info-value">${gear.params.module}</span>
+                <span class="info-value">${moduleText}</span>
             </div>
             <div class="info-row">
-                <span class="info-label">RPM</span>
-                <span class="info-value">${gear.rpm.toFixed(1)}</span>
+                <span class="info-label">${shapeRow[0]}</span>
+                <span class="info-value">${shapeRow[1]}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Profile Shift</span>
+                <span class="info-value">${gear.params.profileShift}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Undercut</span>
+                <span class="info-value${undercut ? " warning" : ""}">${undercutText}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">${speedRow[0]}</span>
+                <span class="info-value">${speedRow[1]}</span>
             </div>
             <div class="info-row">
                 <span class="info-label">Direction</span>
                 <span class="info-value ${directionClass}">${directionText}</span>
             </div>
+            <div class="info-row">
+                <span class="info-label">Driver</span>
+                <span class="info-value">${driverText}</span>
+            </div>${branchRow}
+            <div class="info-row">
+                <span class="info-label">Torque</span>
+                <span class="info-value">${torqueText}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Power</span>
+                <span class="info-value">${powerText}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Tooth Force</span>
+                <span class="info-value">${forceText}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Axial Thrust</span>
+                <span class="info-value">${thrustText}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Efficiency</span>
+                <span class="info-value">${efficiencyText}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Material</span>
+                <span class="info-value">${GEAR_MATERIALS[gear.params.material].label}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Bending SF</span>
+                <span class="info-value">${bendingText}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Contact SF</span>
+                <span class="info-value">${contactText}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Overstressed</span>
+                <span class="info-value ${overstressClass}">${overstressedText}</span>
+            </div>
             <div class="info-row">
                 <span class="info-label">Gear Ratio</span>
                 <span class="info-value">${ratioText}</span>
@@ -3079,6 +4972,14 @@ export class GearSimulator {
             <div class="info-row">
                 <span class="info-label">Connected</span>
                 <span class="info-value">${gear.connectedTo.length} gear(s)</span>
+            </div>${meshRows}
+            <div class="info-row">
+                <span class="info-label">Shaft</span>
+                <span class="info-value">${shaftText}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Planetary</span>
+                <span class="info-value">${planetaryText}</span>
             </div>
         `;
   }
@@ -3090,10 +4991,11 @@ export class GearSimulator {
 
   render(time, frame) {
     try {
-      const deltaTime = 1 / 60; // Assuming 60 FPS
+      const deltaTime = this.advanceClock(time);
 
       if (this.isPlaying) {
-        this.updatePhysics(deltaTime);
+        this.engine.updatePhysics(deltaTime * this.timeScale);
+        this.updateTimeDisplay();
       }
 
       // XR-specific updates
@@ -3109,18 +5011,24 @@ export class GearSimulator {
         this.orbitControls.update();
       }
 
+      this.updateShaftMeshes();
+      this.updateCarrierMeshes();
+      this.updateLevelOfDetail();
+      this.instancedGears.update([...this.gearViews.values()]);
       this.renderer.render(this.scene, this.camera);
     } catch (renderErr) {
       console.error("Render loop error:", renderErr);
     }
   }
 
-  updatePhysics(deltaTime) {
-    for (const gear of this.gears) {
-      // Convert RPM to radians per second
-      const radiansPerSecond = (gear.rpm * 2 * Math.PI) / 60;
-      gear.mesh.rotation.z +=
-        radiansPerSecond * gear.rotationDirection * deltaTime;
-    }
+  /**
+   * Real seconds since the previous frame, from the timestamp passed to
+   * setAnimationLoop (so speeds are right at any refresh rate)
+   */
+  advanceClock(time) {
+    const lastFrameTime = this.lastFrameTime;
+    this.lastFrameTime = time ?? null;
+    if (lastFrameTime === null || time === undefined) return 0;
+    return Math.min(Math.max((time - lastFrameTime) / 1000, 0), MAX_FRAME_DELTA);
   }
 }
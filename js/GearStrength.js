@@ -0,0 +1,175 @@
+import { backConeMember, transversePlane, wormMember } from "./MeshQuality.js";
+
+/**
+ * Tooth strength checks for a meshing pair.
+ *
+ * Bending uses the Lewis equation with the Barth velocity factor for cut
+ * teeth; contact uses the Hertz stress of two cylinders with the involute
+ * radii of curvature at the pitch point. Forces in N, lengths in mm and
+ * stresses in MPa (N/mm²). Face width is the gear thickness. Helical teeth
+ * are checked as the spur teeth of their virtual gear, z / cos³β, in the
+ * normal module; straight bevel teeth as those of their back-cone gear,
+ * a worm pair as a helical rack and pinion.
+ */
+
+/**
+ * Typical allowable stresses (MPa) and elastic constants per material.
+ * Allowables are for ~10⁷ cycles, in the AGMA St / Sc sense.
+ */
+export const GEAR_MATERIALS = {
+  steel: {
+    label: "Steel (through-hardened)",
+    bendingAllowable: 195,
+    contactAllowable: 645,
+    elasticModulus: 206000,
+    poissonRatio: 0.3,
+  },
+  "hardened-steel": {
+    label: "Steel (case-hardened)",
+    bendingAllowable: 380,
+    contactAllowable: 1240,
+    elasticModulus: 206000,
+    poissonRatio: 0.3,
+  },
+  "cast-iron": {
+    label: "Cast iron",
+    bendingAllowable: 60,
+    contactAllowable: 450,
+    elasticModulus: 100000,
+    poissonRatio: 0.26,
+  },
+  bronze: {
+    label: "Bronze",
+    bendingAllowable: 65,
+    contactAllowable: 450,
+    elasticModulus: 110000,
+    poissonRatio: 0.34,
+  },
+  aluminum: {
+    label: "Aluminum 7075",
+    bendingAllowable: 100,
+    contactAllowable: 350,
+    elasticModulus: 71700,
+    poissonRatio: 0.33,
+  },
+  nylon: {
+    label: "Nylon (PA66)",
+    bendingAllowable: 40,
+    contactAllowable: 55,
+    elasticModulus: 2800,
+    poissonRatio: 0.4,
+  },
+  acetal: {
+    label: "Acetal (POM)",
+    bendingAllowable: 45,
+    contactAllowable: 60,
+    elasticModulus: 2900,
+    poissonRatio: 0.35,
+  },
+};
+
+export const DEFAULT_MATERIAL = "steel";
+
+// Gears below this safety factor are flagged as overstressed
+export const REQUIRED_SAFETY_FACTOR = 1;
+
+// Lewis form factor Y = π (a - b / z) for full-depth teeth,
+// keyed by pressure angle (degrees)
+const LEWIS_COEFFICIENTS = [
+  { pressureAngle: 14.5, a: 0.124, b: 0.684 },
+  { pressureAngle: 20, a: 0.154, b: 0.912 },
+  { pressureAngle: 25, a: 0.175, b: 0.95 },
+];
+
+/**
+ * Lewis form factor (module based), interpolated between the standard
+ * pressure angles. Racks and ring gears use the rack value (z → ∞).
+ * @param {number} teeth
+ * @param {number} pressureAngle - Degrees
+ * @param {string} [type="external"] - Gear type
+ * @returns {number}
+ */
+export function lewisFormFactor(teeth, pressureAngle, type = "external") {
+  const z = type === "external" ? teeth : Infinity;
+  const formFactor = ({ a, b }) => Math.PI * (a - b / z);
+
+  const first = LEWIS_COEFFICIENTS[0];
+  const last = LEWIS_COEFFICIENTS[LEWIS_COEFFICIENTS.length - 1];
+  if (pressureAngle <= first.pressureAngle) return formFactor(first);
+  if (pressureAngle >= last.pressureAngle) return formFactor(last);
+
+  let i = 1;
+  while (LEWIS_COEFFICIENTS[i].pressureAngle < pressureAngle) i++;
+  const lower = LEWIS_COEFFICIENTS[i - 1];
+  const upper = LEWIS_COEFFICIENTS[i];
+  const t =
+    (pressureAngle - lower.pressureAngle) /
+    (upper.pressureAngle - lower.pressureAngle);
+  return formFactor(lower) + t * (formFactor(upper) - formFactor(lower));
+}
+
+/**
+ * Barth dynamic factor for cut or milled teeth.
+ * @param {number} pitchLineVelocity - m/s
+ * @returns {number}
+ */
+export function velocityFactor(pitchLineVelocity) {
+  return (6.1 + pitchLineVelocity) / 6.1;
+}
+
+/**
+ * Bending and contact stress of one mesh.
+ * Each member is { type, teeth, module, pressureAngle, thickness,
+ * pitchDiameter, material, helixAngle, coneAngle, starts, diameterQuotient }.
+ * @param {Object} member1
+ * @param {Object} member2
+ * @param {number} toothForce - Tangential force at the pitch circle, N
+ * @param {number} pitchLineVelocity - m/s
+ * @returns {{bendingStress: number[], bendingSafety: number[], contactStress: number, contactSafety: number[]}}
+ *   Per-member arrays follow the argument order
+ */
+export function analyzeMesh(member1, member2, toothForce, pitchLineVelocity) {
+  const members = [member1, member2].map((m) => wormMember(backConeMember(m)));
+  const materials = members.map(
+    (m) => GEAR_MATERIALS[m.material] || GEAR_MATERIALS[DEFAULT_MATERIAL],
+  );
+  const load = toothForce * velocityFactor(pitchLineVelocity);
+  const faceWidth = Math.min(member1.thickness, member2.thickness);
+
+  // Lewis: σ = Kv Ft / (b m Y)
+  const virtualTeeth = (m) =>
+    m.teeth / Math.cos(((m.helixAngle || 0) * Math.PI) / 180) ** 3;
+  const bendingStress = members.map(
+    (m) =>
+      load /
+      (faceWidth *
+        m.module *
+        lewisFormFactor(virtualTeeth(m), m.pressureAngle, m.type)),
+  );
+
+  // Hertz: σ = sqrt(Kv Ft (1/ρ1 + 1/ρ2) / (π b cos φ Σ(1 - ν²) / E)),
+  // ρ = d sin φ / 2, negative for a ring's concave flank, zero for a rack.
+  // d is the transverse pitch diameter, so φ is the transverse angle α_t
+  const phi = transversePlane(members[0]).alpha;
+  const curvature = members.reduce((sum, m) => {
+    if (m.type === "rack") return sum;
+    const rho = (m.pitchDiameter * Math.sin(phi)) / 2;
+    return sum + (m.type === "internal" ? -1 : 1) / rho;
+  }, 0);
+  const compliance = materials.reduce(
+    (sum, mat) => sum + (1 - mat.poissonRatio ** 2) / mat.elasticModulus,
+    0,
+  );
+  const contactStress = Math.sqrt(
+    (load * curvature) / (Math.PI * faceWidth * Math.cos(phi) * compliance),
+  );
+
+  return {
+    bendingStress,
+    bendingSafety: materials.map(
+      (mat, i) => mat.bendingAllowable / bendingStress[i],
+    ),
+    contactStress,
+    contactSafety: materials.map((mat) => mat.contactAllowable / contactStress),
+  };
+}
@@ -0,0 +1,2577 @@
+import {
+  GearDimensions,
+  RACK_BACKING_FACTOR,
+  TILTING_TYPES,
+} from "./GearDimensions.js";
+import { planetarySpeedFactors } from "./PlanetaryGearSet.js";
+import {
+  DEFAULT_INPUT_TORQUE,
+  DEFAULT_MESH_EFFICIENCY,
+  LOAD_LIMITS,
+  transferTorque,
+  gearPower,
+  tangentialForce,
+  wormEfficiency,
+  isSelfLocking,
+} from "./GearLoads.js";
+import {
+  analyzeMesh,
+  DEFAULT_MATERIAL,
+  REQUIRED_SAFETY_FACTOR,
+} from "./GearStrength.js";
+import { analyzeMeshQuality, meshCenterDistance } from "./MeshQuality.js";
+import { SpatialHash } from "./SpatialHash.js";
+import { EventDispatcher } from "./EventDispatcher.js";
+import {
+  vec3,
+  add,
+  sub,
+  scale,
+  addScaled,
+  negate,
+  dot,
+  cross,
+  lengthSq,
+  distance,
+  normalize,
+  angleBetween,
+  tilt,
+  untilt,
+} from "./Vec3.js";
+
+/**
+ * Headless gear-train model: meshing, speeds, loads, error states and
+ * motion, with no scene, meshes, DOM or three.js, so it can run in a
+ * worker.
+ *
+ * Gears are plain data: their parameters, a pose in mm (position { x, y,
+ * z }, rotation { x, y, z } in radians with x and y the axis tilt and z
+ * the spin about the axis) and the state derived from it. Callers change
+ * gears and settings through the train's setters; a renderer keeps its
+ * own meshes, copies each pose out on "posechange" and draws the state
+ * when the train dispatches events:
+ *
+ * - "posechange" { gear }: the gear moved or turned
+ * - "errorstate" { gear, kind, other, jam }: gear newly flagged; kind is
+ *   one of ERROR_KINDS, other the gear it conflicts with and jam the locked
+ *   loop a jamming gear is part of (see solveVelocities)
+ * - "errorcleared" { gear }
+ * - "poormesh" { gear, other, quality }: a mesh newly has too low a
+ *   contact ratio or interferes
+ * - "connectionschange", "speedschange", "shaftschange",
+ *   "planetarysetschange"
+ * - "racklimit" { gear }: a rack reached the end of its travel
+ */
+
+// Gears this close to their meshing distance (mm) are connected
+export const MESH_THRESHOLD = 3;
+
+// A dropped gear this close to a meshing position (mm) snaps into it
+export const SNAP_THRESHOLD = 5;
+
+// Flags each error kind sets besides incompatibleWith; overstress has the
+// lowest priority, so any other error replaces it
+const ERROR_FLAGS = {
+  incompatible: { overstressError: false },
+  overlap: { overlapError: true, overstressError: false },
+  jamming: { jammingError: true, overstressError: false },
+  driverConflict: { driverConflictError: true, overstressError: false },
+  overstress: { overstressError: true },
+};
+
+export const ERROR_KINDS = Object.keys(ERROR_FLAGS);
+
+// Relative difference at which two speeds of one gear around a loop disagree
+const VELOCITY_TOLERANCE = 1e-9;
+
+// Plain copy of a pose vector; missing coordinates are 0
+const toVector = ({ x = 0, y = 0, z = 0 }) => vec3(x, y, z);
+
+/**
+ * Full gear parameters: the given ones plus those GearDimensions derives
+ * (profile shift, transverse module, pitch and outer diameter)
+ * @param {Object} params - { type, teeth, module, pressureAngle, ... }
+ * @param {GearDimensions} [geometry] - Already built for these params (a
+ *   GearGeometry will do)
+ * @returns {Object}
+ */
+export function resolveGearParams(
+  params,
+  geometry = new GearDimensions(params),
+) {
+  return {
+    type: geometry.type,
+    teeth: params.teeth,
+    module: params.module,
+    pressureAngle: params.pressureAngle,
+    thickness: params.thickness,
+    boreDiameter: params.boreDiameter,
+    profileShift: geometry.profileShift,
+    // A wheel's helix is its worm's lead angle
+    helixAngle: +((geometry.helixAngle * 180) / Math.PI).toFixed(2),
+    hand: geometry.hand,
+    coneAngle: params.coneAngle ?? 45,
+    starts: geometry.starts,
+    diameterQuotient: geometry.diameterQuotient,
+    material: params.material ?? DEFAULT_MATERIAL,
+    transverseModule: geometry.module,
+    pitchDiameter: geometry.pitchDiameter,
+    outerDiameter: geometry.outerRadius * 2,
+  };
+}
+
+export class GearTrain extends EventDispatcher {
+  constructor() {
+    super();
+    this.gears = [];
+    this.inputRPM = 30;
+    this.inputTorque = DEFAULT_INPUT_TORQUE; // N·m at each train's driver
+    this.meshEfficiency = DEFAULT_MESH_EFFICIENCY; // Per mesh, 0-1
+    this.nextGearId = 1;
+    this.driverConflicts = []; // Drivers disagreeing within one train
+    this.jams = []; // Locked loops left open by the last updateConnections()
+    this.poorMeshes = new Set(); // "id1-id2" keys of low contact ratio / interfering meshes
+
+    // Gears indexed by their reach, so meshing, overlap and snap checks
+    // only look at nearby gears
+    this.spatialIndex = new SpatialHash();
+    this.indexedPoses = new Map(); // gear -> pose when last indexed
+    this.gearOrder = new Map(); // gear -> index in this.gears
+    this.movedGears = new Set(); // Moved since the last updateConnections()
+    this.overlaps = new Map(); // "id1-id2" -> [gear1, gear2] overlapping
+
+    // Shafts lock coaxial gears together (compound gears)
+    this.shafts = new Map(); // shaftId -> { id, gears }
+    this.nextShaftId = 1;
+
+    // Planetary sets: sun, planets on a carrier and a ring gear
+    this.planetarySets = new Map(); // setId -> { id, sun, ring, planets, held, ... }
+    this.nextPlanetarySetId = 1;
+
+    this.simulationTime = 0; // Simulated seconds since the last reset
+  }
+
+  // ==================== GEARS ====================
+
+  /**
+   * Add a gear to the train. Shafts and planetary sets are regrouped by the
+   * caller once all members exist (see rebuildShafts / rebuildPlanetarySets).
+   * @param {Object} options
+   * @param {Object} options.params - Gear parameters (see resolveGearParams)
+   * @param {number} [options.id] - Preserve a saved gear ID
+   * @param {{x?: number, y?: number, z?: number}} [options.position] - mm,
+   *   copied (missing coordinates are 0)
+   * @param {{x?: number, y?: number, z?: number}} [options.rotation] -
+   *   Radians, copied like position
+   * @param {boolean} [options.isDriver] - Defaults to true for the first gear
+   * @param {number|null} [options.driverRPM] - Signed driver RPM (null follows inputRPM)
+   * @param {number|null} [options.shaftId] - Shaft the gear is locked to
+   * @param {Object|null} [options.planetary] - { setId, role, held } of a planetary set
+   * @returns {Object} The gear
+   */
+  addGear({
+    params,
+    id = this.nextGearId,
+    position = {},
+    rotation = {},
+    isDriver = this.gears.length === 0,
+    driverRPM = null,
+    shaftId = null,
+    planetary = null,
+  }) {
+    const gear = {
+      id,
+      params: resolveGearParams(params),
+      position: toVector(position),
+      rotation: toVector(rotation),
+      rpm: 0,
+      rotationDirection: 1,
+      load: null, // { torque, power, toothForce, efficiency, drivenBy, branched }
+      strength: null, // Worst bending/contact stress and safety of its meshes
+      meshQuality: new Map(), // Meshed gear -> contact ratio, backlash, ...
+      connectedTo: [],
+      isDriver,
+      driverRPM,
+      shaftId,
+      planetary: planetary ? { ...planetary } : null,
+      rackTravel: 0, // Distance a rack has slid since the last reset
+      incompatibleWith: null,
+      jammingError: false,
+      overlapError: false,
+      driverConflictError: false,
+      overstressError: false,
+      selfLockError: false,
+    };
+
+    this.gears.push(gear);
+    this.nextGearId = Math.max(this.nextGearId, id + 1);
+    this.reserveGroupIds(gear);
+    return gear;
+  }
+
+  /**
+   * Keep new shaft and planetary set IDs clear of the gear's
+   */
+  reserveGroupIds(gear) {
+    if (gear.shaftId != null) {
+      this.nextShaftId = Math.max(this.nextShaftId, gear.shaftId + 1);
+    }
+    if (gear.planetary) {
+      this.nextPlanetarySetId = Math.max(
+        this.nextPlanetarySetId,
+        gear.planetary.setId + 1,
+      );
+    }
+  }
+
+  /**
+   * Rebuild a gear for new parameters. A gear whose new type cannot tilt
+   * turns its axis back onto Z.
+   * @param {Object} gear
+   * @param {Object} params - Gear parameters (see resolveGearParams)
+   * @param {GearDimensions} [geometry] - Already built for these params
+   */
+  setGearParams(gear, params, geometry = new GearDimensions(params)) {
+    gear.params = resolveGearParams(params, geometry);
+    if (!TILTING_TYPES.includes(gear.params.type) && this.isTilted(gear)) {
+      this.setGearRotation(gear, { x: 0, y: 0 });
+    }
+  }
+
+  /**
+   * Make a gear a driver or not; drivers turn at driverRPM (null follows
+   * inputRPM)
+   * @param {Object} gear
+   * @param {boolean} isDriver
+   * @param {number|null} [driverRPM] - Signed RPM, kept if left out
+   */
+  setGearDriver(gear, isDriver, driverRPM = gear.driverRPM) {
+    gear.isDriver = isDriver;
+    gear.driverRPM = driverRPM;
+  }
+
+  /**
+   * Lock a gear to a shaft, or free it with null. Regroup with
+   * rebuildShafts() once every gear is set.
+   */
+  setGearShaft(gear, shaftId) {
+    gear.shaftId = shaftId;
+    this.reserveGroupIds(gear);
+  }
+
+  /**
+   * Make a gear a member of a planetary set ({ setId, role, held }), or
+   * of none with null. Regroup with rebuildPlanetarySets() once every gear
+   * is set.
+   */
+  setGearPlanetary(gear, planetary) {
+    gear.planetary = planetary ? { ...planetary } : null;
+    this.reserveGroupIds(gear);
+  }
+
+  /**
+   * Number new gears from 1 again (call on an empty train)
+   */
+  resetGearIds() {
+    this.nextGearId = 1;
+  }
+
+  removeGear(gearToDelete) {
+    // Clear error states referencing this gear
+    for (const gear of this.gears) {
+      if (gear.incompatibleWith === gearToDelete) {
+        this.clearErrorState(gear);
+      }
+    }
+
+    // Clear own error state if any
+    if (gearToDelete.incompatibleWith) {
+      this.clearErrorState(gearToDelete);
+    }
+
+    // Remove from connected gears
+    for (const gear of this.gears) {
+      gear.connectedTo = gear.connectedTo.filter((g) => g !== gearToDelete);
+    }
+
+    this.gears = this.gears.filter((g) => g !== gearToDelete);
+    this.unindexGear(gearToDelete);
+    this.rebuildShafts();
+    this.rebuildPlanetarySets();
+  }
+
+  /**
+   * Remove every gear (error states are left on the removed gears)
+   */
+  clear() {
+    this.gears = [];
+    this.resetSpatialIndex();
+    this.rebuildShafts();
+    this.rebuildPlanetarySets();
+  }
+
+  // ==================== POSES ====================
+
+  /**
+   * Move a gear; coordinates left out keep their value
+   * @param {Object} gear
+   * @param {{x?: number, y?: number, z?: number}} position - mm
+   */
+  setGearPosition(
+    gear,
+    { x = gear.position.x, y = gear.position.y, z = gear.position.z },
+  ) {
+    gear.position = vec3(x, y, z);
+    this.dispatchEvent({ type: "posechange", gear });
+  }
+
+  /**
+   * Turn a gear; angles left out keep their value
+   * @param {Object} gear
+   * @param {{x?: number, y?: number, z?: number}} rotation - Radians: x
+   *   and y tilt the axis (bevel gears and worms), z spins the gear
+   */
+  setGearRotation(
+    gear,
+    { x = gear.rotation.x, y = gear.rotation.y, z = gear.rotation.z },
+  ) {
+    gear.rotation = vec3(x, y, z);
+    this.dispatchEvent({ type: "posechange", gear });
+  }
+
+  /**
+   * Forget how far a rack has slid, so resetMotion() returns it to where
+   * it is now
+   */
+  clearRackTravel(gear) {
+    gear.rackTravel = 0;
+  }
+
+  // ==================== ERROR STATES ====================
+
+  /**
+   * Flag a gear as conflicting with another
+   * @param {Object} gear
+   * @param {string} kind - One of ERROR_KINDS
+   * @param {Object} other - Gear it overlaps, jams or conflicts with
+   * @param {Object|null} [jam] - Locked loop a jamming gear is part of
+   */
+  setErrorState(gear, kind, other, jam = null) {
+    if (!gear) return;
+
+    gear.incompatibleWith = other;
+    Object.assign(gear, ERROR_FLAGS[kind]);
+    this.dispatchEvent({ type: "errorstate", gear, kind, other, jam });
+  }
+
+  clearErrorState(gear) {
+    if (!gear || !gear.incompatibleWith) return;
+
+    // Clear incompatible/jamming/overlap references
+    gear.incompatibleWith = null;
+    gear.jammingError = false;
+    gear.overlapError = false;
+    gear.driverConflictError = false;
+    gear.overstressError = false;
+    gear.selfLockError = false;
+
+    this.dispatchEvent({ type: "errorcleared", gear });
+  }
+
+  // ==================== KINEMATIC LINKS ====================
+
+  /**
+   * Gears whose speed is tied to this gear, with the speed ratio and
+   * direction sign: rpmOther = rpmThis * ratio * sign
+   * @returns {Array<{gear: Object, ratio: number, sign: number, type: string}>}
+   */
+  getKinematicLinks(gear) {
+    const links = [];
+
+    // A held planetary member is fixed to the frame
+    if (this.isHeldPlanetaryMember(gear)) return links;
+
+    // Gear ratio: rpm2 = rpm1 * (teeth1 / teeth2)
+    // External meshes reverse direction; a pinion inside a ring does not
+    for (const other of gear.connectedTo || []) {
+      if (this.isHeldPlanetaryMember(other)) continue;
+
+      const factor = this.getMeshSpeedFactor(gear, other);
+      links.push({
+        gear: other,
+        ratio: Math.abs(factor),
+        sign: Math.sign(factor),
+        type: this.areInSamePlanetarySet(gear, other) ? "planetary" : "mesh",
+      });
+    }
+
+    // Gears on one shaft share angular velocity
+    for (const sibling of this.getShaftSiblings(gear)) {
+      links.push({ gear: sibling, ratio: 1, sign: 1, type: "shaft" });
+    }
+
+    return links;
+  }
+
+  /**
+   * Signed speed ratio of a mesh: rpmOther = rpmGear * factor.
+   * Members of a planetary set follow the set's speed factors (the
+   * planets' carrier may be turning).
+   */
+  getMeshSpeedFactor(gear, other) {
+    if (this.areInSamePlanetarySet(gear, other)) {
+      const factors = this.getPlanetarySet(gear).factors;
+      return factors[other.planetary.role] / factors[gear.planetary.role];
+    }
+    return (
+      (this.getMeshTeeth(gear) / this.getMeshTeeth(other)) *
+      this.getMeshDirectionSign(gear, other)
+    );
+  }
+
+  // ==================== JAM DETECTION ====================
+
+  /**
+   * Signed angular velocity of every gear relative to one gear of its
+   * train, solved over all kinematic links at once (union-find with each
+   * gear's velocity relative to its parent). A link whose speed factor
+   * disagrees with the velocities already assigned closes a loop that
+   * cannot turn: an odd number of reversals, or speed ratios whose product
+   * around the loop is not 1 (compound shafts, planetary sets).
+   * Links to a held planetary member are not constrained.
+   * @param {Array<{gear1: Object, gear2: Object}>} [candidates] - Meshes
+   *   to add after the existing links, in order
+   * @returns {{velocities: Map<Object, number>, accepted: Object[],
+   *   jams: Array<{gear1: Object, gear2: Object, loop: Object[], reason: string}>}}
+   *   accepted holds the candidates that fit. A jam is a link left out: its
+   *   loop runs from gear1 to gear2 over the links kept, and reason is
+   *   "direction" (the loop turns against itself) or "ratio"
+   */
+  solveVelocities(candidates = []) {
+    const parent = new Map();
+    const factor = new Map(); // Velocity relative to the parent
+    const neighbors = new Map(); // Links kept, to trace loops along
+    for (const gear of this.gears) {
+      parent.set(gear, gear);
+      factor.set(gear, 1);
+      neighbors.set(gear, []);
+    }
+
+    // Root of a gear's train; leaves the gear's factor relative to it
+    const find = (gear) => {
+      const up = parent.get(gear);
+      if (up === gear) return gear;
+      const root = find(up);
+      factor.set(gear, factor.get(gear) * factor.get(up));
+      parent.set(gear, root);
+      return root;
+    };
+
+    const jams = [];
+    // Add the link rpm2 = rpm1 * speedFactor unless it contradicts the others
+    const link = (gear1, gear2, speedFactor) => {
+      const root1 = find(gear1);
+      const root2 = find(gear2);
+      const expected = factor.get(gear1) * speedFactor;
+      if (root1 !== root2) {
+        parent.set(root2, root1);
+        factor.set(root2, expected / factor.get(gear2));
+      } else {
+        const actual = factor.get(gear2);
+        const tolerance =
+          VELOCITY_TOLERANCE * Math.max(Math.abs(actual), Math.abs(expected));
+        if (Math.abs(actual - expected) > tolerance) {
+          jams.push({
+            gear1,
+            gear2,
+            loop: this.traceLoop(neighbors, gear1, gear2),
+            reason:
+              Math.sign(actual) !== Math.sign(expected) ? "direction" : "ratio",
+          });
+          return false;
+        }
+      }
+      neighbors.get(gear1).push(gear2);
+      neighbors.get(gear2).push(gear1);
+      return true;
+    };
+
+    // Existing links first: shafts, meshes and planetary sets
+    const linked = new Set();
+    for (const gear of this.gears) {
+      linked.add(gear);
+      for (const { gear: other, ratio, sign } of this.getKinematicLinks(gear)) {
+        if (!linked.has(other)) link(gear, other, ratio * sign);
+      }
+    }
+
+    const accepted = candidates.filter(
+      ({ gear1, gear2 }) =>
+        this.isHeldPlanetaryMember(gear1) ||
+        this.isHeldPlanetaryMember(gear2) ||
+        link(gear1, gear2, this.getMeshSpeedFactor(gear1, gear2)),
+    );
+
+    const velocities = new Map();
+    for (const gear of this.gears) {
+      find(gear);
+      velocities.set(gear, factor.get(gear));
+    }
+    return { velocities, accepted, jams };
+  }
+
+  /**
+   * Shortest path from one gear to another over the given links
+   * @param {Map<Object, Object[]>} neighbors
+   * @returns {Object[]} Gears from `from` to `to`, both included
+   */
+  traceLoop(neighbors, from, to) {
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length > 0 && !previous.has(to)) {
+      const gear = queue.shift();
+      for (const next of neighbors.get(gear)) {
+        if (!previous.has(next)) {
+          previous.set(next, gear);
+          queue.push(next);
+        }
+      }
+    }
+
+    const loop = [];
+    for (let gear = to; gear; gear = previous.get(gear)) loop.unshift(gear);
+    return loop;
+  }
+
+  /**
+   * The loop a new mesh between two gears would lock, or null if they can
+   * mesh (see solveVelocities)
+   * @returns {{gear1: Object, gear2: Object, loop: Object[], reason: string}|null}
+   */
+  findJam(gear1, gear2) {
+    if (!gear1 || !gear2) return null;
+    const { jams } = this.solveVelocities([{ gear1, gear2 }]);
+    return (
+      jams.find((jam) => jam.gear1 === gear1 && jam.gear2 === gear2) || null
+    );
+  }
+
+  /**
+   * Flag every gear of each locked loop as jamming, each against the next
+   * gear around the loop. Gears that already show another error keep it.
+   */
+  flagJams(jams) {
+    for (const jam of jams) {
+      jam.loop.forEach((gear, i) => {
+        if (gear.incompatibleWith && !gear.overstressError) return;
+        const next = jam.loop[(i + 1) % jam.loop.length];
+        this.setErrorState(gear, "jamming", next, jam);
+      });
+    }
+  }
+
+  // ==================== MESHING ====================
+
+  /**
+   * How far movingGear is from its meshing position with target, or
+   * Infinity if the two cannot mesh there
+   */
+  getSnapOffset(movingGear, target) {
+    if (this.isBevelPair(movingGear, target)) {
+      return this.getBevelSnapOffset(target, movingGear);
+    }
+    if (this.isWormPair(movingGear, target)) {
+      return this.getWormSnapOffset(target, movingGear);
+    }
+    const distances = this.getMeshDistances(movingGear, target);
+    return distances ? Math.abs(distances.current - distances.ideal) : Infinity;
+  }
+
+  /**
+   * Move movingGear so it sits at the meshing distance from gear
+   * (a bevel gear also turns its axis onto gear's apex, a worm lies down
+   * across its wheel)
+   */
+  moveToMeshPosition(movingGear, gear, idealDistance) {
+    if (this.isBevelPair(movingGear, gear)) {
+      const pose = this.getBevelPose(gear, movingGear);
+      this.setGearPosition(movingGear, pose.position);
+      this.setGearAxis(movingGear, pose.axis);
+      return;
+    }
+
+    if (this.isWormPair(movingGear, gear)) {
+      if (movingGear.params.type === "worm") {
+        const pose = this.getWormPose(gear, movingGear);
+        this.setGearPosition(movingGear, pose.position);
+        this.setGearAxis(movingGear, pose.axis);
+      } else {
+        this.setGearPosition(
+          movingGear,
+          this.getWheelPosition(gear, movingGear),
+        );
+      }
+      return;
+    }
+
+    if (movingGear.params.type === "rack" || gear.params.type === "rack") {
+      // Slide perpendicular to the rack until the pitch line touches the
+      // pinion's pitch circle
+      const rack = movingGear.params.type === "rack" ? movingGear : gear;
+      const pinion = rack === movingGear ? gear : movingGear;
+      const frame = this.getRackFrame(rack, pinion);
+      const shift =
+        (idealDistance - frame.normal) * (rack === movingGear ? -1 : 1);
+      this.setGearPosition(
+        movingGear,
+        addScaled(movingGear.position, frame.normalAxis, shift),
+      );
+      return;
+    }
+
+    // Keep the offset direction; a ring and pinion may be almost concentric
+    let direction = sub(movingGear.position, gear.position);
+    direction.z = 0;
+    if (lengthSq(direction) < 1e-6) direction = vec3(1, 0, 0);
+
+    this.setGearPosition(
+      movingGear,
+      addScaled(gear.position, normalize(direction), idealDistance),
+    );
+  }
+
+  areGearsCompatible(gear1, gear2) {
+    if (!gear1 || !gear2 || !gear1.params || !gear2.params) return false;
+    return this.getIncompatibility(gear1, gear2) === null;
+  }
+
+  /**
+   * Why two gears cannot mesh, or null if they can. Meshing teeth need
+   * equal normal modules and helix angles; parallel helical gears need
+   * opposite hands, except a pinion inside a ring, which shares its hand.
+   * Bevel pitch cones must meet at one apex: equal cone distances z / sin δ.
+   * A worm and its wheel share the lead angle and hand.
+   * @returns {"module"|"helixAngle"|"hand"|"coneAngle"|"leadAngle"|null}
+   */
+  getIncompatibility(gear1, gear2) {
+    const a = gear1.params;
+    const b = gear2.params;
+    if (Math.abs(a.module - b.module) >= 0.001) return "module";
+    if (this.isWormPair(gear1, gear2)) {
+      // A wheel is cut for one worm: same lead angle and hand
+      if (Math.abs(this.getLeadAngle(a) - this.getLeadAngle(b)) >= 0.001) {
+        return "leadAngle";
+      }
+      return a.hand === b.hand ? null : "hand";
+    }
+    if (this.isBevelPair(gear1, gear2)) {
+      const cone = (p) => p.teeth / Math.sin((p.coneAngle * Math.PI) / 180);
+      return Math.abs(cone(a) - cone(b)) > 0.001 * cone(a) ? "coneAngle" : null;
+    }
+    if (Math.abs((a.helixAngle || 0) - (b.helixAngle || 0)) >= 0.001) {
+      return "helixAngle";
+    }
+    if (!a.helixAngle) return null;
+
+    const internal = a.type === "internal" || b.type === "internal";
+    return (a.hand === b.hand) === internal ? null : "hand";
+  }
+
+  checkGearsOverlap(gear1, gear2) {
+    // Check if two gears are overlapping (too close together)
+    // Overlap occurs when center distance is less than ideal meshing distance
+    if (!gear1 || !gear2 || !gear1.params || !gear2.params) return false;
+
+    // Coaxial gears on one shaft and gears in separate Z layers never collide
+    if (this.areOnSameShaft(gear1, gear2)) return false;
+    if (gear1.params.type === "bevel" || gear2.params.type === "bevel") {
+      return this.checkBevelOverlap(gear1, gear2);
+    }
+    if (gear1.params.type === "worm" || gear2.params.type === "worm") {
+      return this.checkWormOverlap(gear1, gear2);
+    }
+    if (!this.gearsShareZRange(gear1, gear2)) return false;
+
+    const currentDistance = distance(gear1.position, gear2.position);
+    const internal1 = gear1.params.type === "internal";
+    const internal2 = gear2.params.type === "internal";
+    const rack1 = gear1.params.type === "rack";
+    const rack2 = gear2.params.type === "rack";
+
+    if (rack1 || rack2) {
+      // Racks are only checked against external gears
+      if (rack1 && rack2) return false;
+      const rack = rack1 ? gear1 : gear2;
+      const pinion = rack1 ? gear2 : gear1;
+      if (pinion.params.type !== "external") return false;
+
+      const frame = this.getRackFrame(rack, pinion);
+      const pinionRadius = pinion.params.outerDiameter / 2;
+      if (
+        Math.abs(frame.along) >
+        rack.params.outerDiameter / 2 + pinionRadius
+      ) {
+        return false; // Past either end of the rack
+      }
+
+      // Same 90% rule as gear pairs, measured from the pitch line; the
+      // pinion overlaps anywhere down to the back of the rack
+      const backDepth = (1.25 + RACK_BACKING_FACTOR) * rack.params.module;
+      const idealDistance = meshCenterDistance(pinion.params, rack.params);
+      return (
+        frame.normal < idealDistance * 0.9 &&
+        frame.normal > -(backDepth + pinionRadius)
+      );
+    }
+
+    if (internal1 && internal2) {
+      // Two rings collide where their rims (annuli) intersect
+      const inner1 = gear1.params.pitchDiameter / 2 - gear1.params.module;
+      const inner2 = gear2.params.pitchDiameter / 2 - gear2.params.module;
+      const outer1 = gear1.params.outerDiameter / 2;
+      const outer2 = gear2.params.outerDiameter / 2;
+      return (
+        currentDistance < outer1 + outer2 &&
+        currentDistance + outer1 > inner2 &&
+        currentDistance + outer2 > inner1
+      );
+    }
+
+    if (internal1 || internal2) {
+      const ring = internal1 ? gear1 : gear2;
+      const pinion = internal1 ? gear2 : gear1;
+      const reach =
+        ring.params.outerDiameter / 2 + pinion.params.outerDiameter / 2;
+      if (currentDistance >= reach) return false; // Pinion fully outside
+
+      const idealDistance = this.getMeshCenterDistance(ring, pinion);
+      if (idealDistance === null) return true; // Pinion too big for the ring
+
+      // Overlap when pushed further into the rim than the meshing position
+      const overlapMargin = Math.max(idealDistance * 0.1, pinion.params.module);
+      return currentDistance > idealDistance + overlapMargin;
+    }
+
+    const idealDistance = this.getMeshCenterDistance(gear1, gear2);
+
+    // Overlap threshold: if closer than 90% of ideal distance, they're overlapping
+    const overlapThreshold = idealDistance * 0.9;
+
+    return currentDistance < overlapThreshold;
+  }
+
+  /**
+   * Center distance at which two gears mesh, or null if they cannot.
+   * External pairs sit outside each other; a pinion meshes inside a ring
+   * at (ring - pinion) / 2. Profile-shifted pairs move apart (or together)
+   * to their zero-backlash distance.
+   */
+  getMeshCenterDistance(gear1, gear2) {
+    const internal1 = gear1.params.type === "internal";
+    const internal2 = gear2.params.type === "internal";
+
+    if (internal1 && internal2) return null;
+    if (internal1 || internal2) {
+      const ring = internal1 ? gear1 : gear2;
+      const pinion = internal1 ? gear2 : gear1;
+      if (pinion.params.teeth >= ring.params.teeth) return null;
+    }
+    return meshCenterDistance(gear1.params, gear2.params);
+  }
+
+  /**
+   * Current and meshing distance between two gears, or null if they cannot
+   * mesh where they are. Rack and worm distances are measured from the
+   * pitch line, bevel distances between the back-cone centers.
+   * @returns {{current: number, ideal: number}|null}
+   */
+  getMeshDistances(gear1, gear2) {
+    const rack1 = gear1.params.type === "rack";
+    const rack2 = gear2.params.type === "rack";
+
+    if (gear1.params.type === "bevel" || gear2.params.type === "bevel") {
+      // Bevel gears mesh only with each other, apex to apex
+      return this.isBevelPair(gear1, gear2)
+        ? this.getBevelMeshDistances(gear1, gear2)
+        : null;
+    }
+
+    const types = [gear1.params.type, gear2.params.type];
+    if (types.includes("worm") || types.includes("wheel")) {
+      // Worms and wheels mesh only with each other
+      return this.isWormPair(gear1, gear2)
+        ? this.getWormMeshDistances(gear1, gear2)
+        : null;
+    }
+
+    if (rack1 || rack2) {
+      const rack = rack1 ? gear1 : gear2;
+      const pinion = rack1 ? gear2 : gear1;
+      if (pinion.params.type !== "external") return null;
+
+      const frame = this.getRackFrame(rack, pinion);
+      if (Math.abs(frame.along) > frame.limit) return null;
+      return {
+        current: frame.normal,
+        ideal: meshCenterDistance(pinion.params, rack.params),
+      };
+    }
+
+    const ideal = this.getMeshCenterDistance(gear1, gear2);
+    if (ideal === null) return null;
+    return {
+      current: distance(gear1.position, gear2.position),
+      ideal,
+    };
+  }
+
+  /**
+   * Position of a pinion relative to a rack: `along` the rack from its
+   * center and `normal` from the pitch line toward the teeth.
+   * `limit` is the furthest `along` at which the pinion still engages.
+   */
+  getRackFrame(rack, pinion) {
+    const axis = this.getRackAxis(rack);
+    const normalAxis = vec3(-axis.y, axis.x, 0);
+    const offset = sub(pinion.position, rack.position);
+    offset.z = 0;
+
+    return {
+      along: dot(offset, axis),
+      normal: dot(offset, normalAxis),
+      axis,
+      normalAxis,
+      limit:
+        (rack.params.outerDiameter - Math.PI * rack.params.transverseModule) /
+        2,
+    };
+  }
+
+  /**
+   * Unit vector along a rack's length (its mesh rotation is its orientation)
+   */
+  getRackAxis(rack) {
+    const angle = rack.rotation.z;
+    return vec3(Math.cos(angle), Math.sin(angle), 0);
+  }
+
+  /**
+   * -1 when meshing reverses rotation (external pair or rack), +1 for a
+   * pinion inside a ring gear. Worm pairs turn about crossed axes, see
+   * getWormDirectionSign().
+   */
+  getMeshDirectionSign(gear1, gear2) {
+    if (this.isWormPair(gear1, gear2)) {
+      return this.getWormDirectionSign(gear1, gear2);
+    }
+    const internal1 = gear1.params.type === "internal";
+    const internal2 = gear2.params.type === "internal";
+    return internal1 !== internal2 ? 1 : -1;
+  }
+
+  // ==================== SPATIAL INDEX ====================
+
+  /**
+   * Radius around a gear's position (in XY) that holds its body and, less
+   * the other gear's reach and SNAP_THRESHOLD, every position of a gear it
+   * can mesh with, snap to or overlap
+   */
+  getReach(gear) {
+    const { type, outerDiameter, pitchDiameter, module, coneAngle } =
+      gear.params;
+    if (type === "rack") {
+      // Half its length and the depth behind the pitch line
+      return outerDiameter / 2 + (1.25 + RACK_BACKING_FACTOR) * module;
+    }
+    if (type === "bevel") {
+      // Its mates' heels sit around the cone apex
+      const apexHeight =
+        pitchDiameter / 2 / Math.tan((coneAngle * Math.PI) / 180);
+      return outerDiameter / 2 + apexHeight;
+    }
+    if (type === "worm") {
+      // Lying down, the thread runs a thickness from the position
+      return gear.params.thickness + outerDiameter;
+    }
+    if (type === "wheel") {
+      // Its worm may lie across either side of it, up to a thread away
+      return outerDiameter;
+    }
+    return outerDiameter / 2;
+  }
+
+  /**
+   * Everything about a gear's pose and size that its connections depend
+   * on (a rack's spin is its orientation)
+   * @returns {number[]}
+   */
+  getPose(gear) {
+    const { position, rotation } = gear;
+    return [
+      position.x,
+      position.y,
+      position.z,
+      rotation.x,
+      rotation.y,
+      gear.params.type === "rack" ? rotation.z : 0,
+      this.getReach(gear),
+    ];
+  }
+
+  /**
+   * Bring the spatial index up to date, noting the gears that moved or
+   * changed size since they were last indexed
+   */
+  syncSpatialIndex() {
+    this.gearOrder = new Map(this.gears.map((gear, i) => [gear, i]));
+    for (const gear of this.gears) {
+      if (!gear.params) continue;
+      const pose = this.getPose(gear);
+      const indexed = this.indexedPoses.get(gear);
+      if (indexed && pose.every((value, i) => value === indexed[i])) continue;
+
+      this.indexedPoses.set(gear, pose);
+      this.spatialIndex.insert(gear, pose[0], pose[1], pose[6]);
+      this.movedGears.add(gear);
+    }
+  }
+
+  resetSpatialIndex() {
+    this.spatialIndex.clear();
+    this.indexedPoses.clear();
+    this.gearOrder.clear();
+    this.movedGears.clear();
+    this.overlaps.clear();
+  }
+
+  unindexGear(gear) {
+    this.spatialIndex.remove(gear);
+    this.indexedPoses.delete(gear);
+    this.gearOrder.delete(gear);
+    this.movedGears.delete(gear);
+    for (const [key, pair] of this.overlaps) {
+      if (pair.includes(gear)) this.overlaps.delete(key);
+    }
+  }
+
+  /**
+   * Gears close enough to mesh with, snap to or overlap the given one, in
+   * train order (the index must be in sync)
+   * @returns {Object[]}
+   */
+  getNearbyGears(gear) {
+    return [...this.spatialIndex.queryItem(gear, SNAP_THRESHOLD)]
+      .filter((other) => this.gearOrder.has(other))
+      .sort((a, b) => this.gearOrder.get(a) - this.gearOrder.get(b));
+  }
+
+  // ==================== CONNECTIONS ====================
+
+  connectGears(gear1, gear2) {
+    if (!gear1 || !gear2) return;
+
+    if (!gear1.connectedTo) gear1.connectedTo = [];
+    if (!gear2.connectedTo) gear2.connectedTo = [];
+
+    if (!gear1.connectedTo.includes(gear2)) {
+      gear1.connectedTo.push(gear2);
+    }
+    if (!gear2.connectedTo.includes(gear1)) {
+      gear2.connectedTo.push(gear1);
+    }
+  }
+
+  /**
+   * Snap a moved gear onto the first gear it is nearly meshing with.
+   * Overlapping or incompatible pairs flag the moved gear instead, a mesh
+   * that would lock a loop every gear of the loop.
+   * @returns {boolean} Whether the gear snapped
+   */
+  snapToMesh(movingGear) {
+    if (!movingGear || !movingGear.params) return false;
+
+    this.syncSpatialIndex();
+    for (const gear of this.getNearbyGears(movingGear)) {
+      if (!gear.params) continue;
+      if (this.areOnSameShaft(movingGear, gear)) continue;
+      if (this.areInSamePlanetarySet(movingGear, gear)) continue;
+      // Bevel gears and worms turn onto their mates while snapping, and
+      // may start out inside them
+      const turning =
+        this.isBevelPair(movingGear, gear) || this.isWormPair(movingGear, gear);
+      if (!turning && !this.gearsShareZRange(movingGear, gear)) continue;
+
+      const distances = this.getMeshDistances(movingGear, gear);
+      const diff = this.getSnapOffset(movingGear, gear);
+
+      // Check for overlap first (gears too close together)
+      if (
+        !(turning && diff < SNAP_THRESHOLD) &&
+        this.checkGearsOverlap(movingGear, gear)
+      ) {
+        this.setErrorState(movingGear, "overlap", gear);
+        return false;
+      }
+
+      if (diff < SNAP_THRESHOLD && diff > 0.1) {
+        // Incompatible gears are flagged but don't snap
+        if (!this.areGearsCompatible(movingGear, gear)) {
+          this.setErrorState(movingGear, "incompatible", gear);
+          return false;
+        }
+
+        // Neither does a connection that would lock a loop
+        const jam = this.findJam(movingGear, gear);
+        if (jam) {
+          this.flagJams([jam]);
+          return false;
+        }
+
+        // Clear any previous incompatible state
+        if (movingGear.incompatibleWith) {
+          this.clearErrorState(movingGear);
+        }
+
+        this.moveToMeshPosition(movingGear, gear, distances?.ideal);
+        this.connectGears(movingGear, gear);
+
+        // Turn the teeth into each other's gaps
+        this.alignGearPhases();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Reconnect every pair at meshing distance and re-detect overlap and
+   * jamming errors. With `moved`, only the connections and overlaps of the
+   * given gears and of any others that moved since the last update are
+   * found again; the rest of the train keeps its connections.
+   * @param {Object|null} [preferred] - Gear that takes an overlap error when
+   *   it is one of the pair (the one being moved or edited)
+   * @param {Object[]|null} [moved] - Gears to reconnect (null: all of them)
+   */
+  updateConnections(preferred = null, moved = null) {
+    // Recalculate connections based on current positions
+    const incompatibleClearThreshold = 10; // Clear incompatible state when moved away
+
+    // Clear ALL jamming and overlap errors first - they will be re-detected if still applicable
+    // (Keep module incompatibility errors as they're position-independent)
+    for (const gear of this.gears) {
+      if (
+        gear &&
+        gear.incompatibleWith &&
+        (gear.jammingError || gear.overlapError)
+      ) {
+        this.clearErrorState(gear);
+      }
+    }
+
+    // Check if any gear in module-incompatible state has moved away from target
+    for (const gear of this.gears) {
+      if (
+        gear &&
+        gear.incompatibleWith &&
+        !gear.jammingError &&
+        !gear.overlapError &&
+        !gear.driverConflictError &&
+        !gear.overstressError
+      ) {
+        const targetGear = gear.incompatibleWith;
+        if (!targetGear || !this.gears.includes(targetGear)) {
+          // Target gear no longer exists
+          this.clearErrorState(gear);
+          continue;
+        }
+
+        const diff = this.getSnapOffset(gear, targetGear);
+
+        // If moved away from meshing distance, clear incompatible state
+        if (diff > incompatibleClearThreshold) {
+          this.clearErrorState(gear);
+        }
+      }
+    }
+
+    if (!moved) this.resetSpatialIndex();
+    this.syncSpatialIndex();
+    for (const gear of moved || []) {
+      if (this.gearOrder.has(gear)) this.movedGears.add(gear);
+    }
+    const changed = this.movedGears;
+    this.movedGears = new Set();
+
+    for (const gear of changed) {
+      for (const other of gear.connectedTo) {
+        other.connectedTo = other.connectedTo.filter((g) => g !== gear);
+      }
+      gear.connectedTo = [];
+    }
+    for (const [key, pair] of this.overlaps) {
+      if (changed.has(pair[0]) || changed.has(pair[1])) {
+        this.overlaps.delete(key);
+      }
+    }
+
+    // Collect potential connections and overlaps of the changed gears with
+    // the gears around them
+    const potentialConnections = [];
+    for (const gear of changed) {
+      for (const other of this.getNearbyGears(gear)) {
+        const [gear1, gear2] =
+          this.gearOrder.get(gear) < this.gearOrder.get(other)
+            ? [gear, other]
+            : [other, gear];
+        // Pairs of two changed gears are visited from the first one
+        if (changed.has(other) && gear !== gear1) continue;
+
+        const connection = this.getPotentialConnection(gear1, gear2);
+        if (connection) potentialConnections.push(connection);
+        if (this.checkGearsOverlap(gear1, gear2)) {
+          this.overlaps.set(`${gear1.id}-${gear2.id}`, [gear1, gear2]);
+        }
+      }
+    }
+
+    // Meshes that locked a loop may fit now that part of the loop moved
+    for (const { gear1, gear2 } of this.jams) {
+      if (changed.has(gear1) || changed.has(gear2)) continue;
+      if (!this.gearOrder.has(gear1) || !this.gearOrder.has(gear2)) continue;
+      const connection = this.getPotentialConnection(gear1, gear2);
+      if (connection) potentialConnections.push(connection);
+    }
+
+    // Sort by distance (closest first) for consistent connection order
+    potentialConnections.sort((a, b) => a.distance - b.distance);
+
+    // The first overlapping pair in train order takes the error
+    const rank = ([gear1, gear2]) =>
+      this.gearOrder.get(gear1) * this.gears.length + this.gearOrder.get(gear2);
+    let firstOverlap = null;
+    for (const pair of this.overlaps.values()) {
+      if (!firstOverlap || rank(pair) < rank(firstOverlap)) firstOverlap = pair;
+    }
+    const [overlapGear, overlapTarget] = firstOverlap || [];
+
+    // Connect compatible pairs; meshes that would lock a loop are left out
+    const candidates = potentialConnections.filter(
+      ({ gear1, gear2 }) =>
+        !this.checkGearsOverlap(gear1, gear2) &&
+        this.areGearsCompatible(gear1, gear2),
+    );
+    const { accepted, jams } = this.solveVelocities(candidates);
+    for (const { gear1, gear2 } of accepted) {
+      this.connectGears(gear1, gear2);
+    }
+    this.jams = jams;
+
+    this.updateMeshQuality();
+
+    // Show overlap error if detected (priority over jamming)
+    if (overlapGear && overlapTarget) {
+      let errorGear, otherGear;
+      if (preferred === overlapGear) {
+        errorGear = overlapGear;
+        otherGear = overlapTarget;
+      } else if (preferred === overlapTarget) {
+        errorGear = overlapTarget;
+        otherGear = overlapGear;
+      } else {
+        errorGear = overlapGear;
+        otherGear = overlapTarget;
+      }
+      this.setErrorState(errorGear, "overlap", otherGear);
+    }
+    // If no overlap but a loop is locked, flag every gear in it
+    else if (jams.length > 0) {
+      this.flagJams(jams);
+    }
+
+    // Trains may have split or merged
+    this.calculateGearSpeeds();
+    this.alignGearPhases();
+    this.dispatchEvent({ type: "connectionschange" });
+  }
+
+  /**
+   * The mesh two gears form where they are: within MESH_THRESHOLD of their
+   * meshing distance, in one Z layer (bevel and worm pairs aside) and not
+   * kept apart by a shaft or planetary set
+   * @returns {{gear1: Object, gear2: Object, distance: number}|null}
+   */
+  getPotentialConnection(gear1, gear2) {
+    if (!gear1.params || !gear2.params) return null;
+    if (this.areOnSameShaft(gear1, gear2)) return null;
+    if (
+      !this.isBevelPair(gear1, gear2) &&
+      !this.isWormPair(gear1, gear2) &&
+      !this.gearsShareZRange(gear1, gear2)
+    ) {
+      return null;
+    }
+    // Inside a planetary set only planets mesh with the sun and ring
+    if (
+      this.areInSamePlanetarySet(gear1, gear2) &&
+      (gear1.planetary.role === "planet") ===
+        (gear2.planetary.role === "planet")
+    ) {
+      return null;
+    }
+
+    const distances = this.getMeshDistances(gear1, gear2);
+    if (!distances) return null;
+    if (Math.abs(distances.current - distances.ideal) >= MESH_THRESHOLD) {
+      return null;
+    }
+    return { gear1, gear2, distance: distances.current };
+  }
+
+  // ==================== TOOTH PHASE ====================
+
+  /**
+   * Turn gears so meshed teeth interlock along the line of centers.
+   * Each train is walked breadth-first from its driver (or its lowest id
+   * gear, which keeps its angle); every other gear turns by the smallest
+   * amount that puts its teeth into the gaps of the gear it was reached
+   * from. Shaft siblings turn together, racks slide instead of turning.
+   * Gears then stay in phase while animating because their speeds follow
+   * the exact tooth ratios.
+   */
+  alignGearPhases() {
+    const aligned = new Set();
+    const roots = [...this.gears].sort(
+      (a, b) => Number(b.isDriver) - Number(a.isDriver) || a.id - b.id,
+    );
+
+    for (const root of roots) {
+      if (aligned.has(root)) continue;
+
+      const queue = [root, ...this.getShaftSiblings(root)];
+      queue.forEach((g) => aligned.add(g));
+
+      while (queue.length > 0) {
+        const current = queue.shift();
+
+        for (const other of current.connectedTo) {
+          if (aligned.has(other)) continue;
+
+          this.applyPhaseCorrection(
+            other,
+            this.getPhaseCorrection(current, other),
+          );
+
+          for (const g of [other, ...this.getShaftSiblings(other)]) {
+            aligned.add(g);
+            queue.push(g);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Correction that brings `moving` into mesh with `fixed`: a rotation in
+   * radians, or for a rack a slide along its axis in mm.
+   *
+   * Tooth positions are measured in pitches from the contact direction
+   * (u). Rolling keeps uFixed + uMoving constant for an external pair and
+   * uRing - uPinion constant for ring and rack meshes, so a tooth on one
+   * side must face a gap (half a pitch) on the other. Helical teeth are
+   * compared in the plane of the fixed gear's base face.
+   * @returns {{rotation: number}|{slide: number}}
+   */
+  getPhaseCorrection(fixed, moving) {
+    const wrap = (u) => u - Math.round(u);
+    const plane = fixed.position.z;
+    const pitchAngle = (gear) => (2 * Math.PI) / gear.params.teeth;
+    const toothPhase = (gear, direction) =>
+      (gear.rotation.z + this.getHelixOffset(gear, plane) - direction) /
+      pitchAngle(gear);
+
+    if (fixed.params.type === "rack" || moving.params.type === "rack") {
+      const rack = fixed.params.type === "rack" ? fixed : moving;
+      const pinion = rack === fixed ? moving : fixed;
+      const frame = this.getRackFrame(rack, pinion);
+
+      // Pinion teeth measured from the direction of the rack;
+      // rack tooth 0 is centered half a pitch from its left end
+      const linearPitch = Math.PI * rack.params.transverseModule;
+      const firstTooth =
+        -rack.params.outerDiameter / 2 +
+        linearPitch / 2 +
+        this.getHelixOffset(rack, plane);
+      const uPinion = toothPhase(
+        pinion,
+        Math.atan2(-frame.normalAxis.y, -frame.normalAxis.x),
+      );
+      const uRack = (firstTooth - frame.along) / linearPitch;
+
+      if (moving === rack) {
+        return { slide: linearPitch * wrap(uPinion + 0.5 - uRack) };
+      }
+      return { rotation: pitchAngle(pinion) * wrap(uRack - 0.5 - uPinion) };
+    }
+
+    if (this.isWormPair(fixed, moving)) {
+      return this.getWormPhaseCorrection(fixed, moving);
+    }
+
+    if (this.isBevelPair(fixed, moving)) {
+      // Like an external pair, with the contact on each gear's pitch cone
+      const uFixed = toothPhase(
+        fixed,
+        this.getBevelContactAngle(fixed, moving),
+      );
+      const uMoving = toothPhase(
+        moving,
+        this.getBevelContactAngle(moving, fixed),
+      );
+      return { rotation: pitchAngle(moving) * wrap(0.5 - uFixed - uMoving) };
+    }
+
+    const dx = moving.position.x - fixed.position.x;
+    const dy = moving.position.y - fixed.position.y;
+    const toMoving = Math.atan2(dy, dx);
+
+    if (fixed.params.type === "internal") {
+      // Pinion inside the ring: contact toward the pinion from both centers
+      const uRing = toothPhase(fixed, toMoving);
+      const uPinion = toothPhase(moving, toMoving);
+      return { rotation: pitchAngle(moving) * wrap(uRing - 0.5 - uPinion) };
+    }
+
+    if (moving.params.type === "internal") {
+      const toPinion = toMoving + Math.PI;
+      const uPinion = toothPhase(fixed, toPinion);
+      const uRing = toothPhase(moving, toPinion);
+      return { rotation: pitchAngle(moving) * wrap(uPinion + 0.5 - uRing) };
+    }
+
+    // External pair: contact lies between the centers
+    const uFixed = toothPhase(fixed, toMoving);
+    const uMoving = toothPhase(moving, toMoving + Math.PI);
+    return { rotation: pitchAngle(moving) * wrap(0.5 - uFixed - uMoving) };
+  }
+
+  /**
+   * How far a helical gear's teeth have advanced at world height z from
+   * its base face: a turn in radians, or a slide in mm along a rack.
+   * Matches the twist built by GearGeometry.applyHelix().
+   */
+  getHelixOffset(gear, z) {
+    const { type, helixAngle, hand, pitchDiameter } = gear.params;
+    if (!helixAngle) return 0;
+
+    const advance =
+      (z - gear.position.z) *
+      Math.tan((helixAngle * Math.PI) / 180) *
+      (hand === "left" ? -1 : 1);
+    return type === "rack" ? -advance : advance / (pitchDiameter / 2);
+  }
+
+  applyPhaseCorrection(gear, correction) {
+    if (correction.slide !== undefined) {
+      this.setGearPosition(
+        gear,
+        addScaled(gear.position, this.getRackAxis(gear), correction.slide),
+      );
+      return;
+    }
+    for (const g of [gear, ...this.getShaftSiblings(gear)]) {
+      this.setGearRotation(g, { z: g.rotation.z + correction.rotation });
+    }
+  }
+
+  // ==================== SHAFTS (COMPOUND GEARS) ====================
+
+  getShaftSiblings(gear) {
+    if (!gear || gear.shaftId == null) return [];
+    const shaft = this.shafts.get(gear.shaftId);
+    return shaft ? shaft.gears.filter((g) => g !== gear) : [];
+  }
+
+  areOnSameShaft(gear1, gear2) {
+    return (
+      gear1.shaftId != null &&
+      gear1.shaftId === gear2.shaftId &&
+      gear1 !== gear2
+    );
+  }
+
+  /**
+   * True if the two gears' thickness ranges along Z overlap
+   */
+  gearsShareZRange(gear1, gear2) {
+    const z1 = gear1.position.z;
+    const z2 = gear2.position.z;
+    const overlap =
+      Math.min(z1 + gear1.params.thickness, z2 + gear2.params.thickness) -
+      Math.max(z1, z2);
+    return overlap > 0;
+  }
+
+  /**
+   * Regroup gears into shafts by shaftId. A shaft with fewer than two
+   * gears dissolves.
+   */
+  rebuildShafts() {
+    const groups = new Map();
+    for (const gear of this.gears) {
+      if (gear.shaftId == null) continue;
+      if (!groups.has(gear.shaftId)) groups.set(gear.shaftId, []);
+      groups.get(gear.shaftId).push(gear);
+    }
+
+    for (const id of this.shafts.keys()) {
+      const gears = groups.get(id);
+      if (!gears || gears.length < 2) this.shafts.delete(id);
+    }
+
+    for (const [id, gears] of groups) {
+      if (gears.length < 2) {
+        gears.forEach((g) => (g.shaftId = null));
+        continue;
+      }
+
+      if (!this.shafts.has(id)) this.shafts.set(id, { id, gears: [] });
+      this.shafts.get(id).gears = gears;
+    }
+
+    this.dispatchEvent({ type: "shaftschange" });
+  }
+
+  /**
+   * Bring shaft siblings and planetary set members along with a moved gear
+   */
+  syncGroupedPositions(gear) {
+    this.syncShaftPosition(gear);
+    this.syncPlanetaryPosition(gear);
+  }
+
+  /**
+   * Keep every gear on the moved gear's shaft coaxial with it
+   */
+  syncShaftPosition(gear) {
+    for (const sibling of this.getShaftSiblings(gear)) {
+      this.setGearPosition(sibling, { x: gear.position.x, y: gear.position.y });
+    }
+  }
+
+  // ==================== BEVEL GEARS ====================
+
+  isBevelPair(gear1, gear2) {
+    return gear1.params.type === "bevel" && gear2.params.type === "bevel";
+  }
+
+  /**
+   * True if the gear's axis is turned off world Z (only bevel gears and
+   * worms tilt)
+   */
+  isTilted(gear) {
+    return gear.rotation.x !== 0 || gear.rotation.y !== 0;
+  }
+
+  /**
+   * Unit vector along the gear's axis, from its base face along local +Z
+   * (toward a bevel gear's cone apex). The tilt lives in rotation.x / rotation.y; rotation.z stays the
+   * spin about this axis.
+   */
+  getGearAxis(gear) {
+    const { x, y } = gear.rotation;
+    return tilt(vec3(0, 0, 1), x, y);
+  }
+
+  setGearAxis(gear, axis) {
+    this.setGearRotation(gear, {
+      x: Math.atan2(-axis.y, axis.z),
+      y: Math.asin(Math.max(-1, Math.min(1, axis.x))),
+    });
+  }
+
+  /**
+   * Apex of the gear's pitch cone, where meshing bevel axes intersect
+   */
+  getConeApex(gear) {
+    const { pitchDiameter, coneAngle } = gear.params;
+    const height = pitchDiameter / 2 / Math.tan((coneAngle * Math.PI) / 180);
+    return addScaled(gear.position, this.getGearAxis(gear), height);
+  }
+
+  /**
+   * Cone angles for z1 and z2 teeth on shafts at shaftAngle degrees:
+   * tan δ1 = sin Σ / (z2 / z1 + cos Σ), δ2 = Σ - δ1
+   * @returns {[number, number]} Degrees
+   */
+  getMatchingConeAngles(teeth1, teeth2, shaftAngle) {
+    const sigma = (shaftAngle * Math.PI) / 180;
+    const first =
+      (Math.atan2(Math.sin(sigma), teeth2 / teeth1 + Math.cos(sigma)) * 180) /
+      Math.PI;
+    return [first, shaftAngle - first];
+  }
+
+  /**
+   * Where `moving` meshes with `fixed`: sharing fixed's cone apex, with its
+   * axis at the shaft angle δ1 + δ2 from fixed's, on the side of fixed
+   * that moving is on now.
+   * @returns {{position: {x: number, y: number, z: number},
+   *   axis: {x: number, y: number, z: number}}}
+   */
+  getBevelPose(fixed, moving) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const apex = this.getConeApex(fixed);
+    const fixedAxis = this.getGearAxis(fixed);
+    const shaftAngle = toRadians(
+      fixed.params.coneAngle + moving.params.coneAngle,
+    );
+
+    let side = sub(moving.position, apex);
+    side = addScaled(side, fixedAxis, -dot(side, fixedAxis));
+    if (lengthSq(side) < 1e-9) {
+      // Right over the apex: pick any direction across the axis
+      side = addScaled(vec3(1, 0, 0), fixedAxis, -fixedAxis.x);
+      if (lengthSq(side) < 1e-9) side = vec3(0, 1, 0);
+    }
+    side = normalize(side);
+
+    const axis = addScaled(
+      scale(fixedAxis, Math.cos(shaftAngle)),
+      side,
+      -Math.sin(shaftAngle),
+    );
+    const height =
+      moving.params.pitchDiameter /
+      2 /
+      Math.tan(toRadians(moving.params.coneAngle));
+    return { position: addScaled(apex, axis, -height), axis };
+  }
+
+  /**
+   * XY distance from `moving` to where it would mesh with `fixed`, or
+   * Infinity if it cannot get there: a gear on a shaft cannot tilt, and a
+   * gear already tilted onto another mate keeps that axis.
+   */
+  getBevelSnapOffset(fixed, moving) {
+    const pose = this.getBevelPose(fixed, moving);
+    const turned = angleBetween(pose.axis, this.getGearAxis(moving)) > 1e-3;
+    if (turned && moving.shaftId != null) return Infinity;
+    if (
+      turned &&
+      moving.connectedTo.some((g) => g !== fixed && this.isBevelPair(g, moving))
+    ) {
+      return Infinity;
+    }
+
+    const dx = pose.position.x - moving.position.x;
+    const dy = pose.position.y - moving.position.y;
+    return Math.hypot(dx, dy);
+  }
+
+  /**
+   * Bevel pair distances in back-cone terms: the ideal is the back-cone
+   * gears' center distance, the current one adds the gap between the cone
+   * apexes and the shaft angle error measured at the cone distance.
+   */
+  getBevelMeshDistances(gear1, gear2) {
+    const ideal = meshCenterDistance(gear1.params, gear2.params);
+    const shaftAngle =
+      ((gear1.params.coneAngle + gear2.params.coneAngle) * Math.PI) / 180;
+    const angleError = Math.abs(
+      angleBetween(this.getGearAxis(gear1), this.getGearAxis(gear2)) -
+        shaftAngle,
+    );
+    const coneDistance =
+      gear1.params.pitchDiameter /
+      2 /
+      Math.sin((gear1.params.coneAngle * Math.PI) / 180);
+
+    return {
+      current:
+        ideal +
+        distance(this.getConeApex(gear1), this.getConeApex(gear2)) +
+        coneDistance * angleError,
+      ideal,
+    };
+  }
+
+  /**
+   * Angle in the gear's own (untilted) plane of the pitch point it shares
+   * with its bevel mate, for tooth phasing
+   */
+  getBevelContactAngle(gear, mate) {
+    const cone = (gear.params.coneAngle * Math.PI) / 180;
+    const back = negate(this.getGearAxis(gear));
+    const mateBack = negate(this.getGearAxis(mate));
+    const toward = normalize(addScaled(mateBack, back, -dot(mateBack, back)));
+
+    // Along the pitch cone from the apex to the back face, on the mate's side
+    const coneDistance = gear.params.pitchDiameter / 2 / Math.sin(cone);
+    const pitchPoint = addScaled(
+      this.getConeApex(gear),
+      addScaled(scale(back, Math.cos(cone)), toward, Math.sin(cone)),
+      coneDistance,
+    );
+
+    const { x, y } = gear.rotation;
+    const local = untilt(sub(pitchPoint, gear.position), x, y);
+    return Math.atan2(local.y, local.x);
+  }
+
+  /**
+   * Bevel gears collide when their axes are parallel and their bodies
+   * overlap in the plane, or when two bevel gears converge on about the
+   * same apex at less than their shaft angle. Bevel gears are not checked
+   * against racks, rings or tilted gears of other types.
+   */
+  checkBevelOverlap(gear1, gear2) {
+    const types = [gear1.params.type, gear2.params.type];
+    if (types.includes("rack") || types.includes("internal")) return false;
+    const axis1 = this.getGearAxis(gear1);
+    const axis2 = this.getGearAxis(gear2);
+
+    if (angleBetween(axis1, axis2) < 1e-3) {
+      if (!this.gearsShareZRange(gear1, gear2)) return false;
+      const reach =
+        (gear1.params.pitchDiameter + gear2.params.pitchDiameter) / 2;
+      return distance(gear1.position, gear2.position) < reach * 0.9;
+    }
+    if (!this.isBevelPair(gear1, gear2)) return false;
+
+    const apexGap = distance(this.getConeApex(gear1), this.getConeApex(gear2));
+    const shaftAngle =
+      ((gear1.params.coneAngle + gear2.params.coneAngle) * Math.PI) / 180;
+    return (
+      apexGap < 2 * gear1.params.module &&
+      angleBetween(axis1, axis2) < shaftAngle * 0.9
+    );
+  }
+
+  // ==================== WORM GEARS ====================
+
+  isWormPair(gear1, gear2) {
+    const types = [gear1.params.type, gear2.params.type];
+    return types.includes("worm") && types.includes("wheel");
+  }
+
+  /**
+   * Teeth passing the mesh per turn: a worm's thread starts
+   */
+  getMeshTeeth(gear) {
+    return gear.params.type === "worm" ? gear.params.starts : gear.params.teeth;
+  }
+
+  /**
+   * Lead angle γ = atan(starts / q) of a worm or wheel, in degrees
+   */
+  getLeadAngle(params) {
+    return (Math.atan(params.starts / params.diameterQuotient) * 180) / Math.PI;
+  }
+
+  isSelfLocking(worm) {
+    return isSelfLocking(this.getLeadAngle(worm.params));
+  }
+
+  /**
+   * Efficiency of a kinematic link: the mesh efficiency, or the friction
+   * loss of a worm thread in the direction it is driven
+   */
+  getLinkEfficiency(gear, link) {
+    if (link.type === "mesh" && this.isWormPair(gear, link.gear)) {
+      return wormEfficiency(
+        this.getLeadAngle(gear.params),
+        gear.params.type === "worm",
+      );
+    }
+    return this.meshEfficiency;
+  }
+
+  /**
+   * The worm's axis and midpoint, and where the wheel's center lies from
+   * them: `along` the axis, `normal` from the worm's pitch line (on the
+   * `side` of the axis given by across = Z × axis), and the `lift` of the
+   * wheel's mid-plane above the axis.
+   * @param {{x: number, y: number, z: number}} [axis] - Axis to assume
+   *   instead of the worm's own
+   */
+  getWormFrame(worm, wheel, axis = this.getGearAxis(worm)) {
+    const center = addScaled(worm.position, axis, worm.params.thickness / 2);
+    const across = normalize(cross(vec3(0, 0, 1), axis));
+    const offset = sub(wheel.position, center);
+    const acrossOffset = dot(offset, across);
+
+    return {
+      axis,
+      center,
+      across,
+      along: dot(offset, axis),
+      side: acrossOffset < 0 ? -1 : 1,
+      normal: Math.abs(acrossOffset) - worm.params.pitchDiameter / 2,
+      lift: wheel.position.z + wheel.params.thickness / 2 - center.z,
+    };
+  }
+
+  /**
+   * Worm pair distances from the worm's pitch line, or null while the worm
+   * does not lie across the wheel (its axis off the XY plane, or the wheel
+   * past either end of the thread). A wheel whose mid-plane is off the
+   * axis counts as further away.
+   */
+  getWormMeshDistances(gear1, gear2) {
+    const worm = gear1.params.type === "worm" ? gear1 : gear2;
+    const wheel = worm === gear1 ? gear2 : gear1;
+    const axis = this.getGearAxis(worm);
+    if (Math.abs(axis.z) > 1e-3) return null;
+
+    const frame = this.getWormFrame(worm, wheel, axis);
+    if (Math.abs(frame.along) > worm.params.thickness / 2) return null;
+    return {
+      current: frame.normal + Math.abs(frame.lift),
+      ideal: meshCenterDistance(wheel.params, worm.params),
+    };
+  }
+
+  /**
+   * Where a worm meshes with a wheel: lying across it at the wheel's
+   * mid-plane, centered on the line from the wheel's center through the
+   * worm's, keeping the worm's direction along the axis where it can.
+   * @returns {{position: {x: number, y: number, z: number},
+   *   axis: {x: number, y: number, z: number}}}
+   */
+  getWormPose(wheel, worm) {
+    const current = this.getGearAxis(worm);
+    let toward = sub(
+      addScaled(worm.position, current, worm.params.thickness / 2),
+      wheel.position,
+    );
+    toward.z = 0;
+    if (lengthSq(toward) < 1e-9) toward = vec3(1, 0, 0);
+    toward = normalize(toward);
+
+    let axis = cross(vec3(0, 0, 1), toward);
+    if (dot(axis, current) < 0) axis = negate(axis);
+
+    const centerDistance =
+      meshCenterDistance(wheel.params, worm.params) +
+      worm.params.pitchDiameter / 2;
+    const center = addScaled(wheel.position, toward, centerDistance);
+    center.z = wheel.position.z + wheel.params.thickness / 2;
+    return {
+      position: addScaled(center, axis, -worm.params.thickness / 2),
+      axis,
+    };
+  }
+
+  /**
+   * Where a wheel meshes with a lying worm: under the middle of the thread
+   * on its side of the axis, mid-plane on the axis (a wheel on a shaft
+   * keeps its height)
+   */
+  getWheelPosition(worm, wheel) {
+    const frame = this.getWormFrame(worm, wheel);
+    const centerDistance =
+      meshCenterDistance(wheel.params, worm.params) +
+      worm.params.pitchDiameter / 2;
+    const position = addScaled(
+      frame.center,
+      frame.across,
+      frame.side * centerDistance,
+    );
+    position.z =
+      wheel.shaftId != null
+        ? wheel.position.z
+        : frame.center.z - wheel.params.thickness / 2;
+    return position;
+  }
+
+  /**
+   * XY distance from `moving` to where it would mesh with `fixed`, or
+   * Infinity if it cannot get there: a worm on a shaft or already lying
+   * across another wheel cannot turn, and a wheel meshes only with a worm
+   * that already lies down.
+   */
+  getWormSnapOffset(fixed, moving) {
+    if (moving.params.type === "wheel") {
+      if (Math.abs(this.getGearAxis(fixed).z) > 1e-3) return Infinity;
+      const target = this.getWheelPosition(fixed, moving);
+      return Math.hypot(
+        target.x - moving.position.x,
+        target.y - moving.position.y,
+      );
+    }
+
+    const pose = this.getWormPose(fixed, moving);
+    const turned = angleBetween(pose.axis, this.getGearAxis(moving)) > 1e-3;
+    if (turned && moving.shaftId != null) return Infinity;
+    if (
+      turned &&
+      moving.connectedTo.some((g) => g !== fixed && this.isWormPair(g, moving))
+    ) {
+      return Infinity;
+    }
+
+    const target = addScaled(
+      pose.position,
+      pose.axis,
+      moving.params.thickness / 2,
+    );
+    const current = addScaled(
+      moving.position,
+      this.getGearAxis(moving),
+      moving.params.thickness / 2,
+    );
+    return Math.hypot(target.x - current.x, target.y - current.y);
+  }
+
+  /**
+   * Turning sense of a worm pair. Turning the worm by Δ (about its own
+   * axis) moves its thread -hand · lead · Δ / 2π along the axis; the
+   * wheel's teeth at the contact move along ±axis as it turns, depending
+   * on the side of the axis it is on. A worm that does not lie down yet
+   * is taken in the pose it would snap to.
+   */
+  getWormDirectionSign(gear1, gear2) {
+    const worm = gear1.params.type === "worm" ? gear1 : gear2;
+    const wheel = worm === gear1 ? gear2 : gear1;
+    let axis = this.getGearAxis(worm);
+    if (Math.abs(axis.z) > 1e-3) axis = this.getWormPose(wheel, worm).axis;
+
+    const hand = worm.params.hand === "left" ? -1 : 1;
+    return -hand * this.getWormFrame(worm, wheel, axis).side;
+  }
+
+  /**
+   * Correction that brings `moving` into mesh with `fixed` for a worm pair
+   * lying across each other. Positions along the worm's axis are counted
+   * in axial pitches: the wheel's teeth at the contact (c · u, with c the
+   * side of the axis) must sit in the thread gaps, which start half a
+   * pitch below the thread centers of GearGeometry.wormRadius().
+   * @returns {{rotation: number}}
+   */
+  getWormPhaseCorrection(fixed, moving) {
+    const worm = fixed.params.type === "worm" ? fixed : moving;
+    const wheel = worm === fixed ? moving : fixed;
+    const frame = this.getWormFrame(worm, wheel);
+    const hand = worm.params.hand === "left" ? -1 : 1;
+    const pitchAngle = (2 * Math.PI) / wheel.params.teeth;
+
+    // Wheel teeth measured from the direction of the worm's axis
+    const toWorm = Math.atan2(
+      -frame.side * frame.across.y,
+      -frame.side * frame.across.x,
+    );
+    const uWheel =
+      (wheel.rotation.z + this.getHelixOffset(wheel, frame.center.z) - toWorm) /
+      pitchAngle;
+
+    // Thread gaps at the contact, in the worm's own (untilted) plane
+    const { x, y } = worm.rotation;
+    const toWheel = untilt(scale(frame.across, frame.side), x, y);
+    const contact = Math.atan2(toWheel.y, toWheel.x);
+    const axialPitch = Math.PI * worm.params.module;
+    const lead = worm.params.starts * axialPitch;
+    const uWorm =
+      ((hand * lead * (contact - worm.rotation.z)) / (2 * Math.PI) -
+        worm.params.thickness / 2 -
+        frame.along) /
+      axialPitch;
+
+    const error = frame.side * uWheel - uWorm;
+    const wrapped = error - Math.round(error);
+    if (moving === wheel) {
+      return { rotation: -frame.side * wrapped * pitchAngle };
+    }
+    return {
+      rotation: (-hand * wrapped * 2 * Math.PI) / worm.params.starts,
+    };
+  }
+
+  /**
+   * A worm collides with its wheel when pushed past the meshing distance
+   * within the thread's length and the wheel's face. Worms are not checked
+   * against other gears.
+   */
+  checkWormOverlap(gear1, gear2) {
+    if (!this.isWormPair(gear1, gear2)) return false;
+
+    const worm = gear1.params.type === "worm" ? gear1 : gear2;
+    const wheel = worm === gear1 ? gear2 : gear1;
+    const axis = this.getGearAxis(worm);
+    if (Math.abs(axis.z) > 1e-3) return false;
+
+    const frame = this.getWormFrame(worm, wheel, axis);
+    const wheelRadius = wheel.params.outerDiameter / 2;
+    const wormRadius = worm.params.outerDiameter / 2;
+    return (
+      frame.normal < meshCenterDistance(wheel.params, worm.params) * 0.9 &&
+      Math.abs(frame.along) < worm.params.thickness / 2 + wheelRadius &&
+      Math.abs(frame.lift) < wheel.params.thickness / 2 + wormRadius
+    );
+  }
+
+  /**
+   * Flag self-locking worms that their wheels try to drive, like a jammed
+   * train. Only newly locked worms dispatch an errorstate event.
+   */
+  updateSelfLockedWorms(selfLocked) {
+    const locked = new Set(selfLocked.map((s) => s.worm));
+
+    for (const gear of this.gears) {
+      if (gear.selfLockError && !locked.has(gear)) {
+        this.clearErrorState(gear);
+      }
+    }
+
+    for (const { worm, wheel } of selfLocked) {
+      if (worm.selfLockError) {
+        worm.incompatibleWith = wheel;
+      } else if (!worm.incompatibleWith || worm.overstressError) {
+        // Overlap, jamming and module errors take priority
+        worm.selfLockError = true;
+        this.setErrorState(worm, "jamming", wheel);
+      }
+    }
+  }
+
+  // ==================== PLANETARY SETS ====================
+
+  getPlanetarySet(gear) {
+    if (!gear || !gear.planetary) return null;
+    return this.planetarySets.get(gear.planetary.setId) || null;
+  }
+
+  getPlanetarySetMembers(gear) {
+    const set = this.getPlanetarySet(gear);
+    return set ? [set.sun, set.ring, ...set.planets] : [];
+  }
+
+  areInSamePlanetarySet(gear1, gear2) {
+    return (
+      !!gear1.planetary &&
+      !!gear2.planetary &&
+      gear1.planetary.setId === gear2.planetary.setId &&
+      this.planetarySets.has(gear1.planetary.setId)
+    );
+  }
+
+  isHeldPlanetaryMember(gear) {
+    const set = this.getPlanetarySet(gear);
+    return !!set && set[set.held] === gear;
+  }
+
+  /**
+   * Regroup gears into planetary sets by their planetary.setId. A set
+   * needs a sun, a ring and at least one planet; incomplete sets dissolve
+   * into ordinary gears.
+   */
+  rebuildPlanetarySets() {
+    this.planetarySets.clear();
+
+    const groups = new Map();
+    for (const gear of this.gears) {
+      if (!gear.planetary) continue;
+      const id = gear.planetary.setId;
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(gear);
+    }
+
+    for (const [id, members] of groups) {
+      const sun = members.find((g) => g.planetary.role === "sun");
+      const ring = members.find((g) => g.planetary.role === "ring");
+      const planets = members.filter((g) => g.planetary.role === "planet");
+
+      if (!sun || !ring || planets.length === 0) {
+        members.forEach((g) => (g.planetary = null));
+        continue;
+      }
+
+      const held = sun.planetary.held;
+      members.forEach((g) => (g.planetary.held = held));
+
+      // Planets keep their current angle around the sun; carrier starts at 0
+      const center = sun.position;
+      const set = {
+        id,
+        sun,
+        ring,
+        planets,
+        held,
+        factors: planetarySpeedFactors(
+          {
+            sun: sun.params.teeth,
+            planet: planets[0].params.teeth,
+            ring: ring.params.teeth,
+          },
+          held,
+        ),
+        orbitRadius:
+          (sun.params.pitchDiameter + planets[0].params.pitchDiameter) / 2,
+        planetAngles: planets.map((p) =>
+          Math.atan2(p.position.y - center.y, p.position.x - center.x),
+        ),
+        carrierAngle: 0,
+        carrierRPM: 0,
+      };
+      this.planetarySets.set(id, set);
+      this.positionPlanetaryMembers(set);
+    }
+
+    this.dispatchEvent({ type: "planetarysetschange" });
+  }
+
+  /**
+   * Hold another member of a planetary set. A held driver would stop the
+   * set, so driving passes to the input member (the ring when the sun is
+   * held, else the sun).
+   * @param {Object} set
+   * @param {string} held - One of PLANETARY_MEMBERS
+   */
+  setPlanetaryHeld(set, held) {
+    for (const gear of [set.sun, set.ring, ...set.planets]) {
+      gear.planetary.held = held;
+    }
+
+    const heldGear = set[held];
+    if (heldGear && heldGear.isDriver) {
+      const input = held === "sun" ? set.ring : set.sun;
+      this.setGearDriver(input, true, heldGear.driverRPM);
+      this.setGearDriver(heldGear, false, null);
+    }
+
+    this.rebuildPlanetarySets();
+  }
+
+  /**
+   * Place sun and ring on the set center and the planets on their orbit
+   * at the current carrier angle
+   */
+  positionPlanetaryMembers(set) {
+    const center = set.sun.position;
+    this.setGearPosition(set.ring, { x: center.x, y: center.y });
+
+    set.planets.forEach((planet, i) => {
+      const angle = set.planetAngles[i] + set.carrierAngle;
+      this.setGearPosition(planet, {
+        x: center.x + set.orbitRadius * Math.cos(angle),
+        y: center.y + set.orbitRadius * Math.sin(angle),
+      });
+    });
+  }
+
+  /**
+   * Move the whole set with whichever member was dragged
+   */
+  syncPlanetaryPosition(gear) {
+    const set = this.getPlanetarySet(gear);
+    if (!set) return;
+
+    if (gear.planetary.role === "planet") {
+      const i = set.planets.indexOf(gear);
+      const angle = set.planetAngles[i] + set.carrierAngle;
+      this.setGearPosition(set.sun, {
+        x: gear.position.x - set.orbitRadius * Math.cos(angle),
+        y: gear.position.y - set.orbitRadius * Math.sin(angle),
+      });
+    } else if (gear.planetary.role === "ring") {
+      this.setGearPosition(set.sun, { x: gear.position.x, y: gear.position.y });
+    }
+
+    this.positionPlanetaryMembers(set);
+  }
+
+  // ==================== DRIVERS ====================
+
+  /**
+   * Signed RPM a driver gear turns at (positive = CW).
+   * Drivers without their own RPM follow the Input RPM field.
+   */
+  getDriverRPM(gear) {
+    return gear.driverRPM ?? this.inputRPM;
+  }
+
+  /**
+   * How torque crosses a kinematic link, for transferTorque().
+   * Each planet takes an equal share of the sun's or ring's load.
+   */
+  getTorqueTransfer(gear, link) {
+    if (link.type === "shaft") {
+      return { teethIn: 1, teethOut: 1, stages: 0 };
+    }
+
+    let split = 1;
+    if (link.type === "planetary") {
+      const planets = this.getPlanetarySet(gear).planets.length;
+      if (link.gear.planetary.role === "planet") split = planets;
+      else if (gear.planetary.role === "planet") split = 1 / planets;
+    }
+
+    return {
+      teethIn: this.getMeshTeeth(gear),
+      teethOut: this.getMeshTeeth(link.gear),
+      split,
+      stages: 1,
+    };
+  }
+
+  /**
+   * @param {number} rpm - RPM of drivers that follow the input, clamped to
+   *   LOAD_LIMITS.inputRPM
+   */
+  setInputRPM(rpm) {
+    const { min, max } = LOAD_LIMITS.inputRPM;
+    this.inputRPM = Math.max(min, Math.min(max, rpm));
+    this.calculateGearSpeeds();
+  }
+
+  setInputTorque(torque) {
+    const { min, max } = LOAD_LIMITS.inputTorque;
+    this.inputTorque = Math.max(min, Math.min(max, torque));
+    this.calculateGearSpeeds();
+  }
+
+  /**
+   * @param {number} efficiency - Per-mesh efficiency, 0-1
+   */
+  setMeshEfficiency(efficiency) {
+    const { min, max } = LOAD_LIMITS.meshEfficiency;
+    this.meshEfficiency = Math.max(min, Math.min(max, efficiency));
+    this.calculateGearSpeeds();
+  }
+
+  calculateGearSpeeds() {
+    const drivers = this.gears.filter((g) => g.isDriver);
+
+    // Signed RPM per gear (positive = CW); undriven gears stand still
+    const signedRPM = new Map();
+    const torques = new Map(); // N·m carried by each driven gear
+    const efficiencies = new Map(); // Cumulative from the train's driver
+    const drivenBy = new Map(); // Gear whose teeth drive each meshed gear
+    const branched = new Set(); // Gears of trains that split into branches
+    const conflicts = [];
+    const selfLocked = []; // Self-locking worms driven by their wheels
+
+    for (const driver of drivers) {
+      // Already reached from another driver in the same train
+      if (signedRPM.has(driver)) continue;
+
+      signedRPM.set(driver, this.getDriverRPM(driver));
+      torques.set(driver, this.inputTorque);
+      efficiencies.set(driver, 1);
+      const train = [driver];
+      let locked = false;
+      let splits = false;
+
+      // BFS to propagate speeds through connected gears
+      const queue = [driver];
+      while (queue.length > 0) {
+        const current = queue.shift();
+        // Planets split their sun's or ring's load, so they count as one
+        const outputs = new Set();
+
+        for (const link of this.getKinematicLinks(current)) {
+          const connected = link.gear;
+          if (signedRPM.has(connected)) continue;
+          outputs.add(link.type === "planetary" ? "planets" : connected);
+
+          const rpm = signedRPM.get(current) * link.ratio * link.sign;
+          signedRPM.set(connected, rpm);
+
+          // Branches each carry the full load (worst case for sizing), so
+          // their powers add up to more than the input
+          const transfer = this.getTorqueTransfer(current, link);
+          const efficiency = this.getLinkEfficiency(current, link);
+          torques.set(
+            connected,
+            transferTorque(torques.get(current), transfer, efficiency),
+          );
+          efficiencies.set(
+            connected,
+            efficiencies.get(current) * Math.pow(efficiency, transfer.stages),
+          );
+          if (link.type !== "shaft") drivenBy.set(connected, current);
+          train.push(connected);
+          queue.push(connected);
+
+          // A wheel cannot turn a self-locking worm: the train stands still
+          if (
+            link.type === "mesh" &&
+            connected.params.type === "worm" &&
+            this.isSelfLocking(connected)
+          ) {
+            selfLocked.push({ worm: connected, wheel: current });
+            locked = true;
+          }
+
+          // A second driver in this train must agree with the first
+          if (connected.isDriver) {
+            const ownRPM = this.getDriverRPM(connected);
+            const tolerance = 1e-6 * Math.max(1, Math.abs(ownRPM));
+            if (Math.abs(ownRPM - rpm) > tolerance) {
+              conflicts.push({
+                gear: connected,
+                driver,
+                expectedRPM: rpm,
+                driverRPM: ownRPM,
+              });
+              locked = true;
+            }
+          }
+        }
+        if (outputs.size > 1) splits = true;
+      }
+      if (splits) for (const gear of train) branched.add(gear);
+
+      // Conflicting drivers or a backdriven worm lock the whole train
+      if (locked) {
+        for (const gear of train) {
+          signedRPM.set(gear, 0);
+          torques.delete(gear);
+          efficiencies.delete(gear);
+          drivenBy.delete(gear);
+        }
+      }
+    }
+
+    // Held planetary members never turn; the carrier follows the others
+    for (const set of this.planetarySets.values()) {
+      const held = set[set.held]; // undefined when the carrier is held
+      if (held) signedRPM.set(held, 0);
+
+      const input = set.held === "sun" ? set.ring : set.sun;
+      set.carrierRPM =
+        ((signedRPM.get(input) || 0) * set.factors.carrier) /
+        set.factors[input.planetary.role];
+
+      // A turning carrier takes the input power through two meshes
+      set.carrierTorque =
+        set.factors.carrier && torques.has(input)
+          ? ((torques.get(input) * set.factors[input.planetary.role]) /
+              set.factors.carrier) *
+            Math.pow(this.meshEfficiency, 2)
+          : null;
+    }
+
+    for (const gear of this.gears) {
+      const rpm = signedRPM.get(gear) || 0;
+      gear.rpm = Math.abs(rpm);
+      gear.rotationDirection = rpm < 0 ? -1 : 1;
+
+      // Undriven and locked gears carry no load
+      const torque = torques.get(gear) ?? 0;
+      gear.load = {
+        torque,
+        power: gearPower(torque, gear.rpm),
+        toothForce: tangentialForce(torque, gear.params.pitchDiameter),
+        efficiency: efficiencies.get(gear) ?? null,
+        drivenBy: drivenBy.get(gear) ?? null,
+        branched: branched.has(gear),
+      };
+    }
+
+    this.updateSelfLockedWorms(selfLocked);
+    this.updateDriverConflicts(conflicts);
+    this.updateGearStrength();
+    this.dispatchEvent({ type: "speedschange" });
+  }
+
+  /**
+   * Flag drivers whose speed disagrees with their train.
+   * Only newly conflicting gears dispatch an errorstate event.
+   */
+  updateDriverConflicts(conflicts) {
+    this.driverConflicts = conflicts;
+    const conflicting = new Set(conflicts.map((c) => c.gear));
+
+    for (const gear of this.gears) {
+      if (gear.driverConflictError && !conflicting.has(gear)) {
+        this.clearErrorState(gear);
+      }
+    }
+
+    for (const conflict of conflicts) {
+      const gear = conflict.gear;
+      if (gear.driverConflictError) {
+        gear.incompatibleWith = conflict.driver;
+      } else if (!gear.incompatibleWith || gear.overstressError) {
+        // Overlap, jamming and module errors take priority
+        this.setErrorState(gear, "driverConflict", conflict.driver);
+      }
+    }
+  }
+
+  // ==================== MESH QUALITY ====================
+
+  /**
+   * Contact ratio, operating pressure angle and backlash of every
+   * connection at its actual center distance. Connections that newly drop
+   * below the minimum contact ratio or interfere dispatch poormesh.
+   */
+  updateMeshQuality() {
+    const poorMeshes = new Set();
+    let newlyPoor = null;
+
+    for (const gear of this.gears) gear.meshQuality = new Map();
+
+    for (const gear of this.gears) {
+      for (const other of gear.connectedTo) {
+        if (other.id < gear.id) continue; // Each mesh once
+
+        const distances = this.getMeshDistances(gear, other);
+        if (!distances) continue;
+
+        const quality = analyzeMeshQuality(
+          gear.params,
+          other.params,
+          distances.current,
+        );
+        gear.meshQuality.set(other, quality);
+        other.meshQuality.set(gear, quality);
+
+        if (quality.interference || quality.lowContactRatio) {
+          const key = `${gear.id}-${other.id}`;
+          poorMeshes.add(key);
+          if (!this.poorMeshes.has(key) && !newlyPoor) {
+            newlyPoor = { gear, other, quality };
+          }
+        }
+      }
+    }
+
+    this.poorMeshes = poorMeshes;
+    if (newlyPoor) {
+      this.dispatchEvent({ type: "poormesh", ...newlyPoor });
+    }
+  }
+
+  // ==================== STRENGTH ====================
+
+  /**
+   * Tangential force carried by one mesh, N.
+   * A planet carries its own share; otherwise the larger side's force
+   * (the two differ only by the mesh loss).
+   */
+  getMeshForce(gear1, gear2) {
+    if (!gear1.load || !gear2.load) return 0;
+
+    if (this.areInSamePlanetarySet(gear1, gear2)) {
+      const planet = gear1.planetary.role === "planet" ? gear1 : gear2;
+      return planet.load.toothForce;
+    }
+    if (this.isWormPair(gear1, gear2)) {
+      // The worm's own tangential force is the wheel's axial load
+      const wheel = gear1.params.type === "wheel" ? gear1 : gear2;
+      return wheel.load.toothForce;
+    }
+    return Math.max(gear1.load.toothForce, gear2.load.toothForce);
+  }
+
+  /**
+   * Bending and contact safety of every gear from its loaded meshes.
+   * Each gear keeps the worst values over its meshes.
+   */
+  updateGearStrength() {
+    for (const gear of this.gears) gear.strength = null;
+
+    for (const gear of this.gears) {
+      for (const other of gear.connectedTo) {
+        if (other.id < gear.id) continue; // Each mesh once
+
+        const force = this.getMeshForce(gear, other);
+        if (!(force > 0)) continue;
+
+        // Pitch-line velocity of the faster side, m/s
+        const velocity = Math.max(
+          ...[gear, other].map(
+            (g) => (Math.PI * g.params.pitchDiameter * g.rpm) / 60000,
+          ),
+        );
+        const result = analyzeMesh(gear.params, other.params, force, velocity);
+
+        [gear, other].forEach((g, i) => {
+          const strength = {
+            bendingStress: result.bendingStress[i],
+            bendingSafety: result.bendingSafety[i],
+            contactStress: result.contactStress,
+            contactSafety: result.contactSafety[i],
+            mate: i === 0 ? other : gear,
+          };
+          g.strength = this.worstStrength(g.strength, strength);
+        });
+      }
+    }
+
+    const overstressed = this.gears.filter(
+      (g) =>
+        g.strength &&
+        Math.min(g.strength.bendingSafety, g.strength.contactSafety) <
+          REQUIRED_SAFETY_FACTOR,
+    );
+    this.updateOverstress(overstressed);
+  }
+
+  worstStrength(a, b) {
+    if (!a) return b;
+    const worst =
+      Math.min(b.bendingSafety, b.contactSafety) <
+      Math.min(a.bendingSafety, a.contactSafety)
+        ? b
+        : a;
+    return {
+      bendingStress: Math.max(a.bendingStress, b.bendingStress),
+      bendingSafety: Math.min(a.bendingSafety, b.bendingSafety),
+      contactStress: Math.max(a.contactStress, b.contactStress),
+      contactSafety: Math.min(a.contactSafety, b.contactSafety),
+      mate: worst.mate,
+    };
+  }
+
+  /**
+   * Flag overstressed gears. Only newly overstressed gears dispatch an
+   * errorstate event.
+   */
+  updateOverstress(overstressed) {
+    const flagged = new Set(overstressed);
+
+    for (const gear of this.gears) {
+      if (gear.overstressError && !flagged.has(gear)) {
+        this.clearErrorState(gear);
+      }
+    }
+
+    for (const gear of overstressed) {
+      if (gear.overstressError) {
+        gear.incompatibleWith = gear.strength.mate;
+      } else if (!gear.incompatibleWith) {
+        // Overlap, jamming, module and driver errors take priority
+        this.setErrorState(gear, "overstress", gear.strength.mate);
+      }
+    }
+  }
+
+  // ==================== AXIAL THRUST ====================
+
+  /**
+   * Net axial force of helical teeth on a gear, N along +Z.
+   * Each driven mesh pushes with Fa = Ft tan β. The side depends on the
+   * hand, the turning direction and whether the gear drives or is driven
+   * through that mesh, so an idler's two meshes largely cancel. A rack or
+   * a gear standing still takes the reaction of its mate.
+   */
+  getAxialThrust(gear) {
+    if (!gear.params.helixAngle) return 0;
+    const tan = Math.tan((gear.params.helixAngle * Math.PI) / 180);
+    const turns = (g) => g.params.type !== "rack" && g.rpm > 0;
+
+    let thrust = 0;
+    for (const other of gear.connectedTo) {
+      const gearDrives = other.load?.drivenBy === gear;
+      if (!gearDrives && gear.load?.drivenBy !== other) continue;
+
+      const side = turns(gear) ? gear : other;
+      if (!turns(side)) continue;
+
+      // Tooth load along the side's own turning sense: with its rotation
+      // when driven, against it when driving. A right-hand flank turns
+      // that push toward -Z.
+      const drives = side === gear ? gearDrives : !gearDrives;
+      const tangential = side.rotationDirection * (drives ? -1 : 1);
+      const hand = side.params.hand === "left" ? -1 : 1;
+      const push = -tangential * hand * this.getMeshForce(gear, other) * tan;
+      thrust += side === gear ? push : -push;
+    }
+    return thrust;
+  }
+
+  // ==================== MOTION ====================
+
+  /**
+   * @param {number} deltaTime - Simulated seconds (negative runs backward)
+   */
+  updatePhysics(deltaTime) {
+    this.simulationTime += deltaTime;
+    let stoppedRack = null;
+
+    for (const gear of this.gears) {
+      if (gear.params.type === "rack") {
+        if (!this.updateRackTravel(gear, deltaTime)) stoppedRack = gear;
+        continue;
+      }
+
+      // Convert RPM to radians per second
+      const radiansPerSecond = (gear.rpm * 2 * Math.PI) / 60;
+      this.setGearRotation(gear, {
+        z:
+          gear.rotation.z +
+          radiansPerSecond * gear.rotationDirection * deltaTime,
+      });
+    }
+
+    // Planet carriers orbit their planets around the sun
+    for (const set of this.planetarySets.values()) {
+      if (!set.carrierRPM) continue;
+      set.carrierAngle += ((set.carrierRPM * 2 * Math.PI) / 60) * deltaTime;
+      this.positionPlanetaryMembers(set);
+    }
+
+    if (stoppedRack) {
+      this.dispatchEvent({ type: "racklimit", gear: stoppedRack });
+    }
+  }
+
+  /**
+   * Slide a rack along its axis. Its rpm counts rack lengths per minute
+   * (the length plays the pitch circumference), so the speed is
+   * rpm * length / 60 = pinion rpm * π * pitchDiameter / 60 mm/s.
+   * @returns {boolean} false if a meshed pinion reached the end of the rack
+   */
+  updateRackTravel(rack, deltaTime) {
+    const signedRPM = rack.rpm * rack.rotationDirection;
+    // A pinion turning positive drives the rack toward +axis
+    let step = (-signedRPM * rack.params.outerDiameter * deltaTime) / 60;
+    if (step === 0) return true;
+
+    // Pinions move relative to the rack opposite to its motion
+    let withinLimits = true;
+    for (const pinion of rack.connectedTo) {
+      const frame = this.getRackFrame(rack, pinion);
+      const along = frame.along - step;
+      if (Math.abs(along) > frame.limit) {
+        step = frame.along - Math.sign(along) * frame.limit;
+        withinLimits = false;
+      }
+    }
+
+    this.setGearPosition(
+      rack,
+      addScaled(rack.position, this.getRackAxis(rack), step),
+    );
+    rack.rackTravel += step;
+    return withinLimits;
+  }
+
+  /**
+   * Turn every gear back to angle 0, slide racks back to where they
+   * started and restart the clock
+   */
+  resetMotion() {
+    for (const gear of this.gears) {
+      if (gear.params.type === "rack") {
+        // Racks return to where they started; rotation is their orientation
+        this.setGearPosition(
+          gear,
+          addScaled(gear.position, this.getRackAxis(gear), -gear.rackTravel),
+        );
+        gear.rackTravel = 0;
+        continue;
+      }
+      this.setGearRotation(gear, { z: 0 });
+    }
+    for (const set of this.planetarySets.values()) {
+      set.carrierAngle = 0;
+      this.positionPlanetaryMembers(set);
+    }
+    // Zeroed angles leave meshed teeth out of phase
+    this.alignGearPhases();
+    this.simulationTime = 0;
+  }
+}
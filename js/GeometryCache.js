@@ -0,0 +1,99 @@
+/**
+ * Shared gear geometries, reference counted.
+ *
+ * Gears built from the same parameters draw one BufferGeometry, so a
+ * scene of repeated gears extrudes each outline once and the renderer can
+ * batch them (see InstancedGears). Every acquire() is paired with a
+ * release(); a geometry is disposed when its last user releases it.
+ */
+
+// GearGeometry fields the extruded geometry depends on
+const GEOMETRY_FIELDS = [
+  "type",
+  "teeth",
+  "normalModule",
+  "normalPressureAngle",
+  "thickness",
+  "boreDiameter",
+  "profileShift",
+  "helixAngle",
+  "hand",
+  "coneAngle",
+  "starts",
+  "diameterQuotient",
+  "clearance",
+];
+
+export class GeometryCache {
+  constructor() {
+    this.entries = new Map(); // key -> { geometry, users }
+    this.keys = new Map(); // geometry -> key
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Cache key of a gear's geometry: builders with equal fields extrude
+   * equal geometries
+   * @param {GearGeometry} builder
+   * @param {boolean} [simplified=false] - Level-of-detail teeth
+   * @returns {string}
+   */
+  static keyOf(builder, simplified = false) {
+    // Straight teeth look alike in either hand; a worm's thread does not
+    const handed = builder.helixAngle !== 0 || builder.type === "worm";
+    return JSON.stringify([
+      ...GEOMETRY_FIELDS.map((field) =>
+        field === "hand" && !handed ? null : (builder[field] ?? null),
+      ),
+      simplified,
+    ]);
+  }
+
+  /**
+   * The shared geometry for a builder's parameters, built on first use
+   * @param {GearGeometry} builder
+   * @param {boolean} [simplified=false]
+   * @returns {THREE.BufferGeometry}
+   */
+  acquire(builder, simplified = false) {
+    const key = GeometryCache.keyOf(builder, simplified);
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = { geometry: builder.createGeometry(simplified), users: 0 };
+      this.entries.set(key, entry);
+      this.keys.set(entry.geometry, key);
+    }
+    entry.users++;
+    return entry.geometry;
+  }
+
+  /**
+   * Give up one use of a geometry; the last release disposes it. Geometries
+   * the cache did not build are ignored.
+   * @param {THREE.BufferGeometry} geometry
+   */
+  release(geometry) {
+    const key = this.keys.get(geometry);
+    if (key === undefined) return;
+
+    const entry = this.entries.get(key);
+    entry.users--;
+    if (entry.users > 0) return;
+
+    geometry.dispose();
+    this.entries.delete(key);
+    this.keys.delete(geometry);
+  }
+
+  /**
+   * Dispose every cached geometry (all users must be gone)
+   */
+  clear() {
+    for (const { geometry } of this.entries.values()) geometry.dispose();
+    this.entries.clear();
+    this.keys.clear();
+  }
+}
@@ -0,0 +1,122 @@
+import * as THREE from "three";
+
+// Gears sharing one geometry are drawn as a batch from this many on
+export const MIN_INSTANCES = 8;
+
+/**
+ * Draws repeated gears through one THREE.InstancedMesh per shared
+ * geometry (see GeometryCache).
+ *
+ * Every gear keeps its own mesh for picking, its display helpers and
+ * highlights. While a gear is batched only its material is hidden, and
+ * the batch draws it with the mesh's transform and color. Glowing gears
+ * (selected, hovered, grabbed or showing an error) leave the batch and
+ * draw themselves, so every highlight looks as before.
+ */
+export class InstancedGears {
+  /**
+   * @param {THREE.Object3D} parent - Group the gear meshes live in; the
+   *   batches join it so they share its transform
+   * @param {Object} [options]
+   * @param {number} [options.minInstances=MIN_INSTANCES]
+   */
+  constructor(parent, { minInstances = MIN_INSTANCES } = {}) {
+    this.parent = parent;
+    this.minInstances = minInstances;
+    this.batches = new Map(); // geometry -> InstancedMesh
+    // Instance colors carry each gear's color
+    this.material = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      metalness: 0.3,
+      roughness: 0.7,
+    });
+  }
+
+  /**
+   * Regroup the gears and copy their transforms and colors into the
+   * batches; call once per frame before rendering
+   * @param {Object[]} gears - Gear views, each with a mesh
+   */
+  update(gears) {
+    const groups = new Map(); // geometry -> meshes
+    for (const { mesh } of gears) {
+      if (!mesh) continue;
+      mesh.material.visible = true;
+      if (!this.canBatch(mesh)) continue;
+      if (!groups.has(mesh.geometry)) groups.set(mesh.geometry, []);
+      groups.get(mesh.geometry).push(mesh);
+    }
+
+    for (const geometry of this.batches.keys()) {
+      if ((groups.get(geometry)?.length ?? 0) < this.minInstances) {
+        this.removeBatch(geometry);
+      }
+    }
+
+    for (const [geometry, meshes] of groups) {
+      if (meshes.length < this.minInstances) continue;
+
+      const batch = this.getBatch(geometry, meshes.length);
+      meshes.forEach((mesh, i) => {
+        mesh.updateMatrix();
+        batch.setMatrixAt(i, mesh.matrix);
+        batch.setColorAt(i, mesh.material.color);
+        mesh.material.visible = false;
+      });
+      batch.count = meshes.length;
+      batch.instanceMatrix.needsUpdate = true;
+      batch.instanceColor.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Whether a gear mesh can be drawn by a batch: shown, directly in the
+   * parent group and not glowing
+   */
+  canBatch(mesh) {
+    return (
+      mesh.visible &&
+      mesh.parent === this.parent &&
+      mesh.material.emissive.getHex() === 0
+    );
+  }
+
+  /**
+   * The batch for a geometry, grown (in powers of two) to hold `count`
+   * instances
+   * @returns {THREE.InstancedMesh}
+   */
+  getBatch(geometry, count) {
+    const batch = this.batches.get(geometry);
+    if (batch && batch.instanceMatrix.count >= count) return batch;
+    if (batch) this.removeBatch(geometry);
+
+    const capacity = 2 ** Math.ceil(Math.log2(count));
+    const grown = new THREE.InstancedMesh(geometry, this.material, capacity);
+    grown.castShadow = true;
+    grown.receiveShadow = true;
+    // Instances move every frame; picking goes through the gears' meshes
+    grown.frustumCulled = false;
+    grown.raycast = () => {};
+    this.parent.add(grown);
+    this.batches.set(geometry, grown);
+    return grown;
+  }
+
+  removeBatch(geometry) {
+    const batch = this.batches.get(geometry);
+    this.parent.remove(batch);
+    batch.dispose();
+    this.batches.delete(geometry);
+  }
+
+  /**
+   * Remove every batch and free the shared material
+   */
+  dispose() {
+    for (const geometry of [...this.batches.keys()]) {
+      this.removeBatch(geometry);
+    }
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * Mesh quality of two gears at their actual center distance.
+ *
+ * The generated teeth have zero backlash at the meshing center distance
+ * (the standard one, corrected for profile shift), so moving the centers
+ * apart opens backlash and lowers the contact ratio, and pushing them
+ * together makes the teeth interfere. Only external gears carry a profile
+ * shift x. Helical pairs (equal helix angles β) are worked in the
+ * transverse plane, with tooth heights from the normal module; straight
+ * bevel pairs as the spur gears on their back cones, and a worm as a
+ * helical rack driving its wheel in the wheel's mid-plane. Lengths in mm,
+ * angles in degrees.
+ */
+
+// Below this the next tooth pair barely engages before the last one leaves
+export const MIN_CONTACT_RATIO = 1.2;
+
+// Backlash or tip clearance this far below zero, as a fraction of the
+// module, is rounding at the meshing distance rather than interference
+const INTERFERENCE_TOLERANCE = 1e-9;
+
+function involute(angle) {
+  return Math.tan(angle) - angle;
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Pressure angle whose involute is `value` (Newton's method)
+function inverseInvolute(value) {
+  let angle = Math.cbrt(3 * value); // inv(a) ≈ a³ / 3 for small angles
+  for (let i = 0; i < 20; i++) {
+    const tan = Math.tan(angle);
+    angle -= (tan - angle - value) / (tan * tan);
+  }
+  return angle;
+}
+
+function shiftOf(member) {
+  return member.type === "external" ? member.profileShift || 0 : 0;
+}
+
+/**
+ * Spur gear equivalent to a straight bevel gear (Tredgold's approximation):
+ * the gear on its back cone, with z / cos δ teeth and diameter d / cos δ.
+ * Other members are returned unchanged.
+ * @param {Object} member - { type, teeth, coneAngle, pitchDiameter, ... }
+ * @returns {Object}
+ */
+export function backConeMember(member) {
+  if (member.type !== "bevel") return member;
+
+  const cos = Math.cos(toRadians(member.coneAngle));
+  return {
+    ...member,
+    type: "external",
+    teeth: member.teeth / cos,
+    pitchDiameter: member.pitchDiameter / cos,
+    profileShift: 0,
+  };
+}
+
+/**
+ * A worm pair in the wheel's mid-plane: the worm's axial section is a rack
+ * and the wheel a helical gear at the lead angle γ = atan(starts / q).
+ * Their module (the worm's axial module) becomes the normal module m cos γ;
+ * other members are returned unchanged.
+ * @param {Object} member - { type, module, starts, diameterQuotient, ... }
+ * @returns {Object}
+ */
+export function wormMember(member) {
+  if (member.type !== "worm" && member.type !== "wheel") return member;
+
+  const lead = Math.atan(member.starts / member.diameterQuotient);
+  return {
+    ...member,
+    type: member.type === "worm" ? "rack" : "external",
+    module: member.module * Math.cos(lead),
+    helixAngle: (lead * 180) / Math.PI,
+    profileShift: 0,
+  };
+}
+
+// Stand-in members for bevel and worm pairs
+function equivalentMember(member) {
+  return wormMember(backConeMember(member));
+}
+
+/**
+ * Transverse module and pressure angle of a member, with the normal ones
+ * that size its teeth: m_t = m_n / cos β, tan α_t = tan α_n / cos β
+ * @param {Object} member - { module, pressureAngle, helixAngle } (normal, degrees)
+ * @returns {{m: number, normalModule: number, alpha: number, normalAlpha: number, beta: number}}
+ *   Angles in radians
+ */
+export function transversePlane(member) {
+  const beta = toRadians(member.helixAngle || 0);
+  const normalAlpha = toRadians(member.pressureAngle);
+  return {
+    m: member.module / Math.cos(beta),
+    normalModule: member.module,
+    alpha: Math.atan(Math.tan(normalAlpha) / Math.cos(beta)),
+    normalAlpha,
+    beta,
+  };
+}
+
+/**
+ * Zero-backlash center distance of two gears (of the back-cone gears for a
+ * bevel pair; from the worm's pitch line for a worm pair).
+ * Shifted pairs mesh at the working pressure angle
+ * inv α' = inv α + 2 tan α_n (x1 + x2) / (z1 + z2), a' = a cos α / cos α'
+ * (differences of teeth and shifts for a pinion inside a ring). For a rack
+ * pair this is the pinion center's distance from the pitch line, r + x m_n.
+ * @param {Object} member1 - { type, teeth, module, pressureAngle, profileShift, helixAngle }
+ * @param {Object} member2
+ * @returns {number}
+ */
+export function meshCenterDistance(member1, member2) {
+  member1 = equivalentMember(member1);
+  member2 = equivalentMember(member2);
+  const { m, normalModule, alpha, normalAlpha } = transversePlane(member1);
+
+  if (member1.type === "rack" || member2.type === "rack") {
+    const pinion = member1.type === "rack" ? member2 : member1;
+    return (pinion.teeth * m) / 2 + shiftOf(pinion) * normalModule;
+  }
+
+  let teeth = member1.teeth + member2.teeth;
+  let shift = shiftOf(member1) + shiftOf(member2);
+  if (member1.type === "internal" || member2.type === "internal") {
+    const ring = member1.type === "internal" ? member1 : member2;
+    const pinion = ring === member1 ? member2 : member1;
+    teeth = ring.teeth - pinion.teeth;
+    shift = shiftOf(ring) - shiftOf(pinion);
+  }
+
+  const standard = (teeth * m) / 2;
+  if (shift === 0) return standard;
+
+  const working = inverseInvolute(
+    involute(alpha) + (2 * Math.tan(normalAlpha) * shift) / teeth,
+  );
+  return (standard * Math.cos(alpha)) / Math.cos(working);
+}
+
+/**
+ * Contact ratio, operating pressure angle, backlash and clearance of a mesh.
+ * Members are { type, teeth, module, pressureAngle, thickness, helixAngle,
+ * coneAngle, starts, diameterQuotient }; for a rack or worm pair the
+ * distance is from the pinion (wheel) center to the pitch line, for a
+ * bevel pair between the back-cone centers.
+ * @param {Object} member1
+ * @param {Object} member2
+ * @param {number} distance - Actual center distance
+ * @returns {{idealDistance: number, distance: number, operatingPressureAngle: number,
+ *   contactRatio: number, overlapRatio: number, backlash: number,
+ *   tipClearance: number, interference: boolean, lowContactRatio: boolean}}
+ *   The operating pressure angle and backlash are transverse, backlash
+ *   circumferential on the operating pitch circle; negative backlash or
+ *   clearance means the teeth interfere. contactRatio includes the
+ *   overlap ratio of helical teeth.
+ */
+export function analyzeMeshQuality(member1, member2, distance) {
+  member1 = equivalentMember(member1);
+  member2 = equivalentMember(member2);
+  const plane = transversePlane(member1);
+  const basePitch = Math.PI * plane.m * Math.cos(plane.alpha);
+
+  let result;
+  if (member1.type === "rack" || member2.type === "rack") {
+    result = analyzeRackMesh(
+      member1.type === "rack" ? member2 : member1,
+      distance,
+      plane,
+      basePitch,
+    );
+  } else if (member1.type === "internal" || member2.type === "internal") {
+    const ring = member1.type === "internal" ? member1 : member2;
+    const pinion = member1.type === "internal" ? member2 : member1;
+    result = analyzeInternalMesh(pinion, ring, distance, plane, basePitch);
+  } else {
+    result = analyzeExternalMesh(member1, member2, distance, plane, basePitch);
+  }
+
+  // Helical teeth overlap along the face: ε_β = b sin β / (π m_n)
+  const faceWidth = Math.min(member1.thickness, member2.thickness) || 0;
+  result.overlapRatio =
+    (faceWidth * Math.sin(plane.beta)) / (Math.PI * plane.normalModule);
+  result.contactRatio += result.overlapRatio;
+
+  result.idealDistance = meshCenterDistance(member1, member2);
+  result.distance = distance;
+  result.operatingPressureAngle =
+    (result.operatingPressureAngle * 180) / Math.PI;
+  const tolerance = INTERFERENCE_TOLERANCE * plane.normalModule;
+  result.interference =
+    result.backlash < -tolerance || result.tipClearance < -tolerance;
+  result.lowContactRatio = result.contactRatio < MIN_CONTACT_RATIO;
+  return result;
+}
+
+// cos α' = a cos α / a'
+function operatingAngle(idealDistance, distance, alpha) {
+  const cosine = (idealDistance * Math.cos(alpha)) / distance;
+  return Math.acos(Math.min(1, cosine));
+}
+
+// Length of the path of contact inside a tip circle, from the pitch point side
+function tipReach(tipRadius, baseRadius) {
+  return Math.sqrt(Math.max(0, tipRadius ** 2 - baseRadius ** 2));
+}
+
+function analyzeExternalMesh(gear1, gear2, distance, plane, basePitch) {
+  const { m, normalModule: mn, alpha, normalAlpha } = plane;
+  const r1 = (gear1.teeth * m) / 2;
+  const r2 = (gear2.teeth * m) / 2;
+  const x1 = shiftOf(gear1);
+  const x2 = shiftOf(gear2);
+  const operating = operatingAngle(r1 + r2, distance, alpha);
+
+  const pathOfContact =
+    tipReach(r1 + (1 + x1) * mn, r1 * Math.cos(alpha)) +
+    tipReach(r2 + (1 + x2) * mn, r2 * Math.cos(alpha)) -
+    distance * Math.sin(operating);
+
+  return {
+    operatingPressureAngle: operating,
+    contactRatio: Math.max(0, pathOfContact / basePitch),
+    // Tooth thicknesses at the operating pitch circles:
+    // j = 2a' (inv α' - inv α) - 2 m tan α_n (x1 + x2) cos α / cos α'
+    backlash:
+      2 * distance * (involute(operating) - involute(alpha)) -
+      (2 * m * Math.tan(normalAlpha) * (x1 + x2) * Math.cos(alpha)) /
+        Math.cos(operating),
+    // Either tip against the other gear's root (both give the same gap)
+    tipClearance: distance - r1 - r2 + (0.25 - x1 - x2) * mn,
+  };
+}
+
+function analyzeInternalMesh(pinion, ring, distance, plane, basePitch) {
+  const { m, normalModule: mn, alpha, normalAlpha } = plane;
+  const rp = (pinion.teeth * m) / 2;
+  const rr = (ring.teeth * m) / 2;
+  const x = shiftOf(pinion);
+  const operating = operatingAngle(rr - rp, distance, alpha);
+
+  // The ring's tips point inward, so its reach is subtracted
+  const pathOfContact =
+    tipReach(rp + (1 + x) * mn, rp * Math.cos(alpha)) -
+    tipReach(rr - mn, rr * Math.cos(alpha)) +
+    distance * Math.sin(operating);
+
+  return {
+    operatingPressureAngle: operating,
+    contactRatio: Math.max(0, pathOfContact / basePitch),
+    // Ring tooth thickness grows with the pressure angle:
+    // j = -2a' (inv α' - inv α) - 2 m tan α_n x cos α / cos α'
+    backlash:
+      -2 * distance * (involute(operating) - involute(alpha)) -
+      (2 * m * Math.tan(normalAlpha) * x * Math.cos(alpha)) /
+        Math.cos(operating),
+    // Moving the pinion outward pushes its tip into the ring's root and its
+    // root onto the ring's tips
+    tipClearance: rr - rp - distance + (0.25 - x) * mn,
+  };
+}
+
+function analyzeRackMesh(pinion, distance, plane, basePitch) {
+  const { m, normalModule: mn, alpha } = plane;
+  const rp = (pinion.teeth * m) / 2;
+  const x = shiftOf(pinion);
+  const offset = distance - rp;
+
+  // Straight rack flanks keep the pressure angle; the rack's working
+  // addendum shrinks as the pinion backs away from the pitch line
+  const pathOfContact =
+    tipReach(rp + (1 + x) * mn, rp * Math.cos(alpha)) -
+    rp * Math.sin(alpha) +
+    Math.max(0, mn - offset) / Math.sin(alpha);
+
+  return {
+    operatingPressureAngle: alpha,
+    contactRatio: Math.max(0, pathOfContact / basePitch),
+    backlash: 2 * (offset - x * mn) * Math.tan(alpha),
+    tipClearance: offset + (0.25 - x) * mn,
+  };
+}
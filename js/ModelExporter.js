@@ -0,0 +1,104 @@
+import * as THREE from "three";
+import { STLExporter } from "three/addons/exporters/STLExporter.js";
+import { OBJExporter } from "three/addons/exporters/OBJExporter.js";
+import { GLTFExporter } from "three/addons/exporters/GLTFExporter.js";
+import { GearGeometry } from "./GearGeometry.js";
+
+/**
+ * 3D gear models for printing: binary STL and OBJ per gear, glTF for an
+ * assembly.
+ *
+ * Models are rebuilt from the gear parameters in millimetres, so the XR
+ * world scale never reaches the file. An optional clearance pulls every
+ * tooth surface back for printer tolerance (see GearGeometry's clearance
+ * parameter). Works on plain gear snapshots, never on scene meshes or the
+ * DOM.
+ */
+
+// Printing clearance per tooth surface, mm
+export const CLEARANCE_LIMITS = { min: 0, max: 1 };
+
+/**
+ * Mesh of one gear in its own frame (axis along local Z), in mm
+ * @param {Object} params - GearGeometry parameters
+ * @param {number} [clearance=0] - Tooth clearance, mm
+ * @returns {THREE.Mesh}
+ */
+export function gearModel(params, clearance = 0) {
+  const geometry = new GearGeometry({ ...params, clearance }).createGeometry();
+  return new THREE.Mesh(geometry, new THREE.MeshStandardMaterial());
+}
+
+/**
+ * Binary STL of one gear
+ * @param {Object} params
+ * @param {number} [clearance=0]
+ * @returns {DataView}
+ */
+export function gearToSTL(params, clearance = 0) {
+  return new STLExporter().parse(gearModel(params, clearance), {
+    binary: true,
+  });
+}
+
+/**
+ * Wavefront OBJ of one gear
+ * @param {Object} params
+ * @param {number} [clearance=0]
+ * @returns {string}
+ */
+export function gearToOBJ(params, clearance = 0) {
+  const mesh = gearModel(params, clearance);
+  mesh.name = `${params.type}-z${params.teeth}-m${params.module}`;
+  return new OBJExporter().parse(mesh);
+}
+
+/**
+ * Binary glTF (.glb) of an assembly, each gear at its position and
+ * orientation. Gear parameters go in each node's `extras`; the root node's
+ * extras record the units.
+ * @param {Array<{id: number, params: Object, color: string,
+ *   position: {x: number, y: number, z: number},
+ *   quaternion: {x: number, y: number, z: number, w: number}}>} gears
+ * @param {number} [clearance=0]
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function assemblyToGLTF(gears, clearance = 0) {
+  const root = new THREE.Group();
+  root.name = "gear-assembly";
+  root.userData = { units: "mm", clearance };
+
+  for (const gear of gears) {
+    const mesh = gearModel(gear.params, clearance);
+    mesh.name = `gear-${gear.id}`;
+    mesh.material.color.set(gear.color);
+    mesh.material.metalness = 0.3;
+    mesh.material.roughness = 0.7;
+    mesh.position.set(gear.position.x, gear.position.y, gear.position.z);
+    mesh.quaternion.set(
+      gear.quaternion.x,
+      gear.quaternion.y,
+      gear.quaternion.z,
+      gear.quaternion.w,
+    );
+    mesh.userData = {
+      id: gear.id,
+      type: gear.params.type,
+      teeth: gear.params.teeth,
+      module: gear.params.module,
+      pressureAngle: gear.params.pressureAngle,
+      thickness: gear.params.thickness,
+      boreDiameter: gear.params.boreDiameter,
+      profileShift: gear.params.profileShift,
+      helixAngle: gear.params.helixAngle,
+      hand: gear.params.hand,
+      coneAngle: gear.params.coneAngle,
+      starts: gear.params.starts,
+      diameterQuotient: gear.params.diameterQuotient,
+      material: gear.params.material,
+    };
+    root.add(mesh);
+  }
+
+  return new GLTFExporter().parseAsync(root, { binary: true });
+}
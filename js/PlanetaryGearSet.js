@@ -0,0 +1,101 @@
+import { GEAR_PARAM_LIMITS } from "./GearDimensions.js";
+
+/**
+ * Planetary (epicyclic) gear set rules.
+ *
+ * A set is a sun gear, N identical planets on a carrier and an internal
+ * ring gear. One member is held still; the other two turn at speeds fixed
+ * by the Willis equation: (ωsun - ωcarrier) / (ωring - ωcarrier) = -R / S
+ */
+
+export const PLANETARY_MEMBERS = ["carrier", "ring", "sun"];
+
+export const PLANET_COUNT_LIMITS = { min: 2, max: 8 };
+
+/**
+ * Check that a sun/planet/ring/planet-count combination can be assembled.
+ * @param {Object} set
+ * @param {number} set.sun - Sun teeth
+ * @param {number} set.planet - Planet teeth
+ * @param {number} set.ring - Ring teeth
+ * @param {number} set.planets - Number of planets
+ * @returns {string[]} Problems found (empty when the set is valid)
+ */
+export function validatePlanetarySet({ sun, planet, ring, planets }) {
+  const errors = [];
+  const { min, max } = GEAR_PARAM_LIMITS.teeth;
+
+  for (const [name, teeth] of Object.entries({ sun, planet, ring })) {
+    if (!Number.isInteger(teeth) || teeth < min || teeth > max) {
+      errors.push(`${name} teeth must be an integer between ${min} and ${max}`);
+    }
+  }
+  if (
+    !Number.isInteger(planets) ||
+    planets < PLANET_COUNT_LIMITS.min ||
+    planets > PLANET_COUNT_LIMITS.max
+  ) {
+    errors.push(
+      `planet count must be between ${PLANET_COUNT_LIMITS.min} and ${PLANET_COUNT_LIMITS.max}`,
+    );
+  }
+  if (errors.length > 0) return errors;
+
+  // Coaxial sun and ring: the planets must bridge the gap exactly
+  if (ring !== sun + 2 * planet) {
+    errors.push(
+      `ring teeth must equal sun + 2 × planet (${sun + 2 * planet}), got ${ring}`,
+    );
+  }
+
+  // Equally spaced planets only mesh with both gears at once if this divides
+  if ((sun + ring) % planets !== 0) {
+    errors.push(
+      `sun + ring teeth (${sun + ring}) must be divisible by the planet count (${planets})`,
+    );
+  }
+
+  // Neighboring planets' tip circles must not touch:
+  // (S + P) * sin(π / N) > P + 2 (both sides in modules)
+  if ((sun + planet) * Math.sin(Math.PI / planets) <= planet + 2) {
+    errors.push(`${planets} planets of ${planet} teeth collide with each other`);
+  }
+
+  return errors;
+}
+
+/**
+ * Signed speed of every member relative to the driven input member.
+ * The input is the sun, or the ring when the sun is held.
+ * @param {Object} teeth - { sun, planet, ring }
+ * @param {string} held - "carrier", "ring" or "sun"
+ * @returns {{sun: number, planet: number, ring: number, carrier: number}}
+ */
+export function planetarySpeedFactors({ sun, planet, ring }, held) {
+  switch (held) {
+    case "ring":
+      // Sun drives, carrier follows at S / (S + R)
+      return {
+        sun: 1,
+        planet: -(sun * (sun + planet)) / (planet * (sun + ring)),
+        ring: 0,
+        carrier: sun / (sun + ring),
+      };
+    case "sun":
+      // Ring drives, carrier follows at R / (S + R)
+      return {
+        sun: 0,
+        planet: (ring * (sun + planet)) / (planet * (sun + ring)),
+        ring: 1,
+        carrier: ring / (sun + ring),
+      };
+    default:
+      // Carrier held: an ordinary train through idler planets
+      return {
+        sun: 1,
+        planet: -sun / planet,
+        ring: -sun / ring,
+        carrier: 0,
+      };
+  }
+}
@@ -0,0 +1,309 @@
+import { TILTING_TYPES } from "./GearGeometry.js";
+
+/**
+ * Flat gear profiles as DXF and SVG drawings for laser cutting.
+ *
+ * A drawing is a list of entities in millimetres on three layers: the cut
+ * outline with its bore, the pitch circle (a rack's pitch line) and an
+ * optional center mark. Bores and ring rims are written as true circles,
+ * teeth as closed polylines. Bevel gears and worms have no flat profile.
+ * Works on GearGeometry instances only, never on meshes or the DOM.
+ */
+
+export const EXPORT_LAYERS = {
+  profile: { name: "PROFILE", color: 1, stroke: "#ff0000" },
+  pitch: { name: "PITCH", color: 5, stroke: "#0000ff" },
+  center: { name: "CENTER", color: 3, stroke: "#00a000" },
+};
+
+// Gap between parts of a flat assembly layout, mm
+export const PART_SPACING = 5;
+
+// Half the length of each center mark stroke, mm
+const CENTER_MARK_SIZE = 2;
+
+// Hairline stroke that laser cutter software reads as a cut
+const SVG_STROKE_WIDTH = 0.1;
+
+/**
+ * Whether a gear type has a flat profile to cut
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function hasFlatProfile(type) {
+  return !TILTING_TYPES.includes(type);
+}
+
+/**
+ * Drawing of one gear centered on its axis (a rack on its pitch line).
+ * @param {GearGeometry} geometry
+ * @param {Object} [options]
+ * @param {boolean} [options.centerMark=false] - Add a cross at the center
+ * @returns {{entities: Object[], bounds: {minX: number, minY: number, maxX: number, maxY: number}}}
+ *   Entities are { layer, kind: "polyline", points, closed },
+ *   { layer, kind: "circle", center, radius } or { layer, kind: "line", from, to }
+ */
+export function gearProfile(geometry, { centerMark = false } = {}) {
+  const entities = [];
+  const shape = geometry.createGearShape();
+  const polyline = (path) => ({
+    layer: "profile",
+    kind: "polyline",
+    points: outlinePoints(path),
+    closed: true,
+  });
+  const circle = (layer, radius) => ({
+    layer,
+    kind: "circle",
+    center: [0, 0],
+    radius,
+  });
+
+  if (geometry.type === "rack") {
+    entities.push(polyline(shape));
+    const halfLength = geometry.length / 2;
+    entities.push({
+      layer: "pitch",
+      kind: "line",
+      from: [-halfLength, 0],
+      to: [halfLength, 0],
+    });
+  } else {
+    if (geometry.type === "internal") {
+      // The rim is a polygon in the mesh; the toothed opening is its hole
+      entities.push(circle("profile", geometry.outerRadius));
+      entities.push(polyline(shape.holes[0]));
+    } else {
+      entities.push(polyline(shape));
+      if (geometry.boreRadius > 0) {
+        entities.push(circle("profile", geometry.boreRadius));
+      }
+    }
+    entities.push(circle("pitch", geometry.pitchRadius));
+
+    if (centerMark) {
+      const s = CENTER_MARK_SIZE;
+      entities.push(
+        { layer: "center", kind: "line", from: [-s, 0], to: [s, 0] },
+        { layer: "center", kind: "line", from: [0, -s], to: [0, s] },
+      );
+    }
+  }
+
+  return { entities, bounds: drawingBounds(entities) };
+}
+
+// Vertices of a straight-segment path, without the repeated closing point
+function outlinePoints(path) {
+  const points = path.getPoints().map((p) => [p.x, p.y]);
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    points.pop();
+  }
+  return points;
+}
+
+/**
+ * Bounding box of a drawing
+ * @param {Object[]} entities
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export function drawingBounds(entities) {
+  const bounds = {
+    minX: Infinity,
+    minY: Infinity,
+    maxX: -Infinity,
+    maxY: -Infinity,
+  };
+  const include = ([x, y], margin = 0) => {
+    bounds.minX = Math.min(bounds.minX, x - margin);
+    bounds.minY = Math.min(bounds.minY, y - margin);
+    bounds.maxX = Math.max(bounds.maxX, x + margin);
+    bounds.maxY = Math.max(bounds.maxY, y + margin);
+  };
+
+  for (const entity of entities) {
+    if (entity.kind === "polyline") entity.points.forEach((p) => include(p));
+    else if (entity.kind === "circle") include(entity.center, entity.radius);
+    else {
+      include(entity.from);
+      include(entity.to);
+    }
+  }
+  return bounds;
+}
+
+/**
+ * Lay parts out flat on a sheet, left to right in rows of roughly equal
+ * width and height, so none of them overlap.
+ * @param {Array<{entities: Object[], bounds: Object}>} profiles
+ * @param {number} [spacing=PART_SPACING] - Gap between parts, mm
+ * @returns {Object[]} Entities of all parts in sheet coordinates
+ */
+export function layoutProfiles(profiles, spacing = PART_SPACING) {
+  const sizes = profiles.map(({ bounds }) => ({
+    width: bounds.maxX - bounds.minX,
+    height: bounds.maxY - bounds.minY,
+  }));
+  const area = sizes.reduce(
+    (sum, { width, height }) => sum + (width + spacing) * (height + spacing),
+    0,
+  );
+  const rowWidth = Math.max(
+    Math.sqrt(area),
+    ...sizes.map(({ width }) => width),
+  );
+
+  const entities = [];
+  let x = 0;
+  let y = 0;
+  let rowHeight = 0;
+  profiles.forEach((profile, i) => {
+    const { width, height } = sizes[i];
+    if (x > 0 && x + width > rowWidth) {
+      // Rows grow downward, as they read on the sheet
+      x = 0;
+      y -= rowHeight + spacing;
+      rowHeight = 0;
+    }
+    entities.push(
+      ...translateEntities(
+        profile.entities,
+        x - profile.bounds.minX,
+        y - profile.bounds.maxY,
+      ),
+    );
+    x += width + spacing;
+    rowHeight = Math.max(rowHeight, height);
+  });
+  return entities;
+}
+
+function translateEntities(entities, dx, dy) {
+  const move = ([x, y]) => [x + dx, y + dy];
+  return entities.map((entity) => {
+    if (entity.kind === "polyline") {
+      return { ...entity, points: entity.points.map(move) };
+    }
+    if (entity.kind === "circle") {
+      return { ...entity, center: move(entity.center) };
+    }
+    return { ...entity, from: move(entity.from), to: move(entity.to) };
+  });
+}
+
+// Millimetres with 4 decimals, no trailing zeros or negative zero
+function formatNumber(value) {
+  return String(+value.toFixed(4) || 0);
+}
+
+/**
+ * SVG document sized in millimetres, one group per layer.
+ * SVG's y axis points down, so the drawing is mirrored into it.
+ * @param {Object[]} entities
+ * @returns {string}
+ */
+export function drawingToSVG(entities) {
+  const { minX, minY, maxX, maxY } = drawingBounds(entities);
+  const width = formatNumber(maxX - minX);
+  const height = formatNumber(maxY - minY);
+  const point = ([x, y]) => `${formatNumber(x)} ${formatNumber(-y)}`;
+
+  const element = (entity) => {
+    if (entity.kind === "polyline") {
+      const [first, ...rest] = entity.points;
+      const d = `M ${point(first)} ${rest.map((p) => `L ${point(p)}`).join(" ")}`;
+      return `<path d="${d}${entity.closed ? " Z" : ""}"/>`;
+    }
+    if (entity.kind === "circle") {
+      const [cx, cy] = point(entity.center).split(" ");
+      return `<circle cx="${cx}" cy="${cy}" r="${formatNumber(entity.radius)}"/>`;
+    }
+    const [x1, y1] = point(entity.from).split(" ");
+    const [x2, y2] = point(entity.to).split(" ");
+    return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+  };
+
+  const groups = Object.entries(EXPORT_LAYERS).map(([key, layer]) => {
+    const children = entities
+      .filter((entity) => entity.layer === key)
+      .map((entity) => `    ${element(entity)}`);
+    return [
+      `  <g id="${layer.name}" fill="none" stroke="${layer.stroke}" stroke-width="${SVG_STROKE_WIDTH}">`,
+      ...children,
+      "  </g>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="${formatNumber(minX)} ${formatNumber(-maxY)} ${width} ${height}">`,
+    ...groups,
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * ASCII DXF (R12) in millimetres, with a layer table. Outlines are closed
+ * POLYLINE entities, bores and pitch circles CIRCLE entities.
+ * @param {Object[]} entities
+ * @returns {string}
+ */
+export function drawingToDXF(entities) {
+  const codes = [];
+  const add = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) {
+      const value = pairs[i + 1];
+      codes.push(
+        String(pairs[i]),
+        typeof value === "number" ? formatNumber(value) : value,
+      );
+    }
+  };
+  const addPoint = ([x, y], offset = 0) =>
+    add(10 + offset, x, 20 + offset, y, 30 + offset, 0);
+
+  // $INSUNITS 4 = millimetres
+  add(0, "SECTION", 2, "HEADER", 9, "$ACADVER", 1, "AC1009");
+  add(9, "$INSUNITS", 70, "4", 0, "ENDSEC");
+
+  add(0, "SECTION", 2, "TABLES");
+  add(0, "TABLE", 2, "LTYPE", 70, "1");
+  add(0, "LTYPE", 2, "CONTINUOUS", 70, "0", 3, "Solid line");
+  add(72, "65", 73, "0", 40, 0, 0, "ENDTAB");
+  const layers = Object.values(EXPORT_LAYERS);
+  add(0, "TABLE", 2, "LAYER", 70, String(layers.length));
+  for (const layer of layers) {
+    add(0, "LAYER", 2, layer.name, 70, "0");
+    add(62, String(layer.color), 6, "CONTINUOUS");
+  }
+  add(0, "ENDTAB", 0, "ENDSEC");
+
+  add(0, "SECTION", 2, "ENTITIES");
+  for (const entity of entities) {
+    const layer = EXPORT_LAYERS[entity.layer].name;
+    if (entity.kind === "polyline") {
+      add(0, "POLYLINE", 8, layer, 66, "1");
+      addPoint([0, 0]);
+      add(70, entity.closed ? "1" : "0");
+      for (const p of entity.points) {
+        add(0, "VERTEX", 8, layer);
+        addPoint(p);
+      }
+      add(0, "SEQEND", 8, layer);
+    } else if (entity.kind === "circle") {
+      add(0, "CIRCLE", 8, layer);
+      addPoint(entity.center);
+      add(40, entity.radius);
+    } else {
+      add(0, "LINE", 8, layer);
+      addPoint(entity.from);
+      addPoint(entity.to, 1);
+    }
+  }
+  add(0, "ENDSEC", 0, "EOF");
+
+  return codes.join("\n") + "\n";
+}
@@ -0,0 +1,506 @@
+import {
+  GEAR_PARAM_LIMITS,
+  GEAR_TYPES,
+  HELIX_HANDS,
+  TILTING_TYPES,
+} from "./GearGeometry.js";
+import { PLANETARY_MEMBERS } from "./PlanetaryGearSet.js";
+import {
+  DEFAULT_INPUT_TORQUE,
+  DEFAULT_MESH_EFFICIENCY,
+  LOAD_LIMITS,
+} from "./GearLoads.js";
+import { GEAR_MATERIALS, DEFAULT_MATERIAL } from "./GearStrength.js";
+
+/**
+ * Versioned JSON project files for gear assemblies.
+ *
+ * The serializer works on plain snapshots produced by the simulator
+ * ({ gears, inputRPM, inputTorque, meshEfficiency, display }) so it never touches meshes or the DOM.
+ */
+
+export const PROJECT_FORMAT = "gears-simulation-project";
+export const PROJECT_VERSION = 10;
+
+/**
+ * Thrown when a project file cannot be read, migrated or validated.
+ */
+export class ProjectFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProjectFormatError";
+  }
+}
+
+// Parameters copied verbatim from gear.params (pitchDiameter is derived)
+const SERIALIZED_PARAMS = [
+  "teeth",
+  "module",
+  "pressureAngle",
+  "thickness",
+  "boreDiameter",
+  "profileShift",
+  "helixAngle",
+  "coneAngle",
+  "starts",
+  "diameterQuotient",
+];
+
+const DEFAULT_DISPLAY = {
+  showPitchCircle: false,
+  showCenter: false,
+  showLabels: false,
+};
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each one returns data in the next version's layout.
+ */
+const MIGRATIONS = {
+  // Version 0: unversioned files, either a bare gear array or { gears },
+  // with gear parameters and x/y/z stored flat on each entry.
+  0: (data) => {
+    const legacyGears = Array.isArray(data) ? data : data.gears;
+    if (!Array.isArray(legacyGears)) {
+      throw new ProjectFormatError("Legacy project has no gear list");
+    }
+
+    return {
+      format: PROJECT_FORMAT,
+      version: 1,
+      inputRPM: Array.isArray(data) ? 30 : data.inputRPM,
+      display: Array.isArray(data) ? undefined : data.display,
+      gears: legacyGears.map((g, index) => {
+        const entry = g && typeof g === "object" ? g : {};
+        const params = {};
+        SERIALIZED_PARAMS.forEach((name) => {
+          params[name] = (entry.params || entry)[name];
+        });
+        return {
+          id: entry.id ?? index + 1,
+          params,
+          color: entry.color,
+          position: entry.position || { x: entry.x, y: entry.y, z: entry.z },
+          rotation: entry.rotation ?? 0,
+          isDriver: entry.isDriver ?? index === 0,
+        };
+      }),
+    };
+  },
+
+  // Version 1 -> 2: per-driver signed RPM (null follows inputRPM)
+  1: (data) => ({
+    ...data,
+    version: 2,
+    gears: Array.isArray(data.gears)
+      ? data.gears.map((g) =>
+          g && typeof g === "object" ? { ...g, driverRPM: null } : g,
+        )
+      : data.gears,
+  }),
+
+  // Version 2 -> 3: compound gears locked to a shared shaft
+  2: (data) => ({
+    ...data,
+    version: 3,
+    gears: Array.isArray(data.gears)
+      ? data.gears.map((g) =>
+          g && typeof g === "object" ? { ...g, shaftId: null } : g,
+        )
+      : data.gears,
+  }),
+
+  // Version 3 -> 4: internal (ring) gears and planetary sets
+  3: (data) => ({
+    ...data,
+    version: 4,
+    gears: Array.isArray(data.gears)
+      ? data.gears.map((g) =>
+          g && typeof g === "object"
+            ? {
+                ...g,
+                params:
+                  g.params && typeof g.params === "object"
+                    ? { ...g.params, type: "external" }
+                    : g.params,
+                planetary: null,
+              }
+            : g,
+        )
+      : data.gears,
+  }),
+
+  // Version 4 -> 5: driver torque and mesh efficiency
+  4: (data) => ({
+    ...data,
+    version: 5,
+    inputTorque: DEFAULT_INPUT_TORQUE,
+    meshEfficiency: DEFAULT_MESH_EFFICIENCY,
+  }),
+
+  // Version 5 -> 6: gear materials for strength checks
+  5: (data) => ({
+    ...data,
+    version: 6,
+    gears: Array.isArray(data.gears)
+      ? data.gears.map((g) =>
+          g && typeof g === "object" && g.params && typeof g.params === "object"
+            ? { ...g, params: { ...g.params, material: DEFAULT_MATERIAL } }
+            : g,
+        )
+      : data.gears,
+  }),
+
+  // Version 6 -> 7: profile shift coefficient
+  6: (data) => ({
+    ...data,
+    version: 7,
+    gears: Array.isArray(data.gears)
+      ? data.gears.map((g) =>
+          g && typeof g === "object" && g.params && typeof g.params === "object"
+            ? { ...g, params: { ...g.params, profileShift: 0 } }
+            : g,
+        )
+      : data.gears,
+  }),
+
+  // Version 7 -> 8: helical gears
+  7: (data) => ({
+    ...data,
+    version: 8,
+    gears: Array.isArray(data.gears)
+      ? data.gears.map((g) =>
+          g && typeof g === "object" && g.params && typeof g.params === "object"
+            ? { ...g, params: { ...g.params, helixAngle: 0, hand: "right" } }
+            : g,
+        )
+      : data.gears,
+  }),
+
+  // Version 8 -> 9: bevel gears with a pitch cone and a tilted axis
+  8: (data) => ({
+    ...data,
+    version: 9,
+    gears: Array.isArray(data.gears)
+      ? data.gears.map((g) =>
+          g && typeof g === "object" && g.params && typeof g.params === "object"
+            ? {
+                ...g,
+                params: { ...g.params, coneAngle: 45 },
+                tilt: { x: 0, y: 0 },
+              }
+            : g,
+        )
+      : data.gears,
+  }),
+
+  // Version 9 -> 10: worms and worm wheels
+  9: (data) => ({
+    ...data,
+    version: 10,
+    gears: Array.isArray(data.gears)
+      ? data.gears.map((g) =>
+          g && typeof g === "object" && g.params && typeof g.params === "object"
+            ? {
+                ...g,
+                params: { ...g.params, starts: 1, diameterQuotient: 10 },
+              }
+            : g,
+        )
+      : data.gears,
+  }),
+};
+
+const PLANETARY_ROLES = ["sun", "planet", "ring"];
+
+/**
+ * Build a project document from a simulator snapshot.
+ * @param {Object} snapshot
+ * @param {Array} snapshot.gears - { id, params, color, position, rotation, tilt, isDriver, driverRPM, shaftId, planetary }
+ * @param {number} snapshot.inputRPM
+ * @param {number} snapshot.inputTorque - N·m at each driver
+ * @param {number} snapshot.meshEfficiency - Per mesh, 0-1
+ * @param {Object} snapshot.display - { showPitchCircle, showCenter, showLabels }
+ * @returns {Object} JSON-ready project document
+ */
+export function serializeProject(snapshot) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    inputRPM: snapshot.inputRPM,
+    inputTorque: snapshot.inputTorque,
+    meshEfficiency: snapshot.meshEfficiency,
+    display: { ...DEFAULT_DISPLAY, ...snapshot.display },
+    gears: snapshot.gears.map((gear) => {
+      const params = {
+        type: gear.params.type || "external",
+        material: gear.params.material || DEFAULT_MATERIAL,
+        hand: gear.params.hand || "right",
+      };
+      SERIALIZED_PARAMS.forEach((name) => {
+        params[name] = gear.params[name];
+      });
+      return {
+        id: gear.id,
+        params,
+        color: gear.color,
+        position: {
+          x: gear.position.x,
+          y: gear.position.y,
+          z: gear.position.z,
+        },
+        rotation: gear.rotation,
+        tilt: { x: gear.tilt?.x ?? 0, y: gear.tilt?.y ?? 0 },
+        isDriver: !!gear.isDriver,
+        driverRPM: gear.driverRPM ?? null,
+        shaftId: gear.shaftId ?? null,
+        planetary: gear.planetary
+          ? {
+              setId: gear.planetary.setId,
+              role: gear.planetary.role,
+              held: gear.planetary.held,
+            }
+          : null,
+      };
+    }),
+  };
+}
+
+/**
+ * Parse, migrate and validate a project file.
+ * @param {string|Object} input - File contents or already-parsed JSON
+ * @returns {Object} Project in the current version's layout
+ * @throws {ProjectFormatError} If the file is malformed
+ */
+export function parseProject(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch (err) {
+      throw new ProjectFormatError(`File is not valid JSON: ${err.message}`);
+    }
+  }
+
+  if (!data || typeof data !== "object") {
+    throw new ProjectFormatError("Project file must contain a JSON object");
+  }
+
+  let version = Array.isArray(data) ? 0 : data.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new ProjectFormatError(`Invalid project version: ${version}`);
+  }
+  if (version > PROJECT_VERSION) {
+    throw new ProjectFormatError(
+      `Project version ${version} is newer than supported version ${PROJECT_VERSION}`,
+    );
+  }
+  if (version > 0 && data.format !== PROJECT_FORMAT) {
+    throw new ProjectFormatError(
+      `Unknown file format "${data.format}" (expected "${PROJECT_FORMAT}")`,
+    );
+  }
+
+  while (version < PROJECT_VERSION) {
+    data = MIGRATIONS[version](data);
+    version = data.version;
+  }
+
+  return validateProject(data);
+}
+
+function validateProject(data) {
+  const inputRPM = data.inputRPM ?? 30;
+  const inputTorque = data.inputTorque ?? DEFAULT_INPUT_TORQUE;
+  const meshEfficiency = data.meshEfficiency ?? DEFAULT_MESH_EFFICIENCY;
+  for (const [name, value] of Object.entries({
+    inputRPM,
+    inputTorque,
+    meshEfficiency,
+  })) {
+    const limits = LOAD_LIMITS[name];
+    if (!isFiniteNumber(value) || value < limits.min || value > limits.max) {
+      throw new ProjectFormatError(
+        `${name} must be a number between ${limits.min} and ${limits.max}`,
+      );
+    }
+  }
+
+  const display = { ...DEFAULT_DISPLAY };
+  if (data.display !== undefined) {
+    if (!data.display || typeof data.display !== "object") {
+      throw new ProjectFormatError("display must be an object");
+    }
+    for (const key of Object.keys(DEFAULT_DISPLAY)) {
+      if (data.display[key] !== undefined) {
+        if (typeof data.display[key] !== "boolean") {
+          throw new ProjectFormatError(`display.${key} must be true or false`);
+        }
+        display[key] = data.display[key];
+      }
+    }
+  }
+
+  if (!Array.isArray(data.gears)) {
+    throw new ProjectFormatError("gears must be an array");
+  }
+
+  const seenIds = new Set();
+  const gears = data.gears.map((gear, index) => {
+    const path = `gears[${index}]`;
+    if (!gear || typeof gear !== "object") {
+      throw new ProjectFormatError(`${path} must be an object`);
+    }
+
+    if (!Number.isInteger(gear.id) || gear.id < 1) {
+      throw new ProjectFormatError(`${path}.id must be a positive integer`);
+    }
+    if (seenIds.has(gear.id)) {
+      throw new ProjectFormatError(`${path}.id ${gear.id} is duplicated`);
+    }
+    seenIds.add(gear.id);
+
+    if (!gear.params || typeof gear.params !== "object") {
+      throw new ProjectFormatError(`${path}.params must be an object`);
+    }
+    const type = gear.params.type ?? "external";
+    if (!GEAR_TYPES.includes(type)) {
+      throw new ProjectFormatError(
+        `${path}.params.type must be one of ${GEAR_TYPES.join(", ")}`,
+      );
+    }
+    const material = gear.params.material ?? DEFAULT_MATERIAL;
+    if (!Object.hasOwn(GEAR_MATERIALS, material)) {
+      throw new ProjectFormatError(
+        `${path}.params.material must be one of ${Object.keys(GEAR_MATERIALS).join(", ")}`,
+      );
+    }
+    const hand = gear.params.hand ?? "right";
+    if (!HELIX_HANDS.includes(hand)) {
+      throw new ProjectFormatError(
+        `${path}.params.hand must be one of ${HELIX_HANDS.join(", ")}`,
+      );
+    }
+    const params = { type, material, hand };
+    for (const name of SERIALIZED_PARAMS) {
+      const value = gear.params[name];
+      const limits = GEAR_PARAM_LIMITS[name];
+      if (!isFiniteNumber(value)) {
+        throw new ProjectFormatError(`${path}.params.${name} must be a number`);
+      }
+      if (value < limits.min || value > limits.max) {
+        throw new ProjectFormatError(
+          `${path}.params.${name} = ${value} is outside ${limits.min}-${limits.max}`,
+        );
+      }
+      params[name] = value;
+    }
+    if (!Number.isInteger(params.teeth)) {
+      throw new ProjectFormatError(`${path}.params.teeth must be an integer`);
+    }
+
+    const color = gear.color ?? "#4a90d9";
+    if (typeof color !== "string" || !/^#[0-9a-f]{6}$/i.test(color)) {
+      throw new ProjectFormatError(`${path}.color must be a #rrggbb string`);
+    }
+
+    const position = gear.position;
+    if (
+      !position ||
+      !isFiniteNumber(position.x) ||
+      !isFiniteNumber(position.y) ||
+      !isFiniteNumber(position.z ?? 0)
+    ) {
+      throw new ProjectFormatError(`${path}.position must have numeric x, y, z`);
+    }
+
+    const rotation = gear.rotation ?? 0;
+    if (!isFiniteNumber(rotation)) {
+      throw new ProjectFormatError(`${path}.rotation must be a number`);
+    }
+
+    // Only bevel gears and worms turn their axis off Z
+    const tilt = gear.tilt ?? { x: 0, y: 0 };
+    if (
+      typeof tilt !== "object" ||
+      !isFiniteNumber(tilt.x) ||
+      !isFiniteNumber(tilt.y)
+    ) {
+      throw new ProjectFormatError(`${path}.tilt must have numeric x, y`);
+    }
+
+    const driverRPM = gear.driverRPM ?? null;
+    if (
+      driverRPM !== null &&
+      (!isFiniteNumber(driverRPM) || Math.abs(driverRPM) > 1000)
+    ) {
+      throw new ProjectFormatError(
+        `${path}.driverRPM must be null or a number between -1000 and 1000`,
+      );
+    }
+
+    const shaftId = gear.shaftId ?? null;
+    if (shaftId !== null && (!Number.isInteger(shaftId) || shaftId < 1)) {
+      throw new ProjectFormatError(
+        `${path}.shaftId must be null or a positive integer`,
+      );
+    }
+
+    const planetary = gear.planetary ?? null;
+    if (planetary !== null) {
+      if (
+        typeof planetary !== "object" ||
+        !Number.isInteger(planetary.setId) ||
+        planetary.setId < 1
+      ) {
+        throw new ProjectFormatError(
+          `${path}.planetary.setId must be a positive integer`,
+        );
+      }
+      if (!PLANETARY_ROLES.includes(planetary.role)) {
+        throw new ProjectFormatError(
+          `${path}.planetary.role must be one of ${PLANETARY_ROLES.join(", ")}`,
+        );
+      }
+      if (!PLANETARY_MEMBERS.includes(planetary.held)) {
+        throw new ProjectFormatError(
+          `${path}.planetary.held must be one of ${PLANETARY_MEMBERS.join(", ")}`,
+        );
+      }
+    }
+
+    return {
+      id: gear.id,
+      params,
+      color: color.toLowerCase(),
+      position: { x: position.x, y: position.y, z: position.z ?? 0 },
+      rotation,
+      tilt: TILTING_TYPES.includes(params.type)
+        ? { x: tilt.x, y: tilt.y }
+        : { x: 0, y: 0 },
+      isDriver: !!gear.isDriver,
+      driverRPM,
+      shaftId,
+      planetary: planetary && {
+        setId: planetary.setId,
+        role: planetary.role,
+        held: planetary.held,
+      },
+    };
+  });
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    inputRPM,
+    inputTorque,
+    meshEfficiency,
+    display,
+    gears,
+  };
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
@@ -0,0 +1,93 @@
+import { ProjectFormatError } from "./ProjectSerializer.js";
+
+/**
+ * Shareable links that carry a whole assembly in the URL fragment.
+ *
+ * The project document (see ProjectSerializer) is written as compact JSON
+ * with numbers rounded to 4 decimals, deflated and base64url-encoded into
+ * `#project=...`. The fragment never reaches a server, and its project
+ * version is checked on load like a project file's.
+ */
+
+export const SHARE_PARAM = "project";
+
+/**
+ * Whether a URL fragment carries a shared assembly
+ * @param {string} hash - location.hash, with or without the leading #
+ * @returns {boolean}
+ */
+export function hasShareFragment(hash) {
+  return new URLSearchParams(hash.replace(/^#/, "")).has(SHARE_PARAM);
+}
+
+/**
+ * URL fragment (without #) for a project document
+ * @param {Object} project - Output of serializeProject()
+ * @returns {Promise<string>}
+ */
+export async function encodeShareFragment(project) {
+  const json = new TextEncoder().encode(JSON.stringify(project, roundNumber));
+  const compressed = await pipeBytes(
+    json,
+    new CompressionStream("deflate-raw"),
+  );
+  return `${SHARE_PARAM}=${toBase64Url(compressed)}`;
+}
+
+/**
+ * Project document from a shared link's fragment, not yet validated
+ * (pass it to parseProject or loadProject)
+ * @param {string} hash - location.hash, with or without the leading #
+ * @returns {Promise<Object>}
+ * @throws {ProjectFormatError} If the fragment is missing or corrupt
+ */
+export async function decodeShareFragment(hash) {
+  const data = new URLSearchParams(hash.replace(/^#/, "")).get(SHARE_PARAM);
+  if (!data) {
+    throw new ProjectFormatError("Link has no assembly");
+  }
+
+  let json;
+  try {
+    const bytes = await pipeBytes(
+      fromBase64Url(data),
+      new DecompressionStream("deflate-raw"),
+    );
+    json = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    throw new ProjectFormatError("Link is corrupt or truncated");
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    throw new ProjectFormatError(`Link is not valid JSON: ${err.message}`);
+  }
+}
+
+// Positions and angles to 4 decimals (0.1 µm, 0.1 mrad) keep links short
+function roundNumber(key, value) {
+  return typeof value === "number" ? +value.toFixed(4) : value;
+}
+
+async function pipeBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  // Chunked: String.fromCharCode takes its bytes as arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
@@ -0,0 +1,144 @@
+/**
+ * Uniform grid over the XY plane for finding items near each other.
+ *
+ * Each item is stored with a bounding circle in every cell its bounding
+ * square covers, so a query only looks at the items sharing a cell with
+ * it instead of at all of them. Items covering more than MAX_ITEM_CELLS
+ * cells (a long rack, a large ring) are kept aside and checked by every
+ * query rather than filling the grid.
+ */
+
+// Grid cell edge in mm, about the size of a mid-sized gear
+export const DEFAULT_CELL_SIZE = 50;
+
+const MAX_ITEM_CELLS = 64;
+
+export class SpatialHash {
+  /**
+   * @param {number} [cellSize=DEFAULT_CELL_SIZE] - Cell edge length
+   */
+  constructor(cellSize = DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "ix,iy" -> Set of items
+    this.entries = new Map(); // item -> { x, y, radius, keys }
+    this.oversized = new Set(); // Items checked by every query
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(item) {
+    return this.entries.has(item);
+  }
+
+  /**
+   * Add an item, or move it if it is already stored. Unchanged items are
+   * left alone.
+   * @param {*} item
+   * @param {number} x - Bounding circle center
+   * @param {number} y
+   * @param {number} radius - Bounding circle radius
+   */
+  insert(item, x, y, radius) {
+    const entry = this.entries.get(item);
+    if (entry && entry.x === x && entry.y === y && entry.radius === radius) {
+      return;
+    }
+    if (entry) this.remove(item);
+
+    const keys = this.getCellKeys(x, y, radius);
+    if (keys) {
+      for (const key of keys) {
+        if (!this.cells.has(key)) this.cells.set(key, new Set());
+        this.cells.get(key).add(item);
+      }
+    } else {
+      this.oversized.add(item);
+    }
+    this.entries.set(item, { x, y, radius, keys });
+  }
+
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return;
+
+    if (entry.keys) {
+      for (const key of entry.keys) {
+        const cell = this.cells.get(key);
+        cell.delete(item);
+        if (cell.size === 0) this.cells.delete(key);
+      }
+    } else {
+      this.oversized.delete(item);
+    }
+    this.entries.delete(item);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+    this.oversized.clear();
+  }
+
+  /**
+   * Items whose bounding circles come within `margin` of the given circle
+   * @returns {Set} Matching items (a stored item matches itself)
+   */
+  query(x, y, radius, margin = 0) {
+    const found = new Set();
+    const test = (item) => {
+      if (found.has(item)) return;
+      const entry = this.entries.get(item);
+      const reach = radius + entry.radius + margin;
+      if ((entry.x - x) ** 2 + (entry.y - y) ** 2 <= reach * reach) {
+        found.add(item);
+      }
+    };
+
+    const keys = this.getCellKeys(x, y, radius + margin);
+    if (keys) {
+      for (const key of keys) {
+        const cell = this.cells.get(key);
+        if (cell) cell.forEach(test);
+      }
+    } else {
+      // Covers too much of the grid: cheaper to test every item
+      this.entries.forEach((entry, item) => test(item));
+    }
+    this.oversized.forEach(test);
+    return found;
+  }
+
+  /**
+   * Other items whose bounding circles come within `margin` of a stored
+   * item's
+   * @returns {Set}
+   */
+  queryItem(item, margin = 0) {
+    const entry = this.entries.get(item);
+    if (!entry) return new Set();
+    const found = this.query(entry.x, entry.y, entry.radius, margin);
+    found.delete(item);
+    return found;
+  }
+
+  /**
+   * Keys of the cells the circle's bounding square covers, or null if
+   * there are more than MAX_ITEM_CELLS
+   * @returns {string[]|null}
+   */
+  getCellKeys(x, y, radius) {
+    const x0 = Math.floor((x - radius) / this.cellSize);
+    const x1 = Math.floor((x + radius) / this.cellSize);
+    const y0 = Math.floor((y - radius) / this.cellSize);
+    const y1 = Math.floor((y + radius) / this.cellSize);
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) > MAX_ITEM_CELLS) return null;
+
+    const keys = [];
+    for (let ix = x0; ix <= x1; ix++) {
+      for (let iy = y0; iy <= y1; iy++) keys.push(`${ix},${iy}`);
+    }
+    return keys;
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * 3D vector math on plain { x, y, z } objects.
+ *
+ * The engine keeps its poses as plain data, so they cross a worker
+ * boundary and need no three.js. Every function returns a new object and
+ * leaves its arguments alone.
+ */
+
+export function vec3(x = 0, y = 0, z = 0) {
+  return { x, y, z };
+}
+
+export function add(a, b) {
+  return vec3(a.x + b.x, a.y + b.y, a.z + b.z);
+}
+
+export function sub(a, b) {
+  return vec3(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+export function scale(v, s) {
+  return vec3(v.x * s, v.y * s, v.z * s);
+}
+
+/**
+ * a + b * s
+ */
+export function addScaled(a, b, s) {
+  return vec3(a.x + b.x * s, a.y + b.y * s, a.z + b.z * s);
+}
+
+export function negate(v) {
+  return vec3(-v.x, -v.y, -v.z);
+}
+
+export function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+export function cross(a, b) {
+  return vec3(
+    a.y * b.z - a.z * b.y,
+    a.z * b.x - a.x * b.z,
+    a.x * b.y - a.y * b.x,
+  );
+}
+
+export function lengthSq(v) {
+  return dot(v, v);
+}
+
+export function length(v) {
+  return Math.sqrt(lengthSq(v));
+}
+
+export function distance(a, b) {
+  return length(sub(a, b));
+}
+
+/**
+ * Unit vector along v; a zero vector stays zero
+ */
+export function normalize(v) {
+  return scale(v, 1 / (length(v) || 1));
+}
+
+/**
+ * Angle between two vectors in radians (π/2 if either is zero)
+ */
+export function angleBetween(a, b) {
+  const denominator = Math.sqrt(lengthSq(a) * lengthSq(b));
+  if (denominator === 0) return Math.PI / 2;
+  return Math.acos(Math.max(-1, Math.min(1, dot(a, b) / denominator)));
+}
+
+/**
+ * Rotate v by an axis tilt: about X by x after about Y by y, the XYZ
+ * Euler rotation (x, y, 0) of a gear's pose
+ */
+export function tilt(v, x, y) {
+  const cosY = Math.cos(y);
+  const sinY = Math.sin(y);
+  const aboutY = vec3(v.x * cosY + v.z * sinY, v.y, v.z * cosY - v.x * sinY);
+  const cosX = Math.cos(x);
+  const sinX = Math.sin(x);
+  return vec3(
+    aboutY.x,
+    aboutY.y * cosX - aboutY.z * sinX,
+    aboutY.y * sinX + aboutY.z * cosX,
+  );
+}
+
+/**
+ * Undo tilt(v, x, y)
+ */
+export function untilt(v, x, y) {
+  const cosX = Math.cos(x);
+  const sinX = Math.sin(x);
+  const aboutX = vec3(v.x, v.y * cosX + v.z * sinX, v.z * cosX - v.y * sinX);
+  const cosY = Math.cos(y);
+  const sinY = Math.sin(y);
+  return vec3(
+    aboutX.x * cosY - aboutX.z * sinY,
+    aboutX.y,
+    aboutX.x * sinY + aboutX.z * cosY,
+  );
+}
@@ -4,5 +4,7 @@ import { GearSimulator } from './GearSimulator.js';
 const canvas = document.getElementById('canvas');
 const simulator = new GearSimulator(canvas);
 
-// Add initial gear
-simulator.addGear();
\ No newline at end of file
+// Open a shared assembly from the link, or start with one gear
+simulator.loadShareLink(window.location.hash).then((loaded) => {
+    if (!loaded) simulator.addGear();
+});
@@ -0,0 +1,36 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { parseBom } from "../js/BomImporter.js";
+
+describe("gear tables", () => {
+  test("the first gear drives a table without a driver column", () => {
+    const rows = parseBom(
+      ["id,teeth,module,meshes with", "1,20,2,2", "2,40,2,"].join("\n"),
+    );
+    assert.deepEqual(
+      rows.map((row) => row.driver),
+      [true, null],
+    );
+  });
+
+  test("the first gear drives when every driver cell is blank or false", () => {
+    const rows = parseBom([
+      { id: 3, teeth: 20, module: 2, driver: "" },
+      { id: 4, teeth: 40, module: 2, driver: "no" },
+    ]);
+    assert.deepEqual(
+      rows.map((row) => row.driver),
+      [true, false],
+    );
+  });
+
+  test("a listed driver is kept", () => {
+    const rows = parseBom(
+      ["id,teeth,module,driver", "1,20,2,", "2,40,2,yes"].join("\n"),
+    );
+    assert.deepEqual(
+      rows.map((row) => row.driver),
+      [null, true],
+    );
+  });
+});
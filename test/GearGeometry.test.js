@@ -0,0 +1,256 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  GearGeometry,
+  GEAR_PARAM_LIMITS,
+  RACK_BACKING_FACTOR,
+  RING_RIM_FACTOR,
+} from "../js/GearGeometry.js";
+import { gearParams } from "./helpers.js";
+
+const EPSILON = 1e-6;
+
+const close = (actual, expected, message) =>
+  assert.ok(
+    Math.abs(actual - expected) < EPSILON,
+    `${message}: expected ${expected}, got ${actual}`,
+  );
+
+const geometry = (overrides) => new GearGeometry(gearParams(overrides));
+
+// Each limit and a value in between, so the sweep covers the full range
+const sweep = (name, middle = []) => {
+  const { min, max } = GEAR_PARAM_LIMITS[name];
+  return [min, ...middle, max];
+};
+
+// Signed area of a closed outline (positive = counter-clockwise)
+function signedArea(points) {
+  let area = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  });
+  return area / 2;
+}
+
+// How often a closed outline crosses the circle of radius r
+function circleCrossings(points, r) {
+  return points.filter(
+    (p, i) => p.length() > r !== points[(i + 1) % points.length].length() > r,
+  ).length;
+}
+
+describe("derived dimensions", () => {
+  test("standard spur gear", () => {
+    const g = geometry({ teeth: 20, module: 2, pressureAngle: 20 });
+    close(g.pitchDiameter, 40, "pitch diameter");
+    close(g.pitchRadius, 20, "pitch radius");
+    close(g.baseRadius, 20 * Math.cos((20 * Math.PI) / 180), "base radius");
+    close(g.addendum, 2, "addendum");
+    close(g.dedendum, 2.5, "dedendum");
+    close(g.outerRadius, 22, "outer radius");
+    close(g.rootRadius, 17.5, "root radius");
+    close(g.boreRadius, 2.5, "bore radius");
+  });
+
+  test("profile shift moves the addendum and dedendum", () => {
+    const g = geometry({ teeth: 12, module: 2, profileShift: 0.5 });
+    close(g.addendum, 3, "addendum");
+    close(g.dedendum, 1.5, "dedendum");
+    close(g.outerRadius, 15, "outer radius");
+    close(g.pitchRadius, 12, "pitch radius is unchanged");
+  });
+
+  test("only external gears take a profile shift", () => {
+    for (const type of ["internal", "rack", "bevel", "worm", "wheel"]) {
+      assert.equal(geometry({ type, profileShift: 0.5 }).profileShift, 0, type);
+    }
+  });
+
+  test("helical gears are drawn with the transverse module and pressure angle", () => {
+    const beta = (30 * Math.PI) / 180;
+    const g = geometry({ teeth: 20, module: 2, helixAngle: 30 });
+    close(g.module, 2 / Math.cos(beta), "transverse module");
+    close(
+      g.pressureAngle,
+      Math.atan(Math.tan((20 * Math.PI) / 180) / Math.cos(beta)),
+      "transverse pressure angle",
+    );
+    close(g.pitchDiameter, (20 * 2) / Math.cos(beta), "pitch diameter");
+    close(g.addendum, 2, "addendum uses the normal module");
+  });
+
+  test("pitch tooth thickness is m (π/2 + 2x tan α)", () => {
+    for (const profileShift of [-0.5, 0, 0.6]) {
+      const g = geometry({ teeth: 24, module: 3, profileShift });
+      const thickness = 2 * g.pitchRadius * g.toothHalfAngleAt(g.pitchRadius);
+      close(
+        thickness,
+        3 * (Math.PI / 2 + 2 * profileShift * Math.tan((20 * Math.PI) / 180)),
+        `x = ${profileShift}`,
+      );
+    }
+  });
+
+  test("internal gears carry their teeth inside a rim", () => {
+    const g = geometry({ type: "internal", teeth: 60, module: 2 });
+    close(g.tipRadius, 58, "tip radius (pitch - addendum)");
+    close(g.rootRadius, 62.5, "root radius (pitch + dedendum)");
+    close(g.outerRadius, 62.5 + RING_RIM_FACTOR * 2, "rim");
+    assert.equal(g.boreRadius, 0);
+  });
+
+  test("a rack is teeth circular pitches long", () => {
+    const g = geometry({ type: "rack", teeth: 30, module: 2 });
+    close(g.circularPitch, 2 * Math.PI, "circular pitch");
+    close(g.length, 30 * 2 * Math.PI, "length");
+    close(g.outerRadius, g.length / 2, "outer radius is half the length");
+  });
+
+  test("a worm's pitch diameter is q modules and its wheel takes its lead angle", () => {
+    const worm = geometry({ type: "worm", starts: 2, diameterQuotient: 10 });
+    close(worm.pitchDiameter, 20, "worm pitch diameter");
+    close(worm.leadAngle, Math.atan(2 / 10), "lead angle");
+    close(worm.lead, 2 * Math.PI * 2, "lead");
+
+    const wheel = geometry({ type: "wheel", starts: 2, diameterQuotient: 10 });
+    close(wheel.helixAngle, worm.leadAngle, "wheel helix angle");
+  });
+
+  test("a bevel gear's apex sits r / tan δ above the heel", () => {
+    const g = geometry({ type: "bevel", teeth: 20, coneAngle: 30 });
+    const delta = (30 * Math.PI) / 180;
+    close(g.apexHeight, 20 / Math.tan(delta), "apex height");
+    close(g.coneDistance, 20 / Math.sin(delta), "cone distance");
+    assert.ok(g.faceDepth <= g.apexHeight / 3 + EPSILON, "face depth");
+  });
+
+  test("an oversized bore is clamped to half the root radius", () => {
+    const g = geometry({ teeth: 8, module: 0.5, boreDiameter: 20 });
+    close(g.boreRadius, g.rootRadius / 2, "bore radius");
+  });
+
+  test("undercut starts below 2 / sin²α teeth", () => {
+    // 17.1 teeth at 20°
+    assert.equal(geometry({ teeth: 17 }).isUndercut(), true);
+    assert.equal(geometry({ teeth: 18 }).isUndercut(), false);
+
+    const x = GearGeometry.minProfileShift(12, 20);
+    assert.equal(geometry({ teeth: 12, profileShift: x }).isUndercut(), false);
+    assert.equal(
+      geometry({ teeth: 12, profileShift: x - 0.01 }).isUndercut(),
+      true,
+    );
+  });
+});
+
+describe("shape validity across the parameter range", () => {
+  const cases = [];
+  for (const type of ["external", "internal", "wheel", "bevel"]) {
+    for (const teeth of sweep("teeth", [13, 17, 50])) {
+      for (const module of sweep("module", [2])) {
+        for (const pressureAngle of sweep("pressureAngle", [20])) {
+          const shifts =
+            type === "external" ? sweep("profileShift", [0, 0.5]) : [0];
+          const helices =
+            type === "external" || type === "internal"
+              ? sweep("helixAngle")
+              : [0];
+          for (const profileShift of shifts) {
+            for (const helixAngle of helices) {
+              cases.push({
+                type,
+                teeth,
+                module,
+                pressureAngle,
+                profileShift,
+                helixAngle,
+                boreDiameter: GEAR_PARAM_LIMITS.boreDiameter.max,
+              });
+            }
+          }
+        }
+      }
+    }
+  }
+
+  test(`${cases.length} toothed outlines stay between their root and tip circles`, () => {
+    for (const params of cases) {
+      const g = geometry(params);
+      const label = JSON.stringify(params);
+      const shape = g.createGearShape();
+      // A ring's teeth are the hole in its rim
+      const outline = (
+        params.type === "internal" ? shape.holes[0] : shape
+      ).getPoints();
+      const [inner, outer] =
+        params.type === "internal"
+          ? [g.tipRadius, g.rootRadius]
+          : [g.rootRadius, g.outerRadius];
+
+      for (const p of outline) {
+        assert.ok(Number.isFinite(p.x) && Number.isFinite(p.y), label);
+        const r = p.length();
+        assert.ok(r > inner - EPSILON && r < outer + EPSILON, label);
+      }
+      assert.ok(signedArea(outline) > 0, `${label} is counter-clockwise`);
+      assert.equal(
+        circleCrossings(outline, (inner + outer) / 2),
+        2 * params.teeth,
+        `${label} has ${params.teeth} teeth`,
+      );
+      if (params.type !== "internal") {
+        assert.ok(g.boreRadius < g.rootRadius, `${label} bore`);
+      }
+    }
+  });
+
+  test("rack outlines stay within their length and tooth height", () => {
+    for (const teeth of sweep("teeth")) {
+      for (const module of sweep("module")) {
+        for (const pressureAngle of sweep("pressureAngle")) {
+          const g = geometry({ type: "rack", teeth, module, pressureAngle });
+          const bottom = -g.dedendum - RACK_BACKING_FACTOR * module;
+          const points = g.createGearShape().getPoints();
+
+          for (const p of points) {
+            assert.ok(Math.abs(p.x) < g.length / 2 + EPSILON);
+            assert.ok(p.y > bottom - EPSILON && p.y < g.addendum + EPSILON);
+          }
+          assert.ok(signedArea(points) > 0);
+          // Every tooth crosses the pitch line twice
+          const crossings = points.filter(
+            (p, i) => p.y > 0 !== points[(i + 1) % points.length].y > 0,
+          ).length;
+          assert.equal(crossings, 2 * teeth);
+        }
+      }
+    }
+  });
+
+  test("extruded meshes of every type have finite vertices", () => {
+    for (const type of [
+      "external",
+      "internal",
+      "rack",
+      "bevel",
+      "worm",
+      "wheel",
+    ]) {
+      for (const teeth of sweep("teeth")) {
+        for (const simplified of [false, true]) {
+          const g = geometry({ type, teeth, helixAngle: 20, starts: 4 });
+          const geometryData = g.createGeometry(simplified);
+          const positions = geometryData.attributes.position.array;
+          assert.ok(positions.length > 0, `${type} z${teeth}`);
+          assert.ok(
+            positions.every(Number.isFinite),
+            `${type} z${teeth}${simplified ? " simplified" : ""}`,
+          );
+          geometryData.dispose();
+        }
+      }
+    }
+  });
+});
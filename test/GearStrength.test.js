@@ -0,0 +1,66 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  GEAR_MATERIALS,
+  analyzeMesh,
+  velocityFactor,
+} from "../js/GearStrength.js";
+import { analyzeMeshQuality, meshCenterDistance } from "../js/MeshQuality.js";
+import { resolveGearParams } from "../js/GearTrain.js";
+import { gearParams } from "./helpers.js";
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)),
+    `${actual} ≉ ${expected}`,
+  );
+
+const params = (overrides) => resolveGearParams(gearParams(overrides));
+
+// Hertz stress of two steel external gears at pressure angle phi (radians)
+function hertzStress(p1, p2, force, velocity, phi) {
+  const { elasticModulus, poissonRatio } = GEAR_MATERIALS.steel;
+  const curvature = [p1, p2].reduce(
+    (sum, p) => sum + 2 / (p.pitchDiameter * Math.sin(phi)),
+    0,
+  );
+  const compliance = (2 * (1 - poissonRatio ** 2)) / elasticModulus;
+  const faceWidth = Math.min(p1.thickness, p2.thickness);
+  return Math.sqrt(
+    (force * velocityFactor(velocity) * curvature) /
+      (Math.PI * faceWidth * Math.cos(phi) * compliance),
+  );
+}
+
+describe("gear strength", () => {
+  test("spur contact stress is taken at the pressure angle", () => {
+    const p1 = params({ teeth: 20 });
+    const p2 = params({ teeth: 40 });
+    const result = analyzeMesh(p1, p2, 500, 2);
+    close(result.contactStress, hertzStress(p1, p2, 500, 2, Math.PI / 9));
+    close(
+      result.contactSafety[0],
+      GEAR_MATERIALS.steel.contactAllowable / result.contactStress,
+    );
+  });
+
+  test("helical contact stress is taken at the transverse pressure angle", () => {
+    const p1 = params({ teeth: 20, helixAngle: 25, hand: "right" });
+    const p2 = params({ teeth: 40, helixAngle: 25, hand: "left" });
+    const beta = (25 * Math.PI) / 180;
+    const transverse = Math.atan(Math.tan(Math.PI / 9) / Math.cos(beta));
+
+    const result = analyzeMesh(p1, p2, 500, 2);
+    close(result.contactStress, hertzStress(p1, p2, 500, 2, transverse));
+    assert.ok(
+      Math.abs(
+        result.contactStress - hertzStress(p1, p2, 500, 2, Math.PI / 9),
+      ) > 1,
+      "not the normal pressure angle",
+    );
+
+    // Mesh quality works in the same transverse plane
+    const quality = analyzeMeshQuality(p1, p2, meshCenterDistance(p1, p2));
+    close((quality.operatingPressureAngle * Math.PI) / 180, transverse);
+  });
+});
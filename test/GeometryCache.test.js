@@ -0,0 +1,80 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { GearGeometry } from "../js/GearGeometry.js";
+import { GeometryCache } from "../js/GeometryCache.js";
+import { gearParams } from "./helpers.js";
+
+const builder = (overrides) => new GearGeometry(gearParams(overrides));
+
+// Count dispose() calls on a geometry
+function watchDisposal(geometry) {
+  const watch = { disposed: 0 };
+  geometry.addEventListener("dispose", () => watch.disposed++);
+  return watch;
+}
+
+describe("geometry cache", () => {
+  test("gears with equal parameters share one geometry", () => {
+    const cache = new GeometryCache();
+    const a = cache.acquire(builder({ teeth: 24 }));
+    const b = cache.acquire(builder({ teeth: 24, material: "brass" }));
+    const c = cache.acquire(builder({ teeth: 25 }));
+
+    assert.equal(a, b);
+    assert.notEqual(a, c);
+    assert.equal(cache.size, 2);
+  });
+
+  test("parameters the geometry ignores do not split the cache", () => {
+    const cache = new GeometryCache();
+    // Only external gears take a profile shift; a spur gear has no hand
+    assert.equal(
+      cache.acquire(builder({ type: "internal", teeth: 60 })),
+      cache.acquire(
+        builder({ type: "internal", teeth: 60, profileShift: 0.5 }),
+      ),
+    );
+    assert.equal(
+      cache.acquire(builder({ hand: "right" })),
+      cache.acquire(builder({ hand: "left" })),
+      "spur gears of either hand look alike",
+    );
+    assert.notEqual(
+      cache.acquire(builder({ helixAngle: 20, hand: "right" })),
+      cache.acquire(builder({ helixAngle: 20, hand: "left" })),
+    );
+  });
+
+  test("simplified teeth are cached separately", () => {
+    const cache = new GeometryCache();
+    const gear = builder();
+    assert.notEqual(cache.acquire(gear), cache.acquire(gear, true));
+    assert.equal(cache.acquire(gear, true), cache.acquire(builder(), true));
+  });
+
+  test("the last release disposes the geometry", () => {
+    const cache = new GeometryCache();
+    const geometry = cache.acquire(builder());
+    cache.acquire(builder());
+    const watch = watchDisposal(geometry);
+
+    cache.release(geometry);
+    assert.equal(watch.disposed, 0);
+    assert.equal(cache.size, 1);
+
+    cache.release(geometry);
+    assert.equal(watch.disposed, 1);
+    assert.equal(cache.size, 0);
+
+    // Released geometries are rebuilt on the next use
+    assert.notEqual(cache.acquire(builder()), geometry);
+  });
+
+  test("geometries from elsewhere are left alone", () => {
+    const cache = new GeometryCache();
+    const geometry = builder().createGeometry();
+    const watch = watchDisposal(geometry);
+    cache.release(geometry);
+    assert.equal(watch.disposed, 0);
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { InstancedGears, MIN_INSTANCES } from "../js/InstancedGears.js";
+
+// Gear stand-ins: a mesh in the group per gear, colored like the simulator's
+function createGears(group, geometry, count, color = 0x4a90d9) {
+  return Array.from({ length: count }, (_, i) => {
+    const mesh = new THREE.Mesh(
+      geometry,
+      new THREE.MeshStandardMaterial({ color }),
+    );
+    mesh.position.set(i * 50, 0, 0);
+    group.add(mesh);
+    return { id: i + 1, mesh };
+  });
+}
+
+const batchesOf = (instanced) => [...instanced.batches.values()];
+
+describe("instanced gears", () => {
+  test("repeated gears draw through one batch", () => {
+    const group = new THREE.Group();
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const gears = createGears(group, geometry, 10);
+    const instanced = new InstancedGears(group);
+
+    instanced.update(gears);
+    const [batch] = batchesOf(instanced);
+    assert.equal(instanced.batches.size, 1);
+    assert.equal(batch.count, 10);
+    assert.equal(batch.parent, group);
+    assert.ok(gears.every((g) => !g.mesh.material.visible));
+
+    // Each instance takes its gear's transform and color
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color();
+    batch.getMatrixAt(3, matrix);
+    assert.equal(new THREE.Vector3().setFromMatrixPosition(matrix).x, 150);
+    batch.getColorAt(3, color);
+    assert.equal(color.getHex(), 0x4a90d9);
+  });
+
+  test("glowing gears leave the batch and draw themselves", () => {
+    const group = new THREE.Group();
+    const gears = createGears(group, new THREE.BoxGeometry(1, 1, 1), 10);
+    const instanced = new InstancedGears(group);
+    instanced.update(gears);
+
+    // Selected
+    gears[0].mesh.material.emissive.setHex(0x00aa00);
+    gears[1].mesh.material.color.setHex(0xff9800);
+    instanced.update(gears);
+
+    const [batch] = batchesOf(instanced);
+    assert.equal(batch.count, 9);
+    assert.ok(gears[0].mesh.material.visible);
+    assert.ok(!gears[1].mesh.material.visible);
+    const color = new THREE.Color();
+    batch.getColorAt(0, color);
+    assert.equal(color.getHex(), 0xff9800, "per-gear color");
+  });
+
+  test("small sets and unique gears are not batched", () => {
+    const group = new THREE.Group();
+    const shared = new THREE.BoxGeometry(1, 1, 1);
+    const gears = [
+      ...createGears(group, shared, MIN_INSTANCES - 1),
+      ...createGears(group, new THREE.BoxGeometry(2, 2, 2), 1),
+    ];
+    const instanced = new InstancedGears(group);
+
+    instanced.update(gears);
+    assert.equal(instanced.batches.size, 0);
+    assert.ok(gears.every((g) => g.mesh.material.visible));
+  });
+
+  test("batches shrink away and grow with their gear sets", () => {
+    const group = new THREE.Group();
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    const gears = createGears(group, geometry, MIN_INSTANCES);
+    const instanced = new InstancedGears(group);
+    instanced.update(gears);
+    const first = instanced.batches.get(geometry);
+
+    // Past its capacity the batch is replaced
+    gears.push(...createGears(group, geometry, MIN_INSTANCES + 1));
+    instanced.update(gears);
+    const grown = instanced.batches.get(geometry);
+    assert.notEqual(grown, first);
+    assert.equal(first.parent, null);
+    assert.equal(grown.count, 2 * MIN_INSTANCES + 1);
+
+    // Below the minimum the gears draw themselves again
+    instanced.update(gears.slice(0, MIN_INSTANCES - 1));
+    assert.equal(instanced.batches.size, 0);
+    assert.equal(grown.parent, null);
+  });
+
+  test("batches are not picked", () => {
+    const group = new THREE.Group();
+    const gears = createGears(group, new THREE.BoxGeometry(10, 10, 10), 10);
+    const instanced = new InstancedGears(group);
+    instanced.update(gears);
+    group.updateMatrixWorld(true);
+
+    const raycaster = new THREE.Raycaster(
+      new THREE.Vector3(1, 2, 50),
+      new THREE.Vector3(0, 0, -1),
+    );
+    const hits = raycaster.intersectObject(group, true);
+    assert.deepEqual(
+      hits.map((hit) => hit.object),
+      [gears[0].mesh],
+    );
+  });
+});
@@ -0,0 +1,125 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeMeshQuality, meshCenterDistance } from "../js/MeshQuality.js";
+import { resolveGearParams } from "../js/GearTrain.js";
+import { createTrain, gearParams } from "./helpers.js";
+
+const params = (overrides) => resolveGearParams(gearParams(overrides));
+
+// Quality of the mesh between two gears of a train
+function qualityOf(gear, other) {
+  const quality = gear.meshQuality.get(other);
+  assert.ok(quality, `gear ${gear.id} meshes with gear ${other.id}`);
+  return quality;
+}
+
+describe("mesh quality", () => {
+  test("pairs at their meshing distance do not interfere", () => {
+    for (const module of [1, 2, 2.5]) {
+      for (const [z1, z2] of [
+        [20, 20],
+        [12, 37],
+        [17, 60],
+        [25, 31],
+      ]) {
+        for (const helixAngle of [0, 20]) {
+          const p1 = params({ teeth: z1, module, helixAngle, hand: "right" });
+          const p2 = params({ teeth: z2, module, helixAngle, hand: "left" });
+          const quality = analyzeMeshQuality(
+            p1,
+            p2,
+            meshCenterDistance(p1, p2),
+          );
+          assert.equal(
+            quality.interference,
+            false,
+            `${z1}/${z2} m${module} β${helixAngle}: backlash ${quality.backlash}`,
+          );
+        }
+      }
+    }
+  });
+
+  test("pairs pushed together interfere", () => {
+    const p1 = params({ teeth: 20 });
+    const p2 = params({ teeth: 20 });
+    const quality = analyzeMeshQuality(p1, p2, 39.9);
+    assert.ok(quality.backlash < 0);
+    assert.equal(quality.interference, true);
+  });
+
+  test("pairs snapped at any angle do not interfere", () => {
+    for (const [z1, z2] of [
+      [20, 20],
+      [13, 29],
+      [24, 41],
+    ]) {
+      const ideal = z1 + z2; // (z1 + z2) m / 2 at m = 2
+      for (let step = 0; step < 12; step++) {
+        const angle = (step * Math.PI) / 6 + 0.1;
+        const { train, gear } = createTrain([
+          { id: 1, teeth: z1, driver: true },
+          {
+            id: 2,
+            teeth: z2,
+            x: (ideal + 2) * Math.cos(angle),
+            y: (ideal + 2) * Math.sin(angle),
+          },
+        ]);
+        assert.ok(train.snapToMesh(gear(2)), `${z1}/${z2} snaps`);
+        train.updateConnections();
+
+        assert.equal(qualityOf(gear(2), gear(1)).interference, false);
+        assert.equal(train.poorMeshes.size, 0, `${z1}/${z2} at ${angle}`);
+      }
+    }
+  });
+
+  test("snapped racks, bevel gears and worms do not interfere", () => {
+    // 2 mm short of a mate, from twelve directions (across a rack's pitch
+    // line, stepping along it)
+    const around = (radius, angle) => ({
+      x: (radius + 2) * Math.cos(angle),
+      y: (radius + 2) * Math.sin(angle),
+    });
+    const pairs = {
+      rack: (step) => [
+        { id: 1, type: "rack", teeth: 40, driver: true },
+        { id: 2, teeth: 15 + step, x: 10 + step, y: 17 + step },
+      ],
+      // Upright, off the heel of a 45° mate that turns it onto its cone
+      bevel: (step, angle) => [
+        { id: 1, type: "bevel", teeth: 20, coneAngle: 45, driver: true },
+        {
+          id: 2,
+          type: "bevel",
+          teeth: 20,
+          coneAngle: 45,
+          ...around(20, angle),
+        },
+      ],
+      // Upright, around a wheel meshing at (60 + 20) / 2
+      worm: (step, angle) => [
+        { id: 1, type: "wheel", teeth: 30, thickness: 10, driver: true },
+        { id: 2, type: "worm", teeth: 1, thickness: 30, ...around(40, angle) },
+      ],
+    };
+
+    for (const [name, specsAt] of Object.entries(pairs)) {
+      for (let step = 0; step < 12; step++) {
+        const angle = (step * Math.PI) / 6 + 0.1;
+        const { train, gear } = createTrain(specsAt(step, angle));
+        assert.ok(train.snapToMesh(gear(2)), `${name} ${step} snaps`);
+        train.updateConnections();
+
+        const quality = qualityOf(gear(2), gear(1));
+        assert.equal(
+          quality.interference,
+          false,
+          `${name} ${step}: backlash ${quality.backlash}, clearance ${quality.tipClearance}`,
+        );
+        assert.equal(train.poorMeshes.size, 0, `${name} ${step}`);
+      }
+    }
+  });
+});
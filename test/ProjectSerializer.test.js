@@ -0,0 +1,64 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { parseProject, serializeProject } from "../js/ProjectSerializer.js";
+import { GearTrain } from "../js/GearTrain.js";
+import { gearParams } from "./helpers.js";
+
+// Save a train the way the simulator snapshots it, as file text
+function saveTrain(train) {
+  const gears = train.gears.map((gear) => ({
+    id: gear.id,
+    params: gear.params,
+    color: "#4a90d9",
+    position: gear.position,
+    rotation: gear.rotation.z,
+    tilt: { x: gear.rotation.x, y: gear.rotation.y },
+    isDriver: gear.isDriver,
+    driverRPM: gear.driverRPM,
+    shaftId: gear.shaftId,
+    planetary: gear.planetary,
+  }));
+  return JSON.stringify(
+    serializeProject({
+      gears,
+      inputRPM: train.inputRPM,
+      inputTorque: train.inputTorque,
+      meshEfficiency: train.meshEfficiency,
+      display: {},
+    }),
+  );
+}
+
+describe("project files", () => {
+  test("any input RPM the engine accepts loads again", () => {
+    for (const [rpm, expected] of [
+      [-50, 1],
+      [0, 1],
+      [0.5, 1],
+      [120, 120],
+      [5000, 1000],
+    ]) {
+      const train = new GearTrain();
+      train.addGear({ params: gearParams() });
+      train.setInputRPM(rpm);
+      assert.equal(train.inputRPM, expected);
+
+      const project = parseProject(saveTrain(train));
+      assert.equal(project.inputRPM, expected);
+    }
+  });
+
+  test("an input RPM out of range is rejected", () => {
+    const train = new GearTrain();
+    train.addGear({ params: gearParams() });
+    const saved = JSON.parse(saveTrain(train));
+    assert.equal(parseProject(saved).inputRPM, 30);
+
+    for (const inputRPM of [-30, 0, 1001]) {
+      assert.throws(
+        () => parseProject({ ...saved, inputRPM }),
+        /inputRPM must be a number between 1 and 1000/,
+      );
+    }
+  });
+});
@@ -0,0 +1,74 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { SpatialHash } from "../js/SpatialHash.js";
+import { seededRandom } from "./helpers.js";
+
+const sorted = (items) => [...items].sort();
+
+describe("spatial hash", () => {
+  test("finds the circles within reach and no others", () => {
+    const hash = new SpatialHash(10);
+    hash.insert("a", 0, 0, 5);
+    hash.insert("b", 9, 0, 5);
+    // Bounding squares overlap across the diagonal, circles do not
+    hash.insert("c", 8, 8, 5);
+    hash.insert("d", 100, 100, 5);
+
+    assert.deepEqual(sorted(hash.queryItem("a")), ["b"]);
+    assert.deepEqual(sorted(hash.queryItem("a", 2)), ["b", "c"]);
+    assert.deepEqual(sorted(hash.query(0, 0, 1)), ["a"]);
+    assert.deepEqual(sorted(hash.query(80, 80, 3)), []);
+  });
+
+  test("moved and removed items leave their old cells", () => {
+    const hash = new SpatialHash(10);
+    hash.insert("a", 0, 0, 5);
+    hash.insert("a", 200, 0, 5);
+    assert.equal(hash.size, 1);
+    assert.deepEqual(sorted(hash.query(0, 0, 5)), []);
+    assert.deepEqual(sorted(hash.query(200, 0, 5)), ["a"]);
+
+    hash.remove("a");
+    assert.equal(hash.size, 0);
+    assert.equal(hash.cells.size, 0);
+    assert.deepEqual(sorted(hash.query(200, 0, 5)), []);
+  });
+
+  test("items too large for the grid are checked by every query", () => {
+    const hash = new SpatialHash(10);
+    hash.insert("rack", 0, 0, 500);
+    hash.insert("pinion", 490, 0, 10);
+    assert.ok(hash.oversized.has("rack"));
+    for (const cell of hash.cells.values()) assert.ok(!cell.has("rack"));
+    assert.deepEqual(sorted(hash.queryItem("pinion")), ["rack"]);
+    assert.deepEqual(sorted(hash.query(0, 700, 10)), []);
+  });
+
+  test("queries match a check of every pair", () => {
+    const next = seededRandom(7);
+    const hash = new SpatialHash(30);
+    const circles = [];
+    for (let i = 0; i < 300; i++) {
+      const circle = {
+        id: i,
+        x: next() * 1000 - 500,
+        y: next() * 1000 - 500,
+        // Mostly small gears, some large enough to span many cells
+        radius: next() < 0.9 ? 5 + next() * 40 : 100 + next() * 300,
+      };
+      circles.push(circle);
+      hash.insert(circle, circle.x, circle.y, circle.radius);
+    }
+
+    for (const a of circles) {
+      const expected = circles.filter(
+        (b) =>
+          b !== a &&
+          Math.hypot(a.x - b.x, a.y - b.y) <= a.radius + b.radius + 5,
+      );
+      const found = hash.queryItem(a, 5);
+      assert.equal(found.size, expected.length, `circle ${a.id}`);
+      for (const b of expected) assert.ok(found.has(b), `${a.id}-${b.id}`);
+    }
+  });
+});
@@ -0,0 +1,48 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import {
+  vec3,
+  angleBetween,
+  cross,
+  normalize,
+  tilt,
+  untilt,
+} from "../js/Vec3.js";
+
+const closeVector = (actual, expected) =>
+  assert.ok(
+    ["x", "y", "z"].every((c) => Math.abs(actual[c] - expected[c]) < 1e-12),
+    `(${actual.x}, ${actual.y}, ${actual.z}) ≉ (${expected.x}, ${expected.y}, ${expected.z})`,
+  );
+
+describe("Vec3", () => {
+  test("tilt matches a three.js XYZ Euler rotation", () => {
+    const v = vec3(3, -1, 2);
+    for (const [x, y] of [
+      [0.3, 0],
+      [0, -0.7],
+      [Math.PI / 2, Math.PI / 4],
+      [-1.2, 2.5],
+    ]) {
+      const expected = new THREE.Vector3(v.x, v.y, v.z).applyEuler(
+        new THREE.Euler(x, y, 0, "XYZ"),
+      );
+      closeVector(tilt(v, x, y), expected);
+      closeVector(untilt(tilt(v, x, y), x, y), v);
+    }
+  });
+
+  test("functions return new vectors and leave their arguments alone", () => {
+    const a = vec3(1, 0, 0);
+    const b = vec3(0, 1, 0);
+    assert.deepEqual(cross(a, b), vec3(0, 0, 1));
+    assert.deepEqual(a, vec3(1, 0, 0));
+    assert.notEqual(normalize(a), a);
+  });
+
+  test("zero vectors stay zero and are perpendicular to everything", () => {
+    assert.deepEqual(normalize(vec3()), vec3());
+    assert.equal(angleBetween(vec3(), vec3(1, 2, 3)), Math.PI / 2);
+  });
+});
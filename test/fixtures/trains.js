@@ -0,0 +1,134 @@
+/**
+ * Known gear trains and the speeds they must produce. Gears are module 2
+ * unless noted and placed exactly at their meshing distances
+ * m (z1 + z2) / 2 (m (ring - pinion) / 2 inside a ring). The driver turns
+ * at the default Input RPM of 30 (positive = CW); `expected` lists each
+ * gear's rpm and rotation direction.
+ */
+export const KNOWN_TRAINS = [
+  {
+    name: "simple reduction 20:40",
+    gears: [
+      { id: 1, teeth: 20, x: 0, y: 0, driver: true },
+      { id: 2, teeth: 40, x: 60, y: 0 },
+    ],
+    expected: {
+      1: { rpm: 30, direction: 1 },
+      2: { rpm: 15, direction: -1 },
+    },
+  },
+  {
+    name: "idler keeps the ratio and restores the direction",
+    gears: [
+      { id: 1, teeth: 20, x: 0, y: 0, driver: true },
+      { id: 2, teeth: 15, x: 35, y: 0 },
+      { id: 3, teeth: 40, x: 90, y: 0 },
+    ],
+    expected: {
+      1: { rpm: 30, direction: 1 },
+      2: { rpm: 40, direction: -1 },
+      3: { rpm: 15, direction: 1 },
+    },
+  },
+  {
+    name: "compound 20:40 x 20:40 on a shared shaft",
+    gears: [
+      { id: 1, teeth: 20, x: 0, y: 0, driver: true },
+      { id: 2, teeth: 40, x: 60, y: 0, shaftId: 1 },
+      { id: 3, teeth: 20, x: 60, y: 0, z: 10, shaftId: 1 },
+      { id: 4, teeth: 40, x: 120, y: 0, z: 10 },
+    ],
+    expected: {
+      1: { rpm: 30, direction: 1 },
+      2: { rpm: 15, direction: -1 },
+      3: { rpm: 15, direction: -1 },
+      4: { rpm: 7.5, direction: 1 },
+    },
+  },
+  {
+    name: "pinion inside a ring turns it the same way",
+    gears: [
+      { id: 1, teeth: 20, x: 40, y: 0, driver: true },
+      { id: 2, type: "internal", teeth: 60, x: 0, y: 0 },
+    ],
+    expected: {
+      1: { rpm: 30, direction: 1 },
+      2: { rpm: 10, direction: 1 },
+    },
+  },
+  {
+    name: "square of four equal gears (even loop)",
+    gears: [
+      { id: 1, teeth: 20, x: 0, y: 0, driver: true },
+      { id: 2, teeth: 20, x: 40, y: 0 },
+      { id: 3, teeth: 20, x: 40, y: 40 },
+      { id: 4, teeth: 20, x: 0, y: 40 },
+    ],
+    expected: {
+      1: { rpm: 30, direction: 1 },
+      2: { rpm: 30, direction: -1 },
+      3: { rpm: 30, direction: 1 },
+      4: { rpm: 30, direction: -1 },
+    },
+  },
+  {
+    name: "helical 20:30 at 30°, opposite hands",
+    gears: [
+      { id: 1, teeth: 20, helixAngle: 30, hand: "right", driver: true },
+      // m_t = 2 / cos 30°, center distance m_t (20 + 30) / 2
+      { id: 2, teeth: 30, helixAngle: 30, hand: "left", x: 57.735027 },
+    ],
+    expected: {
+      1: { rpm: 30, direction: 1 },
+      2: { rpm: 20, direction: -1 },
+    },
+  },
+  {
+    name: "planetary 20/10/40 with the ring held",
+    gears: [
+      {
+        id: 1,
+        teeth: 20,
+        driver: true,
+        planetary: { setId: 1, role: "sun", held: "ring" },
+      },
+      // Planets on the orbit (20 + 10) m / 2 = 30 at 0°, 120° and 240°
+      {
+        id: 2,
+        teeth: 10,
+        x: 30,
+        y: 0,
+        planetary: { setId: 1, role: "planet" },
+      },
+      {
+        id: 3,
+        teeth: 10,
+        x: -15,
+        y: 25.980762,
+        planetary: { setId: 1, role: "planet" },
+      },
+      {
+        id: 4,
+        teeth: 10,
+        x: -15,
+        y: -25.980762,
+        planetary: { setId: 1, role: "planet" },
+      },
+      {
+        id: 5,
+        type: "internal",
+        teeth: 40,
+        planetary: { setId: 1, role: "ring" },
+      },
+    ],
+    // Carrier at S / (S + R) of the sun; planets at S (S + P) / (P (S + R))
+    carrierRPM: 10,
+    expected: {
+      1: { rpm: 30, direction: 1 },
+      2: { rpm: 30, direction: -1 },
+      3: { rpm: 30, direction: -1 },
+      4: { rpm: 30, direction: -1 },
+      5: { rpm: 0, direction: 1 },
+    },
+  },
+];
@@ -0,0 +1,99 @@
+import { GearTrain } from "../js/GearTrain.js";
+
+/**
+ * Shared builders for the test suite: gear parameters with the UI
+ * defaults, and gear trains laid out from plain specs.
+ */
+
+export const DEFAULT_PARAMS = {
+  type: "external",
+  teeth: 20,
+  module: 2,
+  pressureAngle: 20,
+  thickness: 5,
+  boreDiameter: 5,
+  profileShift: 0,
+  helixAngle: 0,
+  hand: "right",
+  coneAngle: 45,
+  starts: 1,
+  diameterQuotient: 10,
+};
+
+/**
+ * Gear parameters: the defaults with some overridden
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+export function gearParams(overrides = {}) {
+  return { ...DEFAULT_PARAMS, ...overrides };
+}
+
+/**
+ * A connected train built from gear specs, with shafts, planetary sets,
+ * connections and speeds resolved as the simulator would after a load.
+ * @param {Array<Object>} specs - { id, x, y, z, driver, driverRPM,
+ *   shaftId, planetary, angle } plus any gear parameters; angle turns a
+ *   rack about Z (degrees)
+ * @param {Object} [options]
+ * @param {number} [options.inputRPM=30]
+ * @returns {{train: GearTrain, gear: (id: number) => Object}}
+ */
+export function createTrain(specs, { inputRPM = 30 } = {}) {
+  const train = new GearTrain();
+  train.setInputRPM(inputRPM);
+
+  for (const spec of specs) {
+    const {
+      id,
+      x = 0,
+      y = 0,
+      z = 0,
+      angle = 0,
+      driver = false,
+      driverRPM = null,
+      shaftId = null,
+      planetary = null,
+      ...params
+    } = spec;
+    train.addGear({
+      id,
+      params: gearParams(params),
+      position: { x, y, z },
+      rotation: { z: (angle * Math.PI) / 180 },
+      isDriver: driver,
+      driverRPM,
+      shaftId,
+      planetary,
+    });
+  }
+
+  train.rebuildShafts();
+  train.rebuildPlanetarySets();
+  train.updateConnections();
+
+  const gear = (id) => train.gears.find((g) => g.id === id);
+  return { train, gear };
+}
+
+/**
+ * Connected gear ids of a gear, sorted
+ * @param {Object} gear
+ * @returns {number[]}
+ */
+export function connectedIds(gear) {
+  return gear.connectedTo.map((g) => g.id).sort((a, b) => a - b);
+}
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1)
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
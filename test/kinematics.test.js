@@ -0,0 +1,276 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { GearTrain } from "../js/GearTrain.js";
+import { KNOWN_TRAINS } from "./fixtures/trains.js";
+import { createTrain, gearParams } from "./helpers.js";
+
+const close = (actual, expected, message) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-6,
+    `${message}: expected ${expected}, got ${actual}`,
+  );
+
+describe("known trains", () => {
+  for (const fixture of KNOWN_TRAINS) {
+    test(fixture.name, () => {
+      const { train, gear } = createTrain(fixture.gears);
+
+      for (const [id, { rpm, direction }] of Object.entries(fixture.expected)) {
+        close(gear(Number(id)).rpm, rpm, `gear ${id} rpm`);
+        assert.equal(
+          gear(Number(id)).rotationDirection,
+          direction,
+          `gear ${id} direction`,
+        );
+      }
+      if (fixture.carrierRPM !== undefined) {
+        const [set] = train.planetarySets.values();
+        close(set.carrierRPM, fixture.carrierRPM, "carrier rpm");
+      }
+      assert.deepEqual(train.driverConflicts, []);
+    });
+  }
+});
+
+describe("ratio and direction propagation", () => {
+  test("driven speed is rpm * (driver teeth / driven teeth)", () => {
+    for (const [z1, z2] of [
+      [8, 100],
+      [17, 23],
+      [100, 8],
+    ]) {
+      const { gear } = createTrain([
+        { id: 1, teeth: z1, driver: true },
+        { id: 2, teeth: z2, x: z1 + z2 },
+      ]);
+      close(gear(2).rpm, (30 * z1) / z2, `${z1}:${z2}`);
+      assert.equal(gear(2).rotationDirection, -1);
+    }
+  });
+
+  test("a counter-clockwise driver reverses the whole train", () => {
+    const { gear } = createTrain([
+      { id: 1, teeth: 20, driver: true, driverRPM: -60 },
+      { id: 2, teeth: 40, x: 60 },
+    ]);
+    assert.equal(gear(1).rotationDirection, -1);
+    close(gear(2).rpm, 30, "driven rpm");
+    assert.equal(gear(2).rotationDirection, 1);
+  });
+
+  test("Input RPM drives gears without their own RPM", () => {
+    const { gear } = createTrain(
+      [
+        { id: 1, teeth: 20, driver: true },
+        { id: 2, teeth: 40, x: 60 },
+      ],
+      { inputRPM: 100 },
+    );
+    close(gear(2).rpm, 50, "driven rpm");
+  });
+
+  test("trains without a driver stand still", () => {
+    const { gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 300 },
+      { id: 3, teeth: 20, x: 340 },
+    ]);
+    assert.equal(gear(2).rpm, 0);
+    assert.equal(gear(3).rpm, 0);
+  });
+
+  test("gears in separate Z layers do not mesh", () => {
+    const { gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 60, z: 5 },
+    ]);
+    assert.deepEqual(gear(1).connectedTo, []);
+    assert.equal(gear(2).rpm, 0);
+  });
+
+  test("a second driver that agrees with the train is accepted", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 60, driver: true, driverRPM: -15 },
+    ]);
+    assert.deepEqual(train.driverConflicts, []);
+    close(gear(2).rpm, 15, "driven rpm");
+  });
+
+  test("a conflicting second driver locks the train", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 60, driver: true, driverRPM: 15 },
+    ]);
+    assert.equal(train.driverConflicts.length, 1);
+    assert.equal(train.driverConflicts[0].gear, gear(2));
+    close(train.driverConflicts[0].expectedRPM, -15, "expected rpm");
+    assert.ok(gear(2).driverConflictError);
+    assert.equal(gear(1).rpm, 0);
+    assert.equal(gear(2).rpm, 0);
+  });
+
+  test("a rack slides at the pinion's pitch line speed", () => {
+    // Pinion of 15 teeth (pitch radius 15) on a 40-tooth rack's pitch line
+    const { train, gear } = createTrain([
+      { id: 1, type: "rack", teeth: 40 },
+      { id: 2, teeth: 15, y: 15, driver: true },
+    ]);
+    assert.deepEqual(
+      gear(1).connectedTo.map((g) => g.id),
+      [2],
+    );
+
+    // Phase alignment may already have slid the rack a little
+    const start = gear(1).position.x;
+    train.updatePhysics(1);
+    // π d n / 60 = π * 30 mm * 30 rpm / 60 per second, pinion turning CW
+    close(Math.abs(gear(1).rackTravel), (Math.PI * 30 * 30) / 60, "travel");
+
+    train.resetMotion();
+    close(gear(1).position.x, start, "rack back at start");
+  });
+
+  test("a reset leaves meshed teeth in phase", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 40 },
+    ]);
+    train.updatePhysics(0.37);
+    train.resetMotion();
+
+    assert.equal(gear(1).rotation.z, 0, "the driver starts from 0");
+    close(
+      train.getPhaseCorrection(gear(1), gear(2)).rotation,
+      0,
+      "phase correction",
+    );
+  });
+
+  test("a worm turns its wheel by one tooth per start", () => {
+    const train = new GearTrain();
+    const wheel = train.addGear({
+      params: gearParams({ type: "wheel", teeth: 30, thickness: 10 }),
+      isDriver: false,
+    });
+    const worm = train.addGear({
+      params: gearParams({ type: "worm", teeth: 1, thickness: 30 }),
+      // Upright, 2 mm past the center distance (60 + 20) / 2
+      position: { x: 0, y: 42, z: 0 },
+      isDriver: true,
+    });
+
+    assert.ok(train.snapToMesh(worm), "worm snaps onto the wheel");
+    train.updateConnections();
+    close(wheel.rpm, 1, "wheel rpm");
+  });
+
+  test("a wheel cannot drive a self-locking worm", () => {
+    const train = new GearTrain();
+    const wheel = train.addGear({
+      params: gearParams({ type: "wheel", teeth: 30, thickness: 10 }),
+      isDriver: true,
+    });
+    const worm = train.addGear({
+      params: gearParams({ type: "worm", teeth: 1, thickness: 30 }),
+      // Upright, 2 mm past the center distance (60 + 20) / 2
+      position: { x: 0, y: 42, z: 0 },
+      isDriver: false,
+    });
+
+    assert.ok(train.snapToMesh(worm));
+    train.updateConnections();
+    assert.ok(train.isSelfLocking(worm));
+    assert.ok(worm.selfLockError);
+    assert.equal(wheel.rpm, 0);
+    assert.equal(worm.rpm, 0);
+  });
+});
+
+describe("loads", () => {
+  test("each branch of a split train carries the full input torque", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 60 },
+      { id: 3, teeth: 40, x: -60 },
+    ]);
+    const efficiency = train.meshEfficiency;
+
+    for (const id of [2, 3]) {
+      close(gear(id).load.torque, 2 * efficiency, `gear ${id} torque`);
+      close(
+        gear(id).load.power,
+        gear(1).load.power * efficiency,
+        `gear ${id} power`,
+      );
+    }
+    // Worst case for sizing: the branches add up to more than the input
+    assert.ok(gear(2).load.power + gear(3).load.power > gear(1).load.power);
+    assert.ok([1, 2, 3].every((id) => gear(id).load.branched));
+  });
+
+  test("straight trains and planet sets are not branched", () => {
+    const { gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 60 },
+      { id: 3, teeth: 20, x: 120 },
+    ]);
+    assert.ok([1, 2, 3].every((id) => !gear(id).load.branched));
+    assert.ok(gear(3).load.power < gear(1).load.power);
+
+    const planetary = KNOWN_TRAINS.find((t) => t.name.startsWith("planetary"));
+    const set = createTrain(planetary.gears);
+    assert.ok(set.gear(2).load.torque > 0, "the planets are driven");
+    assert.ok(set.train.gears.every((g) => !g.load.branched));
+  });
+});
+
+describe("headless engine", () => {
+  test("the engine and its imports never load three.js", () => {
+    const seen = new Set();
+    const visit = (url) => {
+      if (seen.has(url.href)) return;
+      seen.add(url.href);
+      const source = readFileSync(url, "utf8");
+      for (const [, specifier] of source.matchAll(/from\s+["']([^"']+)["']/g)) {
+        assert.ok(
+          specifier.startsWith("."),
+          `${url.pathname} imports ${specifier}`,
+        );
+        visit(new URL(specifier, url));
+      }
+    };
+    visit(new URL("../js/GearTrain.js", import.meta.url));
+  });
+
+  test("gears survive a structured clone with their poses", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 60 },
+    ]);
+    train.updatePhysics(0.1);
+
+    const [first, second] = structuredClone(train.gears);
+    assert.deepEqual(first.position, gear(1).position);
+    assert.deepEqual(second.rotation, gear(2).rotation);
+    assert.ok(second.rotation.z !== 0, "the driven gear turned");
+  });
+
+  test("moves and turns are announced per gear", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 60 },
+    ]);
+    const moved = [];
+    train.addEventListener("posechange", (event) => moved.push(event.gear));
+
+    train.setGearPosition(gear(2), { y: 5 });
+    assert.deepEqual(moved, [gear(2)]);
+    assert.deepEqual(gear(2).position, { x: 60, y: 5, z: 0 });
+
+    moved.length = 0;
+    train.updatePhysics(0.1);
+    assert.deepEqual(new Set(moved), new Set([gear(1), gear(2)]));
+  });
+});
@@ -0,0 +1,570 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { MESH_THRESHOLD, SNAP_THRESHOLD, GearTrain } from "../js/GearTrain.js";
+import {
+  connectedIds,
+  createTrain,
+  gearParams,
+  seededRandom,
+} from "./helpers.js";
+
+const close = (actual, expected, message) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-6,
+    `${message}: expected ${expected}, got ${actual}`,
+  );
+
+// Side of an equilateral triangle of 20-tooth module 2 gears: 40 mm
+const TRIANGLE_HEIGHT = 40 * Math.sin(Math.PI / 3);
+
+describe("cycle detection", () => {
+  test("a triangle of external gears (odd loop) jams", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 40 },
+      { id: 3, teeth: 20, x: 20, y: TRIANGLE_HEIGHT },
+    ]);
+
+    const meshes = train.gears.reduce((n, g) => n + g.connectedTo.length, 0);
+    assert.equal(meshes / 2, 2, "the closing mesh is refused");
+    assert.equal(train.jams.length, 1);
+    assert.equal(train.jams[0].reason, "direction");
+    assert.equal(train.jams[0].loop.length, 3);
+    for (const g of train.gears) {
+      assert.ok(g.jammingError, `gear ${g.id} is highlighted`);
+      assert.ok(g.incompatibleWith);
+    }
+    assert.equal(gear(1).rpm, 30);
+  });
+
+  test("a square of external gears (even loop) turns", () => {
+    const { train } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 40 },
+      { id: 3, teeth: 20, x: 40, y: 40 },
+      { id: 4, teeth: 20, y: 40 },
+    ]);
+
+    for (const gear of train.gears) {
+      assert.equal(gear.connectedTo.length, 2, `gear ${gear.id}`);
+      assert.equal(gear.jammingError, false, `gear ${gear.id}`);
+    }
+  });
+
+  test("two meshed pinions inside one ring jam (ring meshes keep direction)", () => {
+    const { train } = createTrain([
+      { id: 1, type: "internal", teeth: 60 },
+      { id: 2, teeth: 20, x: 40, driver: true },
+      { id: 3, teeth: 20, x: 20, y: TRIANGLE_HEIGHT },
+    ]);
+
+    assert.equal(train.jams.length, 1, "one reversal around the loop");
+    assert.equal(train.jams[0].reason, "direction");
+    assert.equal(train.gears.filter((g) => g.jammingError).length, 3);
+  });
+
+  test("a compound loop with an even number of meshes jams on its ratios", () => {
+    // 20:40 on z = 0, back through the shafts and 20:40 on z = 10
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, shaftId: 1, driver: true },
+      { id: 2, teeth: 40, x: 60, shaftId: 2 },
+      { id: 3, teeth: 20, x: 60, z: 10, shaftId: 2 },
+      { id: 4, teeth: 40, z: 10, shaftId: 1 },
+    ]);
+
+    assert.equal(train.jams.length, 1);
+    assert.equal(train.jams[0].reason, "ratio");
+    assert.deepEqual(train.jams[0].loop.map((g) => g.id).sort(), [1, 2, 3, 4]);
+    for (const g of train.gears) {
+      assert.ok(g.jammingError, `gear ${g.id} is highlighted`);
+    }
+    close(gear(2).rpm, 15, "the open train still turns");
+  });
+
+  test("a loop whose ratios multiply to 1 turns", () => {
+    const { train } = createTrain([
+      { id: 1, teeth: 20, shaftId: 1, driver: true },
+      { id: 2, teeth: 40, x: 60, shaftId: 2 },
+      { id: 3, teeth: 40, x: 60, z: 10, shaftId: 2 },
+      { id: 4, teeth: 20, z: 10, shaftId: 1 },
+    ]);
+
+    assert.deepEqual(train.jams, []);
+    assert.equal(train.gears.filter((g) => g.jammingError).length, 0);
+  });
+
+  test("solveVelocities assigns every gear a signed velocity", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 60 },
+      { id: 3, teeth: 10, x: 110 },
+      { id: 4, teeth: 20, x: 300 },
+    ]);
+
+    const { velocities, jams } = train.solveVelocities();
+    assert.deepEqual(jams, []);
+    const relative = velocities.get(gear(3)) / velocities.get(gear(1));
+    close(relative, 2, "gear 3 against gear 1");
+    close(velocities.get(gear(2)) / velocities.get(gear(1)), -0.5, "gear 2");
+    assert.equal(velocities.get(gear(4)), 1, "a lone gear is its own train");
+  });
+
+  test("candidate meshes are kept in order until one locks a loop", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20 },
+      { id: 2, teeth: 20, x: 40 },
+      { id: 3, teeth: 20, x: 20, y: TRIANGLE_HEIGHT },
+    ]);
+    for (const g of train.gears) g.connectedTo = [];
+
+    const candidates = [
+      { gear1: gear(1), gear2: gear(2) },
+      { gear1: gear(2), gear2: gear(3) },
+      { gear1: gear(3), gear2: gear(1) },
+    ];
+    const { accepted, jams } = train.solveVelocities(candidates);
+    assert.deepEqual(accepted, candidates.slice(0, 2));
+    assert.equal(jams.length, 1);
+    assert.deepEqual(
+      jams[0].loop.map((g) => g.id),
+      [3, 2, 1],
+      "from the new mesh's first gear back to its second",
+    );
+  });
+
+  test("findJam checks the loop a new mesh would close", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 40 },
+      { id: 3, teeth: 20, x: 80 },
+      { id: 4, teeth: 20, x: 120 },
+    ]);
+
+    const jam = train.findJam(gear(1), gear(3));
+    assert.deepEqual(
+      jam.loop.map((g) => g.id),
+      [1, 2, 3],
+    );
+    assert.equal(train.findJam(gear(1), gear(4)), null);
+  });
+
+  test("unconnected gears cannot close a loop", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 200 },
+    ]);
+    assert.equal(train.findJam(gear(1), gear(2)), null);
+  });
+});
+
+describe("connection and overlap thresholds", () => {
+  test(`gears within ${MESH_THRESHOLD} mm of their meshing distance connect`, () => {
+    const near = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 40 + MESH_THRESHOLD - 0.1 },
+    ]);
+    assert.deepEqual(connectedIds(near.gear(1)), [2]);
+
+    const far = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 40 + MESH_THRESHOLD + 0.1 },
+    ]);
+    assert.deepEqual(connectedIds(far.gear(1)), []);
+  });
+
+  test("external gears overlap closer than 90% of their meshing distance", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20 },
+      { id: 2, teeth: 20, x: 50 },
+    ]);
+
+    train.setGearPosition(gear(2), { x: 36.1 });
+    assert.equal(train.checkGearsOverlap(gear(1), gear(2)), false);
+    train.setGearPosition(gear(2), { x: 35.9 });
+    assert.equal(train.checkGearsOverlap(gear(1), gear(2)), true);
+
+    // Separate Z layers never collide
+    train.setGearPosition(gear(2), { z: 5 });
+    assert.equal(train.checkGearsOverlap(gear(1), gear(2)), false);
+  });
+
+  test("a pinion overlaps a ring when pushed a tenth of the distance into the rim", () => {
+    // Meshing distance 40, margin max(4, module)
+    const { train, gear } = createTrain([
+      { id: 1, type: "internal", teeth: 60 },
+      { id: 2, teeth: 20, x: 40 },
+    ]);
+
+    train.setGearPosition(gear(2), { x: 43.9 });
+    assert.equal(train.checkGearsOverlap(gear(1), gear(2)), false);
+    train.setGearPosition(gear(2), { x: 44.1 });
+    assert.equal(train.checkGearsOverlap(gear(1), gear(2)), true);
+
+    // A pinion anywhere inside the ring's teeth is fine
+    train.setGearPosition(gear(2), { x: 0 });
+    assert.equal(train.checkGearsOverlap(gear(1), gear(2)), false);
+  });
+
+  test("a pinion overlaps a rack below 90% of its pitch radius", () => {
+    const { train, gear } = createTrain([
+      { id: 1, type: "rack", teeth: 40 },
+      { id: 2, teeth: 15, y: 15 },
+    ]);
+
+    train.setGearPosition(gear(2), { y: 13.6 });
+    assert.equal(train.checkGearsOverlap(gear(1), gear(2)), false);
+    train.setGearPosition(gear(2), { y: 13.4 });
+    assert.equal(train.checkGearsOverlap(gear(1), gear(2)), true);
+  });
+
+  test("gears on one shaft never overlap", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, shaftId: 1 },
+      { id: 2, teeth: 40, shaftId: 1 },
+    ]);
+    assert.equal(train.checkGearsOverlap(gear(1), gear(2)), false);
+  });
+
+  test("an overlapping pair is flagged and not connected", () => {
+    const { gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 30 },
+    ]);
+
+    assert.ok(gear(1).overlapError);
+    assert.equal(gear(1).incompatibleWith, gear(2));
+    assert.deepEqual(connectedIds(gear(1)), []);
+  });
+});
+
+describe("module compatibility", () => {
+  const incompatibility = (a, b) => {
+    const { train, gear } = createTrain([
+      { id: 1, ...a },
+      { id: 2, x: 500, ...b },
+    ]);
+    return train.getIncompatibility(gear(1), gear(2));
+  };
+
+  test("meshing gears need equal modules", () => {
+    assert.equal(incompatibility({ module: 2 }, { module: 2 }), null);
+    assert.equal(incompatibility({ module: 2 }, { module: 2.5 }), "module");
+  });
+
+  test("parallel helical gears need equal angles and opposite hands", () => {
+    const right = { helixAngle: 15, hand: "right" };
+    assert.equal(incompatibility(right, { ...right, hand: "left" }), null);
+    assert.equal(incompatibility(right, right), "hand");
+    assert.equal(
+      incompatibility(right, { helixAngle: 20, hand: "left" }),
+      "helixAngle",
+    );
+    assert.equal(incompatibility(right, { helixAngle: 0 }), "helixAngle");
+  });
+
+  test("a helical pinion shares its ring's hand", () => {
+    const right = { helixAngle: 15, hand: "right" };
+    assert.equal(
+      incompatibility({ ...right, type: "internal", teeth: 60 }, right),
+      null,
+    );
+    assert.equal(
+      incompatibility(
+        { ...right, type: "internal", teeth: 60 },
+        { ...right, hand: "left" },
+      ),
+      "hand",
+    );
+  });
+
+  test("bevel gears need pitch cones meeting at one apex", () => {
+    // tan δ1 = z1 / z2 for a 90° shaft angle
+    const delta = (Math.atan(20 / 40) * 180) / Math.PI;
+    assert.equal(
+      incompatibility(
+        { type: "bevel", teeth: 20, coneAngle: delta },
+        { type: "bevel", teeth: 40, coneAngle: 90 - delta },
+      ),
+      null,
+    );
+    assert.equal(
+      incompatibility(
+        { type: "bevel", teeth: 20, coneAngle: 45 },
+        { type: "bevel", teeth: 40, coneAngle: 45 },
+      ),
+      "coneAngle",
+    );
+  });
+
+  test("a worm wheel is cut for one lead angle and hand", () => {
+    const worm = { type: "worm", teeth: 1, thickness: 30 };
+    const wheel = { type: "wheel", teeth: 30, thickness: 10 };
+    assert.equal(incompatibility(worm, wheel), null);
+    assert.equal(incompatibility(worm, { ...wheel, starts: 2 }), "leadAngle");
+    assert.equal(incompatibility(worm, { ...wheel, hand: "left" }), "hand");
+  });
+
+  test("incompatible gears at meshing distance stay unconnected", () => {
+    const { gear } = createTrain([
+      { id: 1, teeth: 20, helixAngle: 15, hand: "right", driver: true },
+      // m_t = 2 / cos 15°
+      { id: 2, teeth: 20, helixAngle: 15, hand: "right", x: 41.411047 },
+    ]);
+    assert.deepEqual(connectedIds(gear(1)), []);
+    assert.equal(gear(2).rpm, 0);
+  });
+});
+
+describe("snapping", () => {
+  test(`a gear within ${SNAP_THRESHOLD} mm snaps to its meshing distance`, () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 50, y: 0 },
+    ]);
+    train.setGearPosition(gear(2), { x: 0, y: 62, z: 0 });
+
+    assert.equal(train.snapToMesh(gear(2)), true);
+    assert.ok(Math.abs(gear(2).position.x) < 1e-9, "keeps its direction");
+    assert.ok(Math.abs(gear(2).position.y - 60) < 1e-9);
+    assert.deepEqual(connectedIds(gear(2)), [1]);
+  });
+
+  test("a gear further away does not move", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 60 + SNAP_THRESHOLD + 0.5 },
+    ]);
+    const before = { ...gear(2).position };
+
+    assert.equal(train.snapToMesh(gear(2)), false);
+    assert.deepEqual(gear(2).position, before);
+  });
+
+  test("a gear already meshing is left alone", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 40, x: 60.05 },
+    ]);
+    assert.equal(train.snapToMesh(gear(2)), false);
+    assert.equal(gear(2).position.x, 60.05);
+  });
+
+  test("a pinion snaps into a ring and onto a rack", () => {
+    const ring = createTrain([
+      { id: 1, type: "internal", teeth: 60 },
+      { id: 2, teeth: 20, x: 37 },
+    ]);
+    assert.equal(ring.train.snapToMesh(ring.gear(2)), true);
+    assert.ok(Math.abs(ring.gear(2).position.x - 40) < 1e-9);
+
+    const rack = createTrain([
+      { id: 1, type: "rack", teeth: 40 },
+      { id: 2, teeth: 15, x: 10, y: 18 },
+    ]);
+    assert.equal(rack.train.snapToMesh(rack.gear(2)), true);
+    assert.ok(Math.abs(rack.gear(2).position.y - 15) < 1e-9);
+    assert.equal(rack.gear(2).position.x, 10, "slides straight onto it");
+  });
+
+  test("an incompatible gear is flagged instead of snapped", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, module: 2.5, x: 47 },
+    ]);
+
+    assert.equal(train.snapToMesh(gear(2)), false);
+    assert.equal(gear(2).position.x, 47);
+    assert.equal(gear(2).incompatibleWith, gear(1));
+    assert.equal(gear(2).jammingError || gear(2).overlapError, false);
+  });
+
+  test("a gear that would close an odd loop flags the whole loop", () => {
+    // Gear 3 meshes with gear 2 and sits 2 mm off meshing with gear 1
+    const x = (42 * 42) / 80;
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 40 },
+      { id: 3, teeth: 20, x, y: Math.sqrt(42 * 42 - x * x) },
+    ]);
+    const before = { ...gear(3).position };
+    // Start from a clean slate: the closing mesh is already within reach
+    train.gears.forEach((g) => train.clearErrorState(g));
+
+    assert.equal(train.snapToMesh(gear(3)), false);
+    for (const g of train.gears) {
+      assert.ok(g.jammingError, `gear ${g.id} is highlighted`);
+    }
+    assert.equal(gear(3).incompatibleWith, gear(2), "next around the loop");
+    assert.deepEqual(gear(3).position, before);
+  });
+
+  test("a gear dropped onto another is flagged as overlapping", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 200 },
+    ]);
+    train.setGearPosition(gear(2), { x: 10 });
+
+    assert.equal(train.snapToMesh(gear(2)), false);
+    assert.ok(gear(2).overlapError);
+  });
+
+  test("the engine reports new error states", () => {
+    const train = new GearTrain();
+    const events = [];
+    train.addEventListener("errorstate", ({ gear, kind, other }) =>
+      events.push([gear, kind, other]),
+    );
+
+    const a = train.addGear({ params: gearParams() });
+    const b = train.addGear({ params: gearParams() });
+    train.setGearPosition(b, { x: 10 });
+    assert.equal(train.snapToMesh(b), false);
+    assert.deepEqual(events, [[b, "overlap", a]]);
+  });
+});
+
+describe("spatial index and incremental updates", () => {
+  // Every mesh at meshing distance, connected or kept out by a locked loop
+  const meshPairs = (train) => {
+    const key = (a, b) => (a.id < b.id ? `${a.id}-${b.id}` : `${b.id}-${a.id}`);
+    const pairs = new Set(train.jams.map((j) => key(j.gear1, j.gear2)));
+    for (const g of train.gears) {
+      for (const other of g.connectedTo) pairs.add(key(g, other));
+    }
+    return [...pairs].sort();
+  };
+
+  test("a full rebuild only checks neighbouring pairs", () => {
+    const specs = [];
+    for (let i = 0; i < 20; i++) {
+      for (let j = 0; j < 20; j++) {
+        specs.push({ id: i * 20 + j + 1, x: i * 40, y: j * 40 });
+      }
+    }
+    specs[0].driver = true;
+    const { train, gear } = createTrain(specs);
+
+    let checks = 0;
+    const checkGearsOverlap = train.checkGearsOverlap.bind(train);
+    train.checkGearsOverlap = (gear1, gear2) => {
+      checks++;
+      return checkGearsOverlap(gear1, gear2);
+    };
+    train.updateConnections();
+
+    assert.equal(meshPairs(train).length, 2 * 20 * 19);
+    assert.deepEqual(train.jams, []);
+    assert.equal(gear(400).rpm, 30);
+    // 400 gears make 79800 pairs
+    assert.ok(checks < 4000, `${checks} overlap checks`);
+  });
+
+  test("incremental updates match a full rebuild", () => {
+    const next = seededRandom(11);
+    const specs = [];
+    for (let id = 1; id <= 25; id++) {
+      specs.push({
+        id,
+        teeth: [12, 20, 30][Math.floor(next() * 3)],
+        x: next() * 400,
+        y: next() * 400,
+        driver: id === 1,
+      });
+    }
+    const incremental = createTrain(specs);
+    const full = createTrain(specs);
+
+    for (let step = 0; step < 100; step++) {
+      const moved = Math.floor(next() * specs.length);
+      const target = full.train.gears[Math.floor(next() * specs.length)];
+      // Mostly near meshing with another gear, sometimes anywhere
+      const ideal = specs[moved].teeth + target.params.teeth;
+      const distance =
+        next() < 0.7 ? ideal + (next() * 2 - 1) * 4 : next() * 300;
+      const angle = next() * 2 * Math.PI;
+      for (const { train } of [incremental, full]) {
+        train.setGearPosition(train.gears[moved], {
+          x: target.position.x + distance * Math.cos(angle),
+          y: target.position.y + distance * Math.sin(angle),
+          z: 0,
+        });
+      }
+
+      incremental.train.updateConnections(null, [
+        incremental.train.gears[moved],
+      ]);
+      full.train.updateConnections();
+
+      const label = `step ${step}`;
+      assert.deepEqual(
+        meshPairs(incremental.train),
+        meshPairs(full.train),
+        label,
+      );
+      const overlapping = (train) =>
+        train.gears.filter((g) => g.overlapError).map((g) => g.id);
+      assert.deepEqual(
+        overlapping(incremental.train),
+        overlapping(full.train),
+        label,
+      );
+      if (incremental.train.jams.length === 0 && full.train.jams.length === 0) {
+        for (const g of full.train.gears) {
+          close(incremental.gear(g.id).rpm, g.rpm, `${label} gear ${g.id}`);
+        }
+      }
+    }
+  });
+
+  test("a mesh kept out by a locked loop connects once the loop opens", () => {
+    const { train } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 40 },
+      { id: 3, teeth: 20, x: 20, y: TRIANGLE_HEIGHT },
+    ]);
+    const [{ gear1, gear2, loop }] = train.jams;
+    const third = loop.find((g) => g !== gear1 && g !== gear2);
+
+    train.setGearPosition(third, { x: 500 });
+    train.updateConnections(null, [third]);
+    assert.ok(gear1.connectedTo.includes(gear2));
+    assert.deepEqual(train.jams, []);
+    assert.ok(train.gears.every((g) => !g.jammingError));
+  });
+
+  test("gears moved without being named are reconnected too", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 40 },
+    ]);
+    train.setGearPosition(gear(2), { x: 300 });
+    train.updateConnections(null, []);
+    assert.deepEqual(connectedIds(gear(1)), []);
+    assert.equal(gear(2).rpm, 0);
+  });
+
+  test("a pinion snaps onto a rack too long for the grid", () => {
+    const { train, gear } = createTrain([
+      { id: 1, type: "rack", teeth: 100 },
+      { id: 2, teeth: 15, x: 280, y: 17, driver: true },
+    ]);
+    assert.ok(train.spatialIndex.oversized.has(gear(1)));
+
+    assert.ok(train.snapToMesh(gear(2)));
+    close(gear(2).position.y, 15, "on the pitch line");
+    train.updateConnections(gear(2), [gear(2)]);
+    assert.deepEqual(connectedIds(gear(1)), [2]);
+  });
+
+  test("removed gears leave the index", () => {
+    const { train, gear } = createTrain([
+      { id: 1, teeth: 20, driver: true },
+      { id: 2, teeth: 20, x: 40 },
+    ]);
+    train.removeGear(gear(2));
+    train.updateConnections(null, []);
+    assert.equal(train.spatialIndex.size, 1);
+    assert.deepEqual(connectedIds(gear(1)), []);
+  });
+});